@@ -0,0 +1,162 @@
+'use strict';
+
+const Collection = require('../util/Collection');
+const ApplicationCommand = require('../structures/ApplicationCommand');
+
+/**
+ * Manages the application commands of the client, either globally or for a single guild. The global manager, at
+ * {@link ClientApplication#commands}, can also manage the commands of a guild by passing the guild to its methods.
+ */
+class ApplicationCommandManager {
+  constructor(client, guild) {
+    /**
+     * The client that instantiated this manager
+     * @name ApplicationCommandManager#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    /**
+     * The guild this manager belongs to, or `null` for global commands
+     * @type {?Guild}
+     */
+    this.guild = guild || null;
+
+    /**
+     * The cached commands, mapped by their IDs
+     * @type {Collection<Snowflake, ApplicationCommand>}
+     */
+    this.cache = new Collection();
+  }
+
+  /**
+   * The ID of the guild this manager belongs to, or `null` for global commands
+   * @type {?Snowflake}
+   * @readonly
+   */
+  get guildID() {
+    return this.guild ? this.guild.id : null;
+  }
+
+  /**
+   * Data that resolves to an application command:
+   * * An ApplicationCommand object
+   * * A Snowflake
+   * @typedef {ApplicationCommand|Snowflake} ApplicationCommandResolvable
+   */
+
+  /**
+   * Resolves an ApplicationCommandResolvable to a command ID.
+   * @param {ApplicationCommandResolvable} command The command to resolve
+   * @returns {?Snowflake}
+   */
+  resolveID(command) {
+    if (command instanceof ApplicationCommand) return command.id;
+    if (typeof command === 'string') return command;
+    return null;
+  }
+
+  /**
+   * Fetches one or all of the commands from Discord.
+   * @param {Snowflake} [id] The ID of the command to fetch, fetches all commands if omitted
+   * @param {GuildResolvable} [guild] The guild to fetch the commands of, if this manager is for global commands
+   * @returns {Promise<ApplicationCommand|Collection<Snowflake, ApplicationCommand>>}
+   * @example
+   * // Fetch all global commands
+   * client.application.commands.fetch()
+   *   .then(commands => console.log(`Fetched ${commands.size} commands`))
+   *   .catch(console.error);
+   */
+  fetch(id, guild) {
+    if (guild && !this.guild) return this._inGuild(guild, manager => manager.fetch(id));
+    if (id) return this.client.rest.methods.fetchApplicationCommand(this, id);
+    return this.client.rest.methods.fetchApplicationCommands(this);
+  }
+
+  /**
+   * Creates a command.
+   * @param {ApplicationCommandData} data The data for the command
+   * @param {GuildResolvable} [guild] The guild to create the command in, if this manager is for global commands
+   * @returns {Promise<ApplicationCommand>}
+   * @example
+   * // Create a guild command
+   * guild.commands.create({
+   *   name: 'echo',
+   *   description: 'Replies with your input',
+   *   options: [{ type: 'STRING', name: 'input', description: 'The input to echo', required: true }]
+   * })
+   *   .then(command => console.log(`Created command ${command.name}`))
+   *   .catch(console.error);
+   */
+  create(data, guild) {
+    if (guild && !this.guild) return this._inGuild(guild, manager => manager.create(data));
+    return this.client.rest.methods.createApplicationCommand(this, ApplicationCommand.transformCommand(data));
+  }
+
+  /**
+   * Edits a command.
+   * @param {ApplicationCommandResolvable} command The command to edit
+   * @param {ApplicationCommandData} data The data to update the command with
+   * @param {GuildResolvable} [guild] The guild to edit the command in, if this manager is for global commands
+   * @returns {Promise<ApplicationCommand>}
+   */
+  edit(command, data, guild) {
+    if (guild && !this.guild) return this._inGuild(guild, manager => manager.edit(command, data));
+    const id = this.resolveID(command);
+    if (!id) return Promise.reject(new TypeError('The command to edit could not be resolved.'));
+    return this.client.rest.methods.editApplicationCommand(this, id, ApplicationCommand.transformCommand(data));
+  }
+
+  /**
+   * Deletes a command.
+   * @param {ApplicationCommandResolvable} command The command to delete
+   * @param {GuildResolvable} [guild] The guild to delete the command from, if this manager is for global commands
+   * @returns {Promise<?ApplicationCommand>}
+   */
+  delete(command, guild) {
+    if (guild && !this.guild) return this._inGuild(guild, manager => manager.delete(command));
+    const id = this.resolveID(command);
+    if (!id) return Promise.reject(new TypeError('The command to delete could not be resolved.'));
+    return this.client.rest.methods.deleteApplicationCommand(this, id);
+  }
+
+  /**
+   * Overwrites all of the commands with the given ones. Commands that are not included are deleted.
+   * @param {ApplicationCommandData[]} commands The commands to set
+   * @param {GuildResolvable} [guild] The guild to set the commands of, if this manager is for global commands
+   * @returns {Promise<Collection<Snowflake, ApplicationCommand>>}
+   * @example
+   * // Sync the global commands on deploy
+   * client.application.commands.set([
+   *   { name: 'ping', description: 'Replies with pong' },
+   * ])
+   *   .then(commands => console.log(`Registered ${commands.size} commands`))
+   *   .catch(console.error);
+   */
+  set(commands, guild) {
+    if (guild && !this.guild) return this._inGuild(guild, manager => manager.set(commands));
+    return this.client.rest.methods.setApplicationCommands(this,
+      commands.map(command => ApplicationCommand.transformCommand(command))
+    );
+  }
+
+  _inGuild(guild, fn) {
+    const resolved = this.client.resolver.resolveGuild(guild);
+    if (!resolved) return Promise.reject(new Error('The guild could not be resolved.'));
+    return fn(resolved.commands);
+  }
+
+  _add(data) {
+    const existing = this.cache.get(data.id);
+    if (existing) {
+      existing.setup(data);
+      return existing;
+    }
+    const command = new ApplicationCommand(this, data);
+    this.cache.set(command.id, command);
+    return command;
+  }
+}
+
+module.exports = ApplicationCommandManager;
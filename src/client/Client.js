@@ -3,6 +3,7 @@
 const EventEmitter = require('events');
 const Constants = require('../util/Constants');
 const Permissions = require('../util/Permissions');
+const Intents = require('../util/Intents');
 const Util = require('../util/Util');
 const RESTManager = require('./rest/RESTManager');
 const ClientDataManager = require('./ClientDataManager');
@@ -11,9 +12,13 @@ const ClientDataResolver = require('./ClientDataResolver');
 const ClientVoiceManager = require('./voice/ClientVoiceManager');
 const WebSocketManager = require('./websocket/WebSocketManager');
 const ActionsManager = require('./actions/ActionsManager');
+const CommandRegistry = require('./commands/CommandRegistry');
+const CommandParser = require('./commands/CommandParser');
 const Collection = require('../util/Collection');
+const LimitedCollection = require('../util/LimitedCollection');
 const Presence = require('../structures/Presence').Presence;
 const ShardClientUtil = require('../sharding/ShardClientUtil');
+const ClientApplication = require('../structures/ClientApplication');
 const VoiceBroadcast = require('./voice/VoiceBroadcast');
 
 /**
@@ -31,6 +36,11 @@ class Client extends EventEmitter {
         if (!options.shardId && 'SHARD_ID' in process.env) options.shardId = Number(process.env.SHARD_ID);
         if (!options.shardCount && 'SHARD_COUNT' in process.env) options.shardCount = Number(process.env.SHARD_COUNT);
 
+        // Intents used to be passed with the WebSocket options
+        if (typeof options.intents === 'undefined' && options.ws && typeof options.ws.intents !== 'undefined') {
+            options.intents = options.ws.intents;
+        }
+
         /**
          * The options the client was instantiated with
          * @type {ClientOptions}
@@ -62,7 +72,6 @@ class Client extends EventEmitter {
         /**
          * The WebSocket manager of the client
          * @type {WebSocketManager}
-         * @private
          */
         this.ws = new WebSocketManager(this);
 
@@ -87,18 +96,19 @@ class Client extends EventEmitter {
          */
         this.voice = !this.browser ? new ClientVoiceManager(this) : null;
 
+        const shardingMode = !this.browser ? ShardClientUtil.detectMode() : null;
         /**
          * The shard helpers for the client
-         * (only if the process was spawned as a child, such as from a {@link ShardingManager})
+         * (only if the process or worker thread was spawned by a {@link ShardingManager}, or as a child process)
          * @type {?ShardClientUtil}
          */
-        this.shard = process.send ? ShardClientUtil.singleton(this) : null;
+        this.shard = shardingMode ? ShardClientUtil.singleton(this, shardingMode) : null;
 
         /**
          * All of the {@link User} objects that have been cached at any point, mapped by their IDs
          * @type {Collection<Snowflake, User>}
          */
-        this.users = new Collection();
+        this.users = this._makeCache('users', this);
 
         /**
          * All of the guilds the client is currently handling, mapped by their IDs -
@@ -120,7 +130,19 @@ class Client extends EventEmitter {
          * @type {Collection<Snowflake, Presence>}
          * @deprecated
          */
-        this.presences = new Collection();
+        this.presences = this._makeCache('presences', this);
+
+        /**
+         * The application of the client, which manages its application commands
+         * @type {ClientApplication}
+         */
+        this.application = new ClientApplication(this);
+
+        /**
+         * The registry of commands that are invoked with a prefix or as slash commands
+         * @type {CommandRegistry}
+         */
+        this.registry = new CommandRegistry(this);
 
         Object.defineProperty(this, 'token', { writable: true });
         if (!this.token && 'CLIENT_TOKEN' in process.env) {
@@ -176,6 +198,14 @@ class Client extends EventEmitter {
         if (this.options.messageSweepInterval > 0) {
             this.setInterval(this.sweepMessages.bind(this), this.options.messageSweepInterval * 1000);
         }
+
+        if (this.options.cacheSweepInterval > 0) {
+            this.setInterval(this.sweepCaches.bind(this), this.options.cacheSweepInterval * 1000);
+        }
+
+        if (this.options.restSweepInterval > 0) {
+            this.setInterval(this.rest.sweepHandlers.bind(this.rest), this.options.restSweepInterval * 1000);
+        }
     }
     
     get servers() {
@@ -197,7 +227,7 @@ class Client extends EventEmitter {
      * @readonly
      */
     get status() {
-        return this.ws.connection ? this.ws.connection.status : Constants.Status.IDLE;
+        return this.ws.status;
     }
 
     /**
@@ -357,6 +387,31 @@ class Client extends EventEmitter {
         return this.rest.methods.getWebhook(id, token);
     }
 
+    /**
+     * Obtains a sticker from Discord.
+     * @param {Snowflake} id ID of the sticker
+     * @returns {Promise<Sticker>}
+     * @example
+     * client.fetchSticker('id')
+     *     .then(sticker => console.log(`Obtained sticker with name: ${sticker.name}`))
+     *     .catch(console.error);
+     */
+    fetchSticker(id) {
+        return this.rest.methods.fetchSticker(id);
+    }
+
+    /**
+     * Obtains the list of sticker packs available to Nitro subscribers from Discord.
+     * @returns {Promise<Collection<Snowflake, StickerPack>>}
+     * @example
+     * client.fetchNitroStickerPacks()
+     *     .then(packs => console.log(`Available sticker packs are: ${packs.map(pack => pack.name).join(', ')}`))
+     *     .catch(console.error);
+     */
+    fetchNitroStickerPacks() {
+        return this.rest.methods.fetchNitroStickerPacks();
+    }
+
     /**
      * Obtains the available voice regions from Discord.
      * @returns {Promise<Collection<string, VoiceRegion>>}
@@ -402,6 +457,74 @@ class Client extends EventEmitter {
         return messages;
     }
 
+    /**
+     * Sweeps inactive users and offline presences out of the caches, and trims the caches that are over their
+     * {@link ClientOptions#cacheLimits} by removing their oldest entries. Users are inactive when they are not the
+     * client user, a member of a cached guild or a recipient of a cached DM channel.
+     * @returns {Object<string, number>} The number of entries that were swept out of each cache
+     * @example
+     * // Sweep the caches and log how many users were removed
+     * const swept = client.sweepCaches();
+     * console.log(`Swept ${swept.users} users`);
+     */
+    sweepCaches() {
+        const clientID = this.user ? this.user.id : null;
+        const swept = { users: 0, presences: 0, members: 0, messages: 0 };
+        const isOffline = presence => presence.status === 'offline';
+
+        swept.presences += this.presences.sweep(isOffline);
+        swept.presences += trimCache(this.presences, this._cacheLimit('presences'));
+        for (const guild of this.guilds.values()) {
+            swept.presences += guild.presences.sweep(isOffline);
+            swept.presences += trimCache(guild.presences, this._cacheLimit('presences'));
+            swept.members += trimCache(guild.members, this._cacheLimit('members'), member => member.id === clientID);
+        }
+        for (const channel of this.channels.values()) {
+            if (channel.messages) swept.messages += trimCache(channel.messages, this._cacheLimit('messages'));
+        }
+
+        const active = new Set([clientID]);
+        for (const guild of this.guilds.values()) {
+            for (const id of guild.members.keys()) active.add(id);
+        }
+        for (const channel of this.channels.values()) {
+            if (channel.recipient) active.add(channel.recipient.id);
+            if (channel.recipients) for (const id of channel.recipients.keys()) active.add(id);
+        }
+        swept.users += this.users.sweep(user => !active.has(user.id));
+        swept.users += trimCache(this.users, this._cacheLimit('users'), user => user.id === clientID);
+
+        this.emit('debug', `Swept ${swept.users} users, ${swept.presences} presences, ${swept.members} members ` +
+            `and ${swept.messages} messages`);
+        return swept;
+    }
+
+    /**
+     * Creates one of the caches of the client, using {@link ClientOptions#makeCache} if it is set. Message caches
+     * default to a {@link LimitedCollection} of the `messages` cache limit.
+     * @param {string} name Name of the cache
+     * @param {*} holder Structure holding the cache
+     * @returns {Collection}
+     * @private
+     */
+    _makeCache(name, holder) {
+        if (this.options.makeCache) return this.options.makeCache(name, holder);
+        if (name === 'messages') return new LimitedCollection(this._cacheLimit('messages'));
+        return new Collection();
+    }
+
+    /**
+     * Gets the maximum number of entries of a cache from {@link ClientOptions#cacheLimits}.
+     * @param {string} name Name of the cache
+     * @returns {number}
+     * @private
+     */
+    _cacheLimit(name) {
+        const limit = this.options.cacheLimits[name];
+        if (typeof limit === 'number') return limit;
+        return name === 'messages' ? this.options.messageCacheMaxSize : Infinity;
+    }
+
     /**
      * Obtains the OAuth Application of the bot from Discord.
      * <warn>Bots can only fetch their own profile.</warn>
@@ -461,93 +584,18 @@ class Client extends EventEmitter {
 		return this._addCommand(name, description, (typeof guild == 'object' ? guild.id : guild), options);
 	}
     
+    /**
+     * Listens for messages starting with the prefix and the given command name, and calls back with the parsed
+     * parameters. For aliases, permissions, cooldowns and slash commands, see {@link Client#registry}.
+     * @param {string} cmd The name of the command
+     * @param {Function} cb The function to call with the parameters, the message and the command name
+     */
     command(cmd, cb) {
         this.on('message', msg => {
-			if(msg.partial) return;
-			
-            if(msg.content.split(/\s/)[0].toUpperCase() == ((this.options.prefix || '') + cmd).toUpperCase()) {
-                const Collection = require('../util/Collection');
-                const __params = msg.content.match(/(?:[^\s"]+|"[^"]*")+/g);  // https://stackoverflow.com/questions/16261635/
-                const _params = [ __params[0] ];
-                // -rf >>> -r -f
-                for(let idx=1; idx<__params.length; idx++) {
-                    const item = __params[idx];
-                    if(item.startsWith('-') && !item.startsWith('--') && item.length >= 3) {
-                        var val; if(item.includes('=')) val = item.replace(item.split('=')[0] + '=', '');
-                        for(let ci=1; ci<item.split('=')[0].length; ci++) {
-                            let chr = item[ci];
-                            _params.push('-' + chr + (val !== undefined ? ('=' + val) : ''));
-                        }
-                    } else _params.push(item);
-                }
-                const command = _params[0];
-                
-                class Parameters extends Collection {
-                    constructor(x) {
-                        super(x);
-                    }
-                    
-                    has(key) {
-                        for(let k of this.keys()) {
-                            if((typeof(k) == 'string' ? k.toUpperCase() : k) == (typeof(key) == 'string' ? key.toUpperCase() : key)) return true;
-                        } return false;
-                    }
-                    
-                    value(key) {
-                        for(let k of this.keys()) {
-                            if((typeof(k) == 'string' ? k.toUpperCase() : k) == (typeof(key) == 'string' ? key.toUpperCase() : key)) return this.get(k);
-                        }
-						return undefined;
-                    }
-                };
-				
-				let multiparams = [];
-                
-                const params = new Parameters;
-                for(let idx=1, np=1; idx<_params.length; idx++) {
-                    const _param = _params[idx];
-					const param = _param.replace(/^\//, '').replace(/^[-][-]/, '').replace(/^[-]/, '')
-                    
-					// MS-DOS 방식 - cmd /param value (이건 만들기 귀찮음)
-                    // MS-DOS 방식 - cmd /param:value
-                    // 리눅스 방식 - cmd --param value (귀찮음)
-                    // 리눅스 방식 - cmd -p value (귀찮음)
-                    // 리눅스 방식 - cmd --param=value
-                    // 리눅스 방식 - cmd -p=value
-                    
-                    let key, val;
-                    
-                    if(param.includes(':') && _param.startsWith('/')) {
-                        key = param.split(':')[0];
-                        val = param.replace(key + ':', '');
-                        if(val.startsWith('"') && val.endsWith('"')) {
-                            val = val.replace('"', '').replace(/["]$/, '');
-                        }
-                    } else if(param.includes('=') && _param.startsWith('-')) {
-                        key = param.split('=')[0];
-                        val = param.replace(key + '=', '');
-                        if(val.startsWith('"') && val.endsWith('"')) {
-                            val = val.replace('"', '').replace(/["]$/, '');
-                        }
-                    } else if(_param.startsWith('/') || _param.startsWith('-')) {
-                        key = param;
-                        val = true;
-                    } else {
-						key = np++;
-						val = param;
-					}
-                    
-					let cv = params.get(key);
-					if(cv && !(multiparams.includes(key))) {
-						multiparams.push(key);
-						params.set(key, [cv, val]);
-					} else if(cv && cv instanceof Array) {
-						cv.push(val);
-						params.set(key, cv);
-					} else params.set(key, val);
-                }
-                
-                cb(params, msg, cmd);
+            if (msg.partial) return;
+
+            if (msg.content.split(/\s/)[0].toUpperCase() == ((this.options.prefix || '') + cmd).toUpperCase()) {
+                cb(CommandParser.parse(msg.content, true).params, msg, cmd);
             }
         });
     }
@@ -710,6 +758,18 @@ class Client extends EventEmitter {
         if (options.shardId !== 0 && options.shardId >= options.shardCount) {
             throw new RangeError('The shardId option must be less than shardCount.');
         }
+        if (options.shards === null || typeof options.shards === 'undefined') options.shards = [options.shardId];
+        else if (typeof options.shards === 'number') options.shards = [options.shards];
+        if (options.shards !== 'auto') {
+            if (!Array.isArray(options.shards) || !options.shards.length ||
+                options.shards.some(id => typeof id !== 'number' || isNaN(id) || id < 0)) {
+                throw new TypeError('The shards option must be a shard ID, an array of shard IDs or "auto".');
+            }
+            if (options.shardCount === 0 && options.shards.length > 1) options.shardCount = options.shards.length;
+            if (options.shards.some(id => id !== 0 && id >= options.shardCount)) {
+                throw new RangeError('The shards option must only contain IDs less than shardCount.');
+            }
+        }
         if (typeof options.messageCacheMaxSize !== 'number' || isNaN(options.messageCacheMaxSize)) {
             throw new TypeError('The messageCacheMaxSize option must be a number.');
         }
@@ -728,13 +788,58 @@ class Client extends EventEmitter {
         if (typeof options.restWsBridgeTimeout !== 'number' || isNaN(options.restWsBridgeTimeout)) {
             throw new TypeError('The restWsBridgeTimeout option must be a number.');
         }
+        try {
+            options.intents = Intents.resolve(options.intents);
+        } catch (err) {
+            throw new TypeError('The intents option must be a bitfield, an intent name or an array of them.');
+        }
         if (!(options.disabledEvents instanceof Array)) throw new TypeError('The disabledEvents option must be an Array.');
         if (typeof options.retryLimit !== 'number' || isNaN(options.retryLimit)) {
             throw new TypeError('The retryLimit    options must be a number.');
         }
+        if (typeof options.restSweepInterval !== 'number' || isNaN(options.restSweepInterval)) {
+            throw new TypeError('The restSweepInterval option must be a number.');
+        }
+        if (typeof options.invalidRequestWarningInterval !== 'number' || isNaN(options.invalidRequestWarningInterval)) {
+            throw new TypeError('The invalidRequestWarningInterval option must be a number.');
+        }
+        if (options.makeCache !== null && typeof options.makeCache !== 'function') {
+            throw new TypeError('The makeCache option must be a function.');
+        }
+        if (!options.cacheLimits || typeof options.cacheLimits !== 'object') {
+            throw new TypeError('The cacheLimits option must be an object.');
+        }
+        if (typeof options.cacheSweepInterval !== 'number' || isNaN(options.cacheSweepInterval)) {
+            throw new TypeError('The cacheSweepInterval option must be a number.');
+        }
+        if (options.cacheAdapter !== null && (typeof options.cacheAdapter !== 'object' ||
+            ['get', 'set', 'delete', 'iterate'].some(method => typeof options.cacheAdapter[method] !== 'function'))) {
+            throw new TypeError('The cacheAdapter option must implement get, set, delete and iterate.');
+        }
     }
 }
 
+/**
+ * Removes the oldest entries of a cache until it is within its limit.
+ * @param {Collection} cache The cache to trim
+ * @param {number} limit The maximum number of entries of the cache (negative for unlimited)
+ * @param {Function} [keep] Function returning whether an entry must be kept regardless
+ * @returns {number} The number of removed entries
+ * @private
+ */
+function trimCache(cache, limit, keep) {
+    if (limit < 0 || cache.size <= limit) return 0;
+    let removed = 0;
+    for (const _arr of cache) {
+        if (cache.size <= limit) break;
+        const key = _arr[0], value = _arr[1];
+        if (keep && keep(value)) continue;
+        cache.delete(key);
+        removed++;
+    }
+    return removed;
+}
+
 module.exports = Client;
 
 /**
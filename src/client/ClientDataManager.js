@@ -11,23 +11,61 @@ const VoiceChannel = require('../structures/VoiceChannel');
 const CategoryChannel = require('../structures/CategoryChannel');
 const NewsChannel = require('../structures/NewsChannel');
 const StoreChannel = require('../structures/StoreChannel');
+const StageChannel = require('../structures/StageChannel');
+const ThreadChannel = require('../structures/ThreadChannel');
 const DMChannel = require('../structures/DMChannel');
 const GroupDMChannel = require('../structures/GroupDMChannel');
+const Collection = require('../util/Collection');
+
+/**
+ * Properties of raw guilds that are not kept in the cache adapter, as they are stored separately or go stale
+ * @type {string[]}
+ * @private
+ */
+const UnpersistedGuildProperties = ['members', 'presences', 'channels', 'roles', 'voice_states', 'threads',
+  'stage_instances', 'guild_scheduled_events'];
+
+/**
+ * Calls a function with a value, or with what it resolves to if it is a Promise.
+ * @param {*} value The value
+ * @param {Function} fn The function to call
+ * @returns {*}
+ * @private
+ */
+function chain(value, fn) {
+  return value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+}
 
 class ClientDataManager {
   constructor(client) {
     this.client = client;
+
+    /**
+     * Whether the caches are being restored from the cache adapter
+     * @type {boolean}
+     */
+    this.restoring = false;
+  }
+
+  /**
+   * The cache adapter of the client, if any
+   * @type {?CacheAdapter}
+   * @readonly
+   */
+  get adapter() {
+    return this.client.options.cacheAdapter;
   }
 
   get pastReady() {
-    return this.client.ws.connection.status === Constants.Status.READY;
+    return this.client.ws.status === Constants.Status.READY;
   }
 
   newGuild(data) {
     const already = this.client.guilds.has(data.id);
     const guild = new Guild(this.client, data);
     this.client.guilds.set(guild.id, guild);
-    if (this.pastReady && !already) {
+    if (!data.unavailable) this.persistGuild(data);
+    if (guild.shard && guild.shard.status === Constants.Status.READY && !already) {
       /**
        * Emitted whenever the client joins a guild.
        * @event Client#guildCreate
@@ -44,7 +82,12 @@ class ClientDataManager {
   }
 
   newUser(data, cache) { if(cache===undefined)cache = true;
-    if (this.client.users.has(data.id)) return this.client.users.get(data.id);
+    const existing = this.client.users.get(data.id);
+    if (existing) {
+      // Fill in users that were cached as partials
+      if (existing.partial && typeof data.username === 'string') existing.setup(data);
+      return existing;
+    }
     const user = new User(this.client, data);
     if (cache) this.client.users.set(user.id, user);
     return user;
@@ -78,15 +121,27 @@ class ClientDataManager {
           case Constants.ChannelTypes.STORE:
             channel = new StoreChannel(guild, data);
             break;
+          case Constants.ChannelTypes.STAGE:
+            channel = new StageChannel(guild, data);
+            break;
+          case Constants.ChannelTypes.NEWS_THREAD:
+          case Constants.ChannelTypes.PUBLIC_THREAD:
+          case Constants.ChannelTypes.PRIVATE_THREAD:
+            channel = new ThreadChannel(guild, data);
+            break;
         }
 
-        guild.channels.set(channel.id, channel);
+        if (channel instanceof ThreadChannel) guild.threads.set(channel.id, channel);
+        else if (channel) guild.channels.set(channel.id, channel);
       }
     }
 
     if (channel && !already) {
-      if (this.pastReady) this.client.emit(Constants.Events.CHANNEL_CREATE, channel);
       this.client.channels.set(channel.id, channel);
+      // Threads have their own events, and are not persisted as they are sent again with their guild
+      if (channel instanceof ThreadChannel) return channel;
+      if (this.pastReady && !this.restoring) this.client.emit(Constants.Events.CHANNEL_CREATE, channel);
+      this.persist('channels', channel.id, guild ? Object.assign({ guild_id: guild.id }, data) : data);
       return channel;
     } else if (already) {
       return channel;
@@ -118,6 +173,7 @@ class ClientDataManager {
   killGuild(guild) {
     const already = this.client.guilds.has(guild.id);
     this.client.guilds.delete(guild.id);
+    this.unpersistGuild(guild);
     if (already && this.pastReady) this.client.emit(Constants.Events.GUILD_DELETE, guild);
   }
 
@@ -127,7 +183,133 @@ class ClientDataManager {
 
   killChannel(channel) {
     this.client.channels.delete(channel.id);
+    if (channel instanceof ThreadChannel) {
+      channel.guild.threads.delete(channel.id);
+      return;
+    }
+    this.unpersist('channels', channel.id);
     if (channel instanceof GuildChannel) channel.guild.channels.delete(channel.id);
+    // The threads of a channel are deleted along with it
+    if (channel.threads) for (const thread of channel.threads.cache.values()) this.killChannel(thread);
+  }
+
+  /**
+   * Caches threads received from the API, along with the thread members of the client user.
+   * @param {Object[]} threads The raw data of the threads
+   * @param {Object[]} [members] The raw data of the thread members of the client user
+   * @param {Guild} [guild] The guild of the threads
+   * @returns {Collection<Snowflake, ThreadChannel>}
+   */
+  newThreads(threads, members, guild) {
+    const cached = new Collection();
+    for (const data of threads) {
+      const existing = this.client.channels.get(data.id);
+      if (existing) existing.setup(data);
+      const thread = existing || this.newChannel(data, guild);
+      if (thread) cached.set(thread.id, thread);
+    }
+    if (members) {
+      for (const data of members) {
+        const thread = this.client.channels.get(data.id);
+        if (!(thread instanceof ThreadChannel)) continue;
+        thread._addMember(data);
+        if (!data.user_id || data.user_id === this.client.user.id) thread.joined = true;
+      }
+    }
+    return cached;
+  }
+
+  /**
+   * Gets a guild from the cache, or loads it from the cache adapter along with its channels and roles if it is
+   * stored there. Adapters that answer asynchronously load the guild in the background, so only later lookups
+   * find it.
+   * @param {Snowflake} id The ID of the guild
+   * @returns {?Guild}
+   */
+  getGuild(id) {
+    const guild = this.client.guilds.get(id);
+    if (guild || !id || !this.adapter) return guild;
+    const loaded = this.loadGuild(id);
+    return loaded instanceof Guild ? loaded : undefined;
+  }
+
+  /**
+   * Gets a channel from the cache, or loads it from the cache adapter if it is stored there. Adapters that answer
+   * asynchronously load the channel in the background, so only later lookups find it.
+   * @param {Snowflake} id The ID of the channel
+   * @returns {?Channel}
+   */
+  getChannel(id) {
+    const channel = this.client.channels.get(id);
+    if (channel || !id || !this.adapter) return channel;
+    const loaded = this.loadChannel(id);
+    return loaded && typeof loaded.then !== 'function' ? loaded : undefined;
+  }
+
+  /**
+   * Loads a guild from the cache adapter, along with its channels and roles.
+   * @param {Snowflake} id The ID of the guild
+   * @returns {?Guild|Promise<?Guild>}
+   */
+  loadGuild(id) {
+    const read = type => chain(this.adapter.iterate(type), entries => {
+      const values = [];
+      for (const entry of entries) if (entry[1].guild_id === id) values.push(entry[1]);
+      return values;
+    });
+    return this.handleAdapterResult(() => chain(this.adapter.get('guilds', id), data => {
+      if (!data) return null;
+      return chain(read('channels'), channels => chain(read('roles'), roles =>
+        this.client.guilds.get(id) || this.restoreGuild(data, channels, roles)
+      ));
+    }), `load guild ${id}`);
+  }
+
+  /**
+   * Loads a channel from the cache adapter, along with its guild if that is not cached either.
+   * @param {Snowflake} id The ID of the channel
+   * @returns {?Channel|Promise<?Channel>}
+   */
+  loadChannel(id) {
+    return this.handleAdapterResult(() => chain(this.adapter.get('channels', id), data => {
+      if (!data) return null;
+      const guild = data.guild_id ? this.client.guilds.get(data.guild_id) : null;
+      if (data.guild_id && !guild) {
+        return chain(this.loadGuild(data.guild_id), () => this.client.channels.get(id) || null);
+      }
+      this.restoring = true;
+      try {
+        return this.newChannel(data, guild);
+      } finally {
+        this.restoring = false;
+      }
+    }), `load channel ${id}`);
+  }
+
+  /**
+   * Creates a guild from the data stored in the cache adapter. It is unavailable until the gateway sends it.
+   * @param {Object} data The raw data of the guild
+   * @param {Object[]} channels The raw data of its channels
+   * @param {Object[]} roles The raw data of its roles
+   * @returns {Guild}
+   * @private
+   */
+  restoreGuild(data, channels, roles) {
+    this.restoring = true;
+    try {
+      const guild = new Guild(this.client, Object.assign({}, data, {
+        channels,
+        roles,
+        members: [],
+        emojis: data.emojis || [],
+      }));
+      guild.available = false;
+      guild.restored = true;
+      this.client.guilds.set(guild.id, guild);
+      return guild;
+    } finally {
+      this.restoring = false;
+    }
   }
 
   updateGuild(currentGuild, newData) {
@@ -146,6 +328,119 @@ class ClientDataManager {
     this.client.emit(Constants.Events.GUILD_EMOJI_UPDATE, oldEmoji, currentEmoji);
     return currentEmoji;
   }
+
+  /**
+   * Stores the raw data of a structure in the cache adapter, if there is one.
+   * @param {string} type The type of the structure (`guilds`, `channels` or `roles`)
+   * @param {Snowflake} key The ID of the structure
+   * @param {Object} data The raw data of the structure
+   */
+  persist(type, key, data) {
+    if (!this.adapter || this.restoring) return;
+    this.handleAdapterResult(() => this.adapter.set(type, key, data), `store ${type} ${key}`);
+  }
+
+  /**
+   * Removes the raw data of a structure from the cache adapter, if there is one.
+   * @param {string} type The type of the structure (`guilds`, `channels` or `roles`)
+   * @param {Snowflake} key The ID of the structure
+   */
+  unpersist(type, key) {
+    if (!this.adapter || this.restoring) return;
+    this.handleAdapterResult(() => this.adapter.delete(type, key), `remove ${type} ${key}`);
+  }
+
+  /**
+   * Stores the raw data of a guild in the cache adapter, along with its channels and roles when they are included.
+   * @param {Object} data The raw data of the guild
+   */
+  persistGuild(data) {
+    if (!this.adapter || this.restoring) return;
+    const guild = {};
+    for (const key of Object.keys(data)) {
+      if (!UnpersistedGuildProperties.includes(key)) guild[key] = data[key];
+    }
+    this.persist('guilds', data.id, guild);
+    if (data.channels) {
+      for (const channel of data.channels) {
+        this.persist('channels', channel.id, Object.assign({ guild_id: data.id }, channel));
+      }
+    }
+    if (data.roles) {
+      for (const role of data.roles) this.persist('roles', role.id, Object.assign({ guild_id: data.id }, role));
+    }
+  }
+
+  /**
+   * Removes a guild from the cache adapter, along with its channels and roles.
+   * @param {Guild} guild The guild to remove
+   */
+  unpersistGuild(guild) {
+    if (!this.adapter || this.restoring) return;
+    this.unpersist('guilds', guild.id);
+    for (const channel of guild.channels.values()) this.unpersist('channels', channel.id);
+    for (const role of guild.roles.values()) this.unpersist('roles', role.id);
+  }
+
+  /**
+   * Runs a cache adapter operation, emitting a warning if it fails.
+   * @param {Function} fn The operation
+   * @param {string} description What the operation does, for the warning
+   * @returns {*} The result of the operation, or null if it failed
+   * @private
+   */
+  handleAdapterResult(fn, description) {
+    const warn = err => {
+      this.client.emit(Constants.Events.WARN, `Cache adapter failed to ${description}: ${err}`);
+      return null;
+    };
+    try {
+      const result = fn();
+      return result && typeof result.then === 'function' ? result.then(null, warn) : result;
+    } catch (err) {
+      return warn(err);
+    }
+  }
+
+  /**
+   * Restores the guilds, channels and roles stored in the cache adapter. Restored guilds are unavailable until the
+   * gateway sends them, and are removed if it does not.
+   * @returns {Promise<void>} Resolves once restored, or rejects if the adapter failed
+   */
+  restore() {
+    if (!this.adapter) return Promise.resolve();
+    const read = type => Promise.resolve().then(() => this.adapter.iterate(type)).then(entries => {
+      const values = [];
+      for (const entry of entries) values.push(entry[1]);
+      return values;
+    });
+    return Promise.all([read('guilds'), read('channels'), read('roles')]).then(results => {
+      const guilds = results[0], channels = results[1], roles = results[2];
+      const guildChannels = new Map(), guildRoles = new Map();
+      for (const guild of guilds) {
+        guildChannels.set(guild.id, []);
+        guildRoles.set(guild.id, []);
+      }
+      this.restoring = true;
+      try {
+        for (const channel of channels) {
+          if (!channel.guild_id) this.newChannel(channel);
+          else if (guildChannels.has(channel.guild_id)) guildChannels.get(channel.guild_id).push(channel);
+        }
+      } finally {
+        this.restoring = false;
+      }
+      for (const role of roles) if (guildRoles.has(role.guild_id)) guildRoles.get(role.guild_id).push(role);
+      let restored = 0;
+      for (const data of guilds) {
+        if (this.client.guilds.has(data.id)) continue;
+        this.restoreGuild(data, guildChannels.get(data.id), guildRoles.get(data.id));
+        restored++;
+      }
+      this.client.emit(Constants.Events.DEBUG,
+        `Restored ${restored} guilds and ${this.client.channels.size} channels from the cache adapter`);
+    });
+  }
 }
 
 module.exports = ClientDataManager;
@@ -13,6 +13,7 @@ const Channel = require('../structures/Channel');
 const GuildMember = require('../structures/GuildMember');
 const Emoji = require('../structures/Emoji');
 const ReactionEmoji = require('../structures/ReactionEmoji');
+const Attachment = require('../structures/Attachment');
 const Role = require('../structures/Role');
 
 /**
@@ -79,7 +80,7 @@ class ClientDataResolver {
    */
   resolveGuild(guild) {
     if (guild instanceof Guild) return guild;
-    if (typeof guild === 'string') return this.client.guilds.get(guild) || null;
+    if (typeof guild === 'string') return this.client.dataManager.getGuild(guild) || null;
     return null;
   }
 
@@ -141,7 +142,7 @@ class ClientDataResolver {
    */
   resolveChannel(channel) {
     if (channel instanceof Channel) return channel;
-    if (typeof channel === 'string') return this.client.channels.get(channel) || null;
+    if (typeof channel === 'string') return this.client.dataManager.getChannel(channel) || null;
     if (channel instanceof Message) return channel.channel;
     if (channel instanceof Guild) return channel.channels.get(channel.id) || null;
     return null;
@@ -280,6 +281,48 @@ class ClientDataResolver {
     return Promise.reject(new TypeError('The resource must be a string or Buffer.'));
   }
 
+  /**
+   * Resolves the files of a message to the format used when uploading them, reading their contents.
+   * @param {Array<FileOptions|BufferResolvable|Stream|Attachment>} files The files to resolve
+   * @returns {Promise<Object[]>}
+   */
+  resolveFiles(files) {
+    if (files.length > 10) return Promise.reject(new RangeError('Messages may not have more than 10 files.'));
+    return Promise.all(files.map(file => {
+      file = this.resolveFileOptions(file);
+      return this.resolveFile(file.attachment).then(resource => {
+        file.file = resource;
+        return file;
+      });
+    }));
+  }
+
+  /**
+   * Resolves a file of a message to {@link FileOptions}, guessing its name if it has none.
+   * @param {FileOptions|BufferResolvable|Stream|Attachment} file The file to resolve
+   * @returns {FileOptions}
+   * @private
+   */
+  resolveFileOptions(file) {
+    if (file instanceof Attachment) file = file.file;
+    if (!file || typeof file === 'string' || Buffer.isBuffer(file) || typeof file.pipe === 'function') {
+      file = { attachment: file };
+    }
+    let name = file.name;
+    if (!name) {
+      if (typeof file.attachment === 'string') name = path.basename(file.attachment.split('?')[0]);
+      else if (file.attachment && file.attachment.path) name = path.basename(file.attachment.path);
+      else name = 'file.jpg';
+    }
+    if (file.spoiler && !name.startsWith('SPOILER_')) name = `SPOILER_${name}`;
+    return {
+      attachment: file.attachment,
+      name,
+      description: file.description,
+      spoiler: Boolean(file.spoiler),
+    };
+  }
+
   /**
    * Data that can be resolved to give an emoji identifier. This can be:
    * * The unicode representation of an emoji
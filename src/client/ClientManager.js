@@ -1,6 +1,7 @@
 'use strict';
 
 const Constants = require('../util/Constants');
+const Intents = require('../util/Intents');
 const WebSocketConnection = require('./websocket/WebSocketConnection');
 
 /**
@@ -39,18 +40,55 @@ class ClientManager {
   connectToWebSocket(token, resolve, reject) {
     this.client.emit(Constants.Events.DEBUG, `Authenticated using token ${token}`);
     this.client.token = token;
+    this.checkIntents();
     const timeout = this.client.setTimeout(() => reject(new Error(Constants.Errors.TOOK_TOO_LONG)), 1000 * 300);
-    this.client.rest.methods.getGateway().then(res => {
-      const protocolVersion = Constants.DefaultOptions.ws.version;
-      const gateway = `${res.url}/?v=${protocolVersion}&encoding=${WebSocketConnection.ENCODING}`;
+    const shards = this.client.options.shards;
+    const sharded = shards === 'auto' || shards.length > 1;
+    // Restore the caches first, so the guilds of the cache adapter are known when the shards become ready
+    this.client.dataManager.restore().catch(err => {
+      // A failed restore only leaves the caches empty, so it does not fail the login
+      this.client.emit(Constants.Events.WARN, `Failed to restore the caches from the cache adapter: ${err}`);
+    }).then(() => this.client.rest.methods.getGateway(true).catch(err => {
+      // Only bots have a session start limit, so unsharded user accounts fall back to the generic gateway
+      if (sharded) throw err;
+      return this.client.rest.methods.getGateway();
+    })).then(res => {
+      if (shards === 'auto') {
+        this.client.emit(Constants.Events.DEBUG, `Using the recommended shard count of ${res.shards}`);
+        this.client.options.shardCount = res.shards;
+        this.client.options.shards = [];
+        for (let i = 0; i < res.shards; i++) this.client.options.shards.push(i);
+      }
+      const limit = res.sessionStartLimit;
+      if (!res.canIdentify(this.client.options.shards.length)) {
+        this.client.clearTimeout(timeout);
+        reject(new Error(`${Constants.Errors.SESSION_START_LIMIT} ${limit.remaining} of ${limit.total} are left ` +
+          `for ${this.client.options.shards.length} shard(s), the limit resets at ${res.resetAt.toISOString()}.`));
+        return;
+      }
+      this.client.ws.sessionStartLimit = limit;
+      const protocolVersion = this.client.options.ws.version;
+      let gateway = `${res.url}/?v=${protocolVersion}&encoding=${WebSocketConnection.ENCODING}`;
+      if (this.client.options.ws.transportCompression) {
+        if (WebSocketConnection.COMPRESSION) {
+          gateway += `&compress=${WebSocketConnection.COMPRESSION}`;
+        } else {
+          this.client.emit(Constants.Events.DEBUG,
+            'Transport compression requires the zlib-sync package, falling back to payload compression');
+        }
+      }
       this.client.emit(Constants.Events.DEBUG, `Using gateway ${gateway}`);
       this.client.ws.connect(gateway);
-      this.client.ws.connection.once('error', reject);
-      this.client.ws.connection.once('close', event => {
-        if (event.code === 4004) reject(new Error(Constants.Errors.BAD_LOGIN));
-        if (event.code === 4010) reject(new Error(Constants.Errors.INVALID_SHARD));
-        if (event.code === 4011) reject(new Error(Constants.Errors.SHARDING_REQUIRED));
-      });
+      for (const connection of this.client.ws.shards.values()) {
+        connection.once('error', reject);
+        connection.once('close', event => {
+          if (event.code === 4004) reject(new Error(Constants.Errors.BAD_LOGIN));
+          if (event.code === 4010) reject(new Error(Constants.Errors.INVALID_SHARD));
+          if (event.code === 4011) reject(new Error(Constants.Errors.SHARDING_REQUIRED));
+          if (event.code === 4013) reject(new Error(Constants.Errors.INVALID_INTENTS));
+          if (event.code === 4014) reject(new Error(Constants.Errors.DISALLOWED_INTENTS));
+        });
+      }
       this.client.once(Constants.Events.READY, () => {
         resolve(token);
         this.client.clearTimeout(timeout);
@@ -58,6 +96,22 @@ class ClientManager {
     }, reject);
   }
 
+  /**
+   * Warns about options that rely on intents the client will not identify with.
+   */
+  checkIntents() {
+    const intents = new Intents(this.client.options.intents);
+    if (this.client.options.fetchAllMembers && !intents.has(Intents.FLAGS.GUILD_MEMBERS)) {
+      this.client.emit(Constants.Events.WARN,
+        'The fetchAllMembers option requires the GUILD_MEMBERS intent, members will not be fetched before ready.');
+    }
+    const cacheLimits = this.client.options.cacheLimits;
+    if (cacheLimits && typeof cacheLimits.presences !== 'undefined' && !intents.has(Intents.FLAGS.GUILD_PRESENCES)) {
+      this.client.emit(Constants.Events.WARN,
+        'The presences cache limit requires the GUILD_PRESENCES intent, presences will not be received or cached.');
+    }
+  }
+
   destroy() {
     this.client.ws.destroy();
     this.client.rest.destroy();
@@ -0,0 +1,171 @@
+'use strict';
+
+const Collection = require('../util/Collection');
+const GuildScheduledEvent = require('../structures/GuildScheduledEvent');
+
+/**
+ * Manages the scheduled events of a guild.
+ */
+class GuildScheduledEventManager {
+  constructor(guild) {
+    /**
+     * The client that instantiated this manager
+     * @name GuildScheduledEventManager#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: guild.client });
+
+    /**
+     * The guild this manager belongs to
+     * @type {Guild}
+     */
+    this.guild = guild;
+
+    /**
+     * The cached scheduled events, mapped by their IDs
+     * @type {Collection<Snowflake, GuildScheduledEvent>}
+     */
+    this.cache = new Collection();
+  }
+
+  /**
+   * Data that resolves to a scheduled event:
+   * * A GuildScheduledEvent object
+   * * A Snowflake
+   * @typedef {GuildScheduledEvent|Snowflake} GuildScheduledEventResolvable
+   */
+
+  /**
+   * Resolves a GuildScheduledEventResolvable to a scheduled event ID.
+   * @param {GuildScheduledEventResolvable} event The scheduled event to resolve
+   * @returns {?Snowflake}
+   */
+  resolveID(event) {
+    if (event instanceof GuildScheduledEvent) return event.id;
+    if (typeof event === 'string') return event;
+    return null;
+  }
+
+  /**
+   * Options for fetching scheduled events.
+   * @typedef {Object} FetchGuildScheduledEventsOptions
+   * @property {boolean} [withUserCount=true] Whether to fetch the number of subscribers of the events
+   */
+
+  /**
+   * Fetches one or all of the scheduled events of the guild from Discord.
+   * @param {GuildScheduledEventResolvable} [event] The scheduled event to fetch, fetches all events if omitted
+   * @param {FetchGuildScheduledEventsOptions} [options] Options for fetching the events
+   * @returns {Promise<GuildScheduledEvent|Collection<Snowflake, GuildScheduledEvent>>}
+   * @example
+   * // Fetch all scheduled events
+   * guild.scheduledEvents.fetch()
+   *   .then(events => console.log(`${events.size} events are planned`))
+   *   .catch(console.error);
+   */
+  fetch(event, options) {
+    if (event && typeof event === 'object' && !(event instanceof GuildScheduledEvent)) {
+      options = event;
+      event = null;
+    }
+    options = options || {};
+    const withUserCount = typeof options.withUserCount === 'undefined' ? true : options.withUserCount;
+    const id = this.resolveID(event);
+    if (id) return this.client.rest.methods.getGuildScheduledEvent(this, id, withUserCount);
+    return this.client.rest.methods.getGuildScheduledEvents(this, withUserCount);
+  }
+
+  /**
+   * The data for creating or editing a scheduled event.
+   * @typedef {Object} GuildScheduledEventEditData
+   * @property {string} [name] The name of the event
+   * @property {?string} [description] The description of the event
+   * @property {?ChannelResolvable} [channel] The stage or voice channel of the event
+   * @property {Date|number|string} [scheduledStartTime] The time the event starts at
+   * @property {?(Date|number|string)} [scheduledEndTime] The time the event ends at, required for external events
+   * @property {GuildScheduledEventPrivacyLevel} [privacyLevel='GUILD_ONLY'] The privacy level of the event
+   * @property {GuildScheduledEventEntityType} [entityType] The type of place the event takes place in
+   * @property {GuildScheduledEventStatus} [status] The status of the event (only when editing)
+   * @property {?string} [location] The location of the event, required for external events
+   */
+
+  /**
+   * Options for creating a scheduled event.
+   * @typedef {GuildScheduledEventEditData} GuildScheduledEventCreateOptions
+   * @property {string} name The name of the event
+   * @property {Date|number|string} scheduledStartTime The time the event starts at
+   * @property {GuildScheduledEventEntityType} entityType The type of place the event takes place in
+   * @property {string} [reason] Reason for creating the event
+   */
+
+  /**
+   * Creates a scheduled event in the guild.
+   * @param {GuildScheduledEventCreateOptions} options Options for the event
+   * @returns {Promise<GuildScheduledEvent>}
+   * @example
+   * // Plan an event in a stage channel
+   * guild.scheduledEvents.create({
+   *   name: 'Community call',
+   *   channel: stageChannel,
+   *   entityType: 'STAGE_INSTANCE',
+   *   scheduledStartTime: Date.now() + 3600000,
+   * })
+   *   .then(event => console.log(`Planned ${event.url}`))
+   *   .catch(console.error);
+   */
+  create(options) {
+    if (!options || typeof options.name !== 'string' || !options.scheduledStartTime || !options.entityType) {
+      return Promise.reject(new TypeError('Scheduled events must have a name, a start time and an entity type.'));
+    }
+    let data;
+    try {
+      data = GuildScheduledEvent.transformEvent(Object.assign({ privacyLevel: 'GUILD_ONLY' }, options));
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return this.client.rest.methods.createGuildScheduledEvent(this, data, options.reason);
+  }
+
+  /**
+   * Edits a scheduled event.
+   * @param {GuildScheduledEventResolvable} event The scheduled event to edit
+   * @param {GuildScheduledEventEditData} data The new data for the event
+   * @param {string} [reason] Reason for editing the event
+   * @returns {Promise<GuildScheduledEvent>}
+   */
+  edit(event, data, reason) {
+    const id = this.resolveID(event);
+    if (!id) return Promise.reject(new TypeError('The scheduled event to edit could not be resolved.'));
+    try {
+      data = GuildScheduledEvent.transformEvent(data);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return this.client.rest.methods.editGuildScheduledEvent(this, id, data, reason);
+  }
+
+  /**
+   * Deletes a scheduled event.
+   * @param {GuildScheduledEventResolvable} event The scheduled event to delete
+   * @returns {Promise<?GuildScheduledEvent>}
+   */
+  delete(event) {
+    const id = this.resolveID(event);
+    if (!id) return Promise.reject(new TypeError('The scheduled event to delete could not be resolved.'));
+    return this.client.rest.methods.deleteGuildScheduledEvent(this, id);
+  }
+
+  _add(data) {
+    const existing = this.cache.get(data.id);
+    if (existing) {
+      existing.setup(data);
+      return existing;
+    }
+    const event = new GuildScheduledEvent(this, data);
+    this.cache.set(event.id, event);
+    return event;
+  }
+}
+
+module.exports = GuildScheduledEventManager;
@@ -0,0 +1,127 @@
+'use strict';
+
+const Constants = require('../util/Constants');
+const Message = require('../structures/Message');
+
+/**
+ * Manages the threads of a text or news channel.
+ */
+class ThreadManager {
+  constructor(channel) {
+    /**
+     * The client that instantiated this manager
+     * @name ThreadManager#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: channel.client });
+
+    /**
+     * The channel this manager belongs to
+     * @type {TextChannel|NewsChannel}
+     */
+    this.channel = channel;
+  }
+
+  /**
+   * The cached threads of the channel, mapped by their IDs
+   * @type {Collection<Snowflake, ThreadChannel>}
+   * @readonly
+   */
+  get cache() {
+    return this.channel.guild.threads.filter(thread => thread.parentID === this.channel.id);
+  }
+
+  /**
+   * Options for creating a thread.
+   * @typedef {Object} ThreadCreateOptions
+   * @property {string} name The name of the thread
+   * @property {number} [autoArchiveDuration=1440] How long the thread stays active without new messages before it is
+   * archived (in minutes, either 60, 1440, 4320 or 10080)
+   * @property {MessageResolvable} [startMessage] The message to start the thread from
+   * @property {string} [type] The type of the thread when it has no start message, either `public_thread`,
+   * `private_thread` or `news_thread` (defaults to the type of threads of the channel)
+   * @property {boolean} [invitable] Whether members can invite others to the thread (private threads)
+   * @property {number} [rateLimitPerUser] The ratelimit per user for the thread in seconds
+   * @property {string} [reason] Reason for creating the thread
+   */
+
+  /**
+   * Creates a thread in the channel.
+   * @param {ThreadCreateOptions} options Options for the thread
+   * @returns {Promise<ThreadChannel>}
+   * @example
+   * // Start a thread from a message
+   * channel.threads.create({ name: 'support', startMessage: message })
+   *   .then(thread => thread.send('How can we help?'))
+   *   .catch(console.error);
+   */
+  create(options) {
+    if (!options || typeof options.name !== 'string') {
+      return Promise.reject(new TypeError('Threads must have a name.'));
+    }
+    const message = options.startMessage instanceof Message ? options.startMessage.id : options.startMessage;
+    let type = null;
+    if (!message) {
+      if (options.type) {
+        type = Constants.ChannelTypes[options.type.toUpperCase()];
+        if (typeof type !== 'number') return Promise.reject(new TypeError(`Unknown thread type ${options.type}.`));
+      } else {
+        type = this.channel.type === 'news' ? Constants.ChannelTypes.NEWS_THREAD : Constants.ChannelTypes.PUBLIC_THREAD;
+      }
+    }
+    return this.client.rest.methods.createThread(this.channel, {
+      name: options.name,
+      auto_archive_duration: options.autoArchiveDuration || 1440,
+      type: type === null ? undefined : type,
+      invitable: type === Constants.ChannelTypes.PRIVATE_THREAD ? options.invitable : undefined,
+      rate_limit_per_user: options.rateLimitPerUser,
+    }, message, options.reason);
+  }
+
+  /**
+   * The threads fetched from Discord.
+   * @typedef {Object} FetchedThreads
+   * @property {Collection<Snowflake, ThreadChannel>} threads The fetched threads
+   * @property {boolean} hasMore Whether there are more threads to fetch
+   */
+
+  /**
+   * Fetches the active threads of the channel.
+   * @returns {Promise<FetchedThreads>}
+   */
+  fetchActive() {
+    return this.client.rest.methods.getActiveThreads(this.channel.guild).then(threads => ({
+      threads: threads.filter(thread => thread.parentID === this.channel.id),
+      hasMore: false,
+    }));
+  }
+
+  /**
+   * Options for fetching archived threads.
+   * @typedef {Object} FetchArchivedThreadOptions
+   * @property {string} [type='public'] The type of threads to fetch, either `public` or `private`
+   * @property {boolean} [fetchAll=false] Whether to fetch all private threads, instead of only those the client user
+   * is a member of (this requires the `MANAGE_THREADS` permission)
+   * @property {Date|number|string} [before] Only fetch threads archived before this time
+   * @property {number} [limit] Maximum number of threads to fetch
+   */
+
+  /**
+   * Fetches the archived threads of the channel.
+   * @param {FetchArchivedThreadOptions} [options] Options for fetching the threads
+   * @returns {Promise<FetchedThreads>}
+   */
+  fetchArchived(options) { options = options || {};
+    const type = options.type || 'public';
+    if (type !== 'public' && type !== 'private') {
+      return Promise.reject(new TypeError('The type of archived threads must be public or private.'));
+    }
+    let before = options.before;
+    if (before instanceof Date || typeof before === 'number') before = new Date(before).toISOString();
+    return this.client.rest.methods.getArchivedThreads(this.channel, type, type === 'private' && !options.fetchAll,
+      { before, limit: options.limit });
+  }
+}
+
+module.exports = ThreadManager;
@@ -2,6 +2,10 @@
 
 const PartialTypes = require('../../util/Constants').PartialTypes;
 const Message = require('../../structures/Message');
+const User = require('../../structures/User');
+const DMChannel = require('../../structures/DMChannel');
+const GuildMember = require('../../structures/GuildMember');
+const MessageReaction = require('../../structures/MessageReaction');
 
 /*
 
@@ -23,28 +27,23 @@ class GenericAction {
   handle(data) {
     return data;
   }
-  
+
   // https://github.com/discordjs/discord.js/blob/cee6cf70ce76e9b06dc7f25bfd77498e18d7c8d4/src/client/actions/Action.js#L51
-  getPayload(data, manager, id, partialType, cache, cls) {
+  getPayload(data, manager, id, partialType, cache, create) {
     const existing = manager.get(id);
-    if(!existing && this.client.options.partials.includes(partialType)) {
-      const existing = manager.get(id || data.id);
-      if (existing && existing._patch && cache) existing._patch(data);
-      if (existing) return existing;
-
-      var entry;
-	  if(cls == Message) entry = new cls(this.client.channels.get(data.channel_id), data, this.client);
-      if(cache) manager.set(id || entry.id, entry);
+    if (!existing && this.client.options.partials.includes(partialType)) {
+      const entry = create(data);
+      if (cache) manager.set(entry.id, entry);
       return entry;
     }
     return existing;
   }
-  
+
   getMessage(data, channel, cache) {
     const id = data.message_id || data.id;
     return (
       data.message ||
-      this.getPayload (
+      this.getPayload(
         {
           id,
           channel_id: channel.id,
@@ -54,10 +53,77 @@ class GenericAction {
         id,
         PartialTypes.MESSAGE,
         cache,
-		Message
+        payload => new Message(channel, payload, this.client)
       )
     );
   }
+
+  getChannel(data) {
+    const id = data.channel_id || data.id;
+    const recipient = data.author || (data.user_id !== this.client.user.id ? { id: data.user_id } : null);
+    // Only DM channels can be partial, and only when the recipient is known
+    if (data.guild_id || !recipient || !recipient.id) return this.client.dataManager.getChannel(id);
+    // A recipient only known by its ID is cached as a partial user, which needs the USER partial too
+    if (typeof recipient.username !== 'string' && !this.client.users.has(recipient.id) &&
+      !this.client.options.partials.includes(PartialTypes.USER)) {
+      return this.client.dataManager.getChannel(id);
+    }
+    return this.getPayload(
+      {
+        id,
+        recipients: [recipient],
+      },
+      this.client.channels,
+      id,
+      PartialTypes.CHANNEL,
+      true,
+      payload => new DMChannel(this.client, payload)
+    );
+  }
+
+  getUser(data) {
+    const id = data.user_id;
+    if (data.user) return this.client.dataManager.newUser(data.user);
+    if (data.member && data.member.user) return this.client.dataManager.newUser(data.member.user);
+    return this.getPayload(
+      { id },
+      this.client.users,
+      id,
+      PartialTypes.USER,
+      true,
+      payload => new User(this.client, payload)
+    );
+  }
+
+  getMember(data, guild, cache) {
+    const id = data.user.id;
+    return this.getPayload(
+      {
+        user: this.client.dataManager.newUser(data.user),
+        roles: data.roles || [],
+      },
+      guild.members,
+      id,
+      PartialTypes.GUILD_MEMBER,
+      cache,
+      payload => new GuildMember(guild, payload)
+    );
+  }
+
+  getReaction(data, message, user) {
+    const id = data.emoji.id ? `${data.emoji.name}:${data.emoji.id}` : data.emoji.name;
+    return this.getPayload(
+      {
+        emoji: data.emoji,
+        me: user ? user.id === this.client.user.id : false,
+      },
+      message.reactions,
+      id,
+      PartialTypes.REACTION,
+      false,
+      payload => new MessageReaction(message, payload.emoji, null, payload.me)
+    );
+  }
 }
 
 module.exports = GenericAction;
@@ -15,6 +15,18 @@ class ActionsManager {
     this.register(require('./ChannelCreate'));
     this.register(require('./ChannelDelete'));
     this.register(require('./ChannelUpdate'));
+    this.register(require('./ThreadCreate'));
+    this.register(require('./ThreadUpdate'));
+    this.register(require('./ThreadListSync'));
+    this.register(require('./ThreadMembersUpdate'));
+    this.register(require('./StageInstanceCreate'));
+    this.register(require('./StageInstanceUpdate'));
+    this.register(require('./StageInstanceDelete'));
+    this.register(require('./GuildScheduledEventCreate'));
+    this.register(require('./GuildScheduledEventUpdate'));
+    this.register(require('./GuildScheduledEventDelete'));
+    this.register(require('./GuildScheduledEventUserAdd'));
+    this.register(require('./GuildScheduledEventUserRemove'));
     this.register(require('./GuildDelete'));
     this.register(require('./GuildUpdate'));
     this.register(require('./GuildMemberGet'));
@@ -35,6 +47,7 @@ class ActionsManager {
     this.register(require('./GuildEmojisUpdate'));
     this.register(require('./GuildRolesPositionUpdate'));
     this.register(require('./GuildChannelsPositionUpdate'));
+    this.register(require('./InteractionCreate'));
   }
 
   register(Action) {
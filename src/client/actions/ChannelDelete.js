@@ -12,7 +12,7 @@ class ChannelDeleteAction extends Action {
   handle(data) {
     const client = this.client;
 
-    let channel = client.channels.get(data.id);
+    let channel = client.dataManager.getChannel(data.id);
     if (channel) {
       client.dataManager.killChannel(channel);
       this.deleted.set(channel.id, channel);
@@ -6,6 +6,7 @@ const VoiceChannel = require('../../structures/VoiceChannel');
 const CategoryChannel = require('../../structures/CategoryChannel');
 const NewsChannel = require('../../structures/NewsChannel');
 const StoreChannel = require('../../structures/StoreChannel');
+const StageChannel = require('../../structures/StageChannel');
 const Constants = require('../../util/Constants');
 const ChannelTypes = Constants.ChannelTypes;
 const Util = require('../../util/Util');
@@ -14,7 +15,7 @@ class ChannelUpdateAction extends Action {
   handle(data) {
     const client = this.client;
 
-    let channel = client.channels.get(data.id);
+    let channel = client.dataManager.getChannel(data.id);
     if (channel) {
       const oldChannel = Util.cloneObject(channel);
 
@@ -38,6 +39,9 @@ class ChannelUpdateAction extends Action {
           case ChannelTypes.STORE:
             channelClass = StoreChannel;
             break;
+          case ChannelTypes.STAGE:
+            channelClass = StageChannel;
+            break;
         }
 
         // Create the new channel instance and copy over cached data
@@ -55,6 +59,7 @@ class ChannelUpdateAction extends Action {
         channel.setup(data);
       }
 
+      client.dataManager.persist('channels', channel.id, data);
       client.emit(Constants.Events.CHANNEL_UPDATE, oldChannel, channel);
       return {
         old: oldChannel,
@@ -6,7 +6,7 @@ const Constants = require('../../util/Constants');
 class GuildBanRemove extends Action {
   handle(data) {
     const client = this.client;
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
     const user = client.dataManager.newUser(data.user);
     if (guild && user) client.emit(Constants.Events.GUILD_BAN_REMOVE, guild, user);
   }
@@ -6,7 +6,7 @@ class GuildChannelsPositionUpdate extends Action {
   handle(data) {
     const client = this.client;
 
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
     if (guild) {
       for (const partialChannel of data.channels) {
         const channel = guild.channels.get(partialChannel.id);
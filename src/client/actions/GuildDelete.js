@@ -12,7 +12,7 @@ class GuildDeleteAction extends Action {
   handle(data) {
     const client = this.client;
 
-    let guild = client.guilds.get(data.id);
+    let guild = client.dataManager.getGuild(data.id);
     if (guild) {
       for (const channel of guild.channels.values()) {
         if (channel.type === 'text') channel.stopTyping(true);
@@ -31,10 +31,12 @@ class GuildDeleteAction extends Action {
       }
 
       for (const channel of guild.channels.values()) this.client.channels.delete(channel.id);
+      for (const thread of guild.threads.values()) this.client.channels.delete(thread.id);
       if (guild.voiceConnection) guild.voiceConnection.disconnect();
 
       // Delete guild
       client.guilds.delete(guild.id);
+      client.dataManager.unpersistGuild(guild);
       this.deleted.set(guild.id, guild);
       this.scheduleForDeletion(guild.id);
     } else {
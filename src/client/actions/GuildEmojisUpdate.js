@@ -24,7 +24,7 @@ function mappify(iterable) {
 
 class GuildEmojisUpdateAction extends Action {
   handle(data) {
-    const guild = this.client.guilds.get(data.guild_id);
+    const guild = this.client.dataManager.getGuild(data.guild_id);
     if (!guild || !guild.emojis) return;
 
     const deletions = mappify(guild.emojis.entries());
@@ -4,6 +4,12 @@ const Action = require('./Action');
 
 class GuildMemberGetAction extends Action {
   handle(guild, data) {
+    const existing = guild.members.get(data.user.id);
+    if (existing && existing.partial) {
+      data.user = this.client.actions.UserGet.handle(data.user).user;
+      existing.setup(data);
+      return { member: existing };
+    }
     const member = guild._addMember(data, false);
     return { member };
   }
@@ -11,7 +11,7 @@ class GuildMemberRemoveAction extends Action {
 
   handle(data) {
     const client = this.client;
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
     let member = null;
     if (guild) {
       member = guild.members.get(data.user.id);
@@ -23,6 +23,12 @@ class GuildMemberRemoveAction extends Action {
         this.scheduleForDeletion(guild.id, data.user.id);
       } else {
         member = this.deleted.get(guild.id + data.user.id) || null;
+        if (!member) {
+          member = this.getMember(data, guild, false) || null;
+          if (member && client.status === Constants.Status.READY) {
+            client.emit(Constants.Events.GUILD_MEMBER_REMOVE, member);
+          }
+        }
       }
       if (member) member.deleted = true;
     }
@@ -35,7 +41,8 @@ class GuildMemberRemoveAction extends Action {
 }
 
 /**
- * Emitted whenever a member leaves a guild, or is kicked.
+ * Emitted whenever a member leaves a guild, or is kicked. If the member is not cached, this requires the
+ * `GUILD_MEMBER` partial, and the member will be partial.
  * @event Client#guildMemberRemove
  * @param {GuildMember} member The member that has left/been kicked from the guild
  */
@@ -7,12 +7,13 @@ const Role = require('../../structures/Role');
 class GuildRoleCreate extends Action {
   handle(data) {
     const client = this.client;
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
     let role;
     if (guild) {
       const already = guild.roles.has(data.role.id);
       role = new Role(guild, data.role);
       guild.roles.set(role.id, role);
+      client.dataManager.persist('roles', role.id, Object.assign({ guild_id: guild.id }, data.role));
       if (!already) client.emit(Constants.Events.GUILD_ROLE_CREATE, role);
     }
     return { role };
@@ -11,13 +11,14 @@ class GuildRoleDeleteAction extends Action {
 
   handle(data) {
     const client = this.client;
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
     let role;
 
     if (guild) {
       role = guild.roles.get(data.role_id);
       if (role) {
         guild.roles.delete(data.role_id);
+        client.dataManager.unpersist('roles', data.role_id);
         this.deleted.set(guild.id + data.role_id, role);
         this.scheduleForDeletion(guild.id, data.role_id);
         client.emit(Constants.Events.GUILD_ROLE_DELETE, role);
@@ -7,7 +7,7 @@ const Util = require('../../util/Util');
 class GuildRoleUpdateAction extends Action {
   handle(data) {
     const client = this.client;
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
 
     if (guild) {
       const roleData = data.role;
@@ -17,6 +17,7 @@ class GuildRoleUpdateAction extends Action {
       if (role) {
         oldRole = Util.cloneObject(role);
         role.setup(data.role);
+        client.dataManager.persist('roles', role.id, Object.assign({ guild_id: guild.id }, data.role));
         client.emit(Constants.Events.GUILD_ROLE_UPDATE, oldRole, role);
       }
 
@@ -6,7 +6,7 @@ class GuildRolesPositionUpdate extends Action {
   handle(data) {
     const client = this.client;
 
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
     if (guild) {
       for (const partialRole of data.roles) {
         const role = guild.roles.get(partialRole.id);
@@ -0,0 +1,26 @@
+'use strict';
+
+const Action = require('./Action');
+const Constants = require('../../util/Constants');
+
+class GuildScheduledEventCreateAction extends Action {
+  handle(data) {
+    const client = this.client;
+    const guild = client.dataManager.getGuild(data.guild_id);
+    let event = null;
+    if (guild) {
+      const already = guild.scheduledEvents.cache.has(data.id);
+      event = guild.scheduledEvents._add(data);
+      if (!already) client.emit(Constants.Events.GUILD_SCHEDULED_EVENT_CREATE, event);
+    }
+    return { event };
+  }
+}
+
+/**
+ * Emitted whenever a guild scheduled event is created.
+ * @event Client#guildScheduledEventCreate
+ * @param {GuildScheduledEvent} event The scheduled event that was created
+ */
+
+module.exports = GuildScheduledEventCreateAction;
@@ -0,0 +1,36 @@
+'use strict';
+
+const Action = require('./Action');
+
+class GuildScheduledEventDeleteAction extends Action {
+  constructor(client) {
+    super(client);
+    this.deleted = new Map();
+  }
+
+  handle(data) {
+    const client = this.client;
+    const guild = client.dataManager.getGuild(data.guild_id);
+    let event = null;
+
+    if (guild) {
+      event = guild.scheduledEvents.cache.get(data.id);
+      if (event) {
+        guild.scheduledEvents.cache.delete(data.id);
+        this.deleted.set(data.id, event);
+        this.scheduleForDeletion(data.id);
+      } else {
+        event = this.deleted.get(data.id) || null;
+      }
+      if (event) event.deleted = true;
+    }
+
+    return { event };
+  }
+
+  scheduleForDeletion(id) {
+    this.client.setTimeout(() => this.deleted.delete(id), this.client.options.restWsBridgeTimeout);
+  }
+}
+
+module.exports = GuildScheduledEventDeleteAction;
@@ -0,0 +1,44 @@
+'use strict';
+
+const Action = require('./Action');
+const Constants = require('../../util/Constants');
+const Util = require('../../util/Util');
+
+class GuildScheduledEventUpdateAction extends Action {
+  handle(data) {
+    const client = this.client;
+    const guild = client.dataManager.getGuild(data.guild_id);
+
+    if (guild) {
+      const event = guild.scheduledEvents.cache.get(data.id);
+      if (event) {
+        const oldEvent = Util.cloneObject(event);
+        event.setup(data);
+        client.emit(Constants.Events.GUILD_SCHEDULED_EVENT_UPDATE, oldEvent, event);
+        return {
+          old: oldEvent,
+          updated: event,
+        };
+      }
+
+      return {
+        old: null,
+        updated: guild.scheduledEvents._add(data),
+      };
+    }
+
+    return {
+      old: null,
+      updated: null,
+    };
+  }
+}
+
+/**
+ * Emitted whenever a guild scheduled event is updated - e.g. status change.
+ * @event Client#guildScheduledEventUpdate
+ * @param {GuildScheduledEvent} oldEvent The scheduled event before the update
+ * @param {GuildScheduledEvent} newEvent The scheduled event after the update
+ */
+
+module.exports = GuildScheduledEventUpdateAction;
@@ -0,0 +1,30 @@
+'use strict';
+
+const Action = require('./Action');
+const Constants = require('../../util/Constants');
+
+class GuildScheduledEventUserAddAction extends Action {
+  handle(data) {
+    const client = this.client;
+    const guild = client.dataManager.getGuild(data.guild_id);
+    if (!guild) return { event: null, user: null };
+
+    const event = guild.scheduledEvents.cache.get(data.guild_scheduled_event_id);
+    const user = this.getUser(data);
+    if (!event || !user) return { event: null, user: null };
+
+    if (event.userCount !== null) event.userCount++;
+    client.emit(Constants.Events.GUILD_SCHEDULED_EVENT_USER_ADD, event, user);
+    return { event, user };
+  }
+}
+
+/**
+ * Emitted whenever a user subscribes to a guild scheduled event. If the user is not cached, this requires the `USER`
+ * partial, and the user will be partial.
+ * @event Client#guildScheduledEventUserAdd
+ * @param {GuildScheduledEvent} event The scheduled event
+ * @param {User} user The user
+ */
+
+module.exports = GuildScheduledEventUserAddAction;
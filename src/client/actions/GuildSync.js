@@ -6,7 +6,7 @@ class GuildSync extends Action {
   handle(data) {
     const client = this.client;
 
-    const guild = client.guilds.get(data.id);
+    const guild = client.dataManager.getGuild(data.id);
     if (guild) {
       if (data.presences) {
         for (const presence of data.presences) guild._setPresence(presence.user.id, presence);
@@ -8,10 +8,11 @@ class GuildUpdateAction extends Action {
   handle(data) {
     const client = this.client;
 
-    const guild = client.guilds.get(data.id);
+    const guild = client.dataManager.getGuild(data.id);
     if (guild) {
       const oldGuild = Util.cloneObject(guild);
       guild.setup(data);
+      client.dataManager.persistGuild(data);
       client.emit(Constants.Events.GUILD_UPDATE, oldGuild, guild);
       return {
         old: oldGuild,
@@ -0,0 +1,21 @@
+'use strict';
+
+const Action = require('./Action');
+const Interaction = require('../../structures/Interaction');
+const Events = require('../../util/Constants').Events;
+
+class InteractionCreateAction extends Action {
+  handle(data) {
+    const client = this.client;
+    const interaction = new Interaction(client, data);
+    /**
+     * Emitted when an interaction is created, e.g. when a user uses a slash command.
+     * @event Client#interactionCreate
+     * @param {Interaction} interaction The interaction that was created
+     */
+    client.emit(Events.INTERACTION_CREATE, interaction);
+    return { interaction };
+  }
+}
+
+module.exports = InteractionCreateAction;
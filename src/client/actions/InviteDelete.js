@@ -7,8 +7,8 @@ const Events = require('../../util/Constants').Events;
 class InviteDeleteAction extends Action {
   handle(data) {
     const client = this.client;
-    const guild = client.guilds.get(data.guild_id);
-    const channel = client.channels.get(data.channel_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
+    const channel = client.dataManager.getChannel(data.channel_id);
     if (guild && channel) {
       const inviteData = Object.assign(data, { guild, channel });
       const invite = new Invite(client, inviteData);
@@ -7,7 +7,7 @@ class MessageCreateAction extends Action {
   handle(data) {
     const client = this.client;
 
-    const channel = client.channels.get((data instanceof Array ? data[0] : data).channel_id);
+    const channel = client.dataManager.getChannel((data instanceof Array ? data[0] : data).channel_id);
     const user = client.users.get((data instanceof Array ? data[0] : data).author.id);
     if (channel) {
       const member = channel.guild ? channel.guild.member(user) : null;
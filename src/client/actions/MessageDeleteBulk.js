@@ -7,7 +7,7 @@ const Constants = require('../../util/Constants');
 class MessageDeleteBulkAction extends Action {
   handle(data) {
     const messages = new Collection();
-    const channel = this.client.channels.get(data.channel_id);
+    const channel = this.client.dataManager.getChannel(data.channel_id);
 
     if (channel) {
       for (const id of data.ids) {
@@ -12,14 +12,14 @@ const Constants = require('../../util/Constants');
 
 class MessageReactionAdd extends Action {
   handle(data) {
-    const user = this.client.users.get(data.user_id);
+    const user = this.getUser(data);
     if (!user) return false;
     // Verify channel
-    const channel = this.client.channels.get(data.channel_id);
-    if (!channel || channel.type === 'voice') return false;
+    const channel = this.getChannel(data);
+    if (!channel || channel.type === 'voice' || channel.type === 'stage') return false;
     // Verify message
-    const message = this.getMessage(data, channel);  // channel.messages.get(data.message_id);
-	if (!message) return false;
+    const message = this.getMessage(data, channel, true);
+    if (!message) return false;
     if (!data.emoji) return false;
     // Verify reaction
     const reaction = message._addReaction(data.emoji, user);
@@ -30,7 +30,8 @@ class MessageReactionAdd extends Action {
 }
 
 /**
- * Emitted whenever a reaction is added to a cached message.
+ * Emitted whenever a reaction is added to a message. If the message is not cached, this requires the `MESSAGE`
+ * partial, and the reaction will be partial.
  * @event Client#messageReactionAdd
  * @param {MessageReaction} messageReaction The reaction object
  * @param {User} user The user that applied the emoji or reaction emoji
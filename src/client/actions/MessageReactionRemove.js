@@ -12,17 +12,17 @@ const Constants = require('../../util/Constants');
 
 class MessageReactionRemove extends Action {
   handle(data) {
-    const user = this.client.users.get(data.user_id);
+    const user = this.getUser(data);
     if (!user) return false;
     // Verify channel
-    const channel = this.client.channels.get(data.channel_id);
-    if (!channel || channel.type === 'voice') return false;
+    const channel = this.getChannel(data);
+    if (!channel || channel.type === 'voice' || channel.type === 'stage') return false;
     // Verify message
-    const message = this.getMessage(data, channel);
+    const message = this.getMessage(data, channel, true);
     if (!message) return false;
     if (!data.emoji) return false;
     // Verify reaction
-    const reaction = message._removeReaction(data.emoji, user);
+    const reaction = message._removeReaction(data.emoji, user) || this.getReaction(data, message, user);
     if (reaction) this.client.emit(Constants.Events.MESSAGE_REACTION_REMOVE, reaction, user);
 
     return { message, reaction, user };
@@ -30,7 +30,8 @@ class MessageReactionRemove extends Action {
 }
 
 /**
- * Emitted whenever a reaction is removed from a cached message.
+ * Emitted whenever a reaction is removed from a message. If the reaction is not cached, this requires the
+ * `REACTION` partial, and the reaction will be partial.
  * @event Client#messageReactionRemove
  * @param {MessageReaction} messageReaction The reaction object
  * @param {User} user The user whose emoji or reaction emoji was removed
@@ -5,10 +5,10 @@ const Constants = require('../../util/Constants');
 
 class MessageReactionRemoveAll extends Action {
   handle(data) {
-    const channel = this.client.channels.get(data.channel_id);
-    if (!channel || channel.type === 'voice') return false;
+    const channel = this.getChannel(data);
+    if (!channel || channel.type === 'voice' || channel.type === 'stage') return false;
 
-    const message = channel.messages.get(data.message_id);
+    const message = this.getMessage(data, channel);
     if (!message) return false;
 
     message._clearReactions();
@@ -19,7 +19,8 @@ class MessageReactionRemoveAll extends Action {
 }
 
 /**
- * Emitted whenever all reactions are removed from a cached message.
+ * Emitted whenever all reactions are removed from a message. If the message is not cached, this requires the
+ * `MESSAGE` partial, and the message will be partial.
  * @event Client#messageReactionRemoveAll
  * @param {Message} message The message the reactions were removed from
  */
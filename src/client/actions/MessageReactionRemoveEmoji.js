@@ -6,14 +6,14 @@ const Constants = require('../../util/Constants');
 class MessageReactionRemoveEmoji extends Action {
   handle(data) {
     // Verify channel
-    const channel = this.client.channels.get(data.channel_id);
-    if (!channel || channel.type === 'voice') return false;
+    const channel = this.getChannel(data);
+    if (!channel || channel.type === 'voice' || channel.type === 'stage') return false;
     // Verify message
-    const message = channel.messages.get(data.message_id);
+    const message = this.getMessage(data, channel);
     if (!message) return false;
     if (!data.emoji) return false;
     // Verify reaction
-    const reaction = message._removeReaction(data.emoji);
+    const reaction = message._removeReaction(data.emoji) || this.getReaction(data, message);
     if (reaction) this.client.emit(Constants.Events.MESSAGE_REACTION_REMOVE_EMOJI, reaction);
 
     return { message, reaction };
@@ -21,7 +21,8 @@ class MessageReactionRemoveEmoji extends Action {
 }
 
 /**
- * Emitted whenever a reaction emoji is removed from a cached message.
+ * Emitted whenever a reaction emoji is removed from a message. If the reaction is not cached, this requires the
+ * `REACTION` partial, and the reaction will be partial.
  * @event Client#messageReactionRemoveEmoji
  * @param {MessageReaction} messageReaction The reaction object
  */
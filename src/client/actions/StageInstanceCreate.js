@@ -0,0 +1,32 @@
+'use strict';
+
+const Action = require('./Action');
+const Constants = require('../../util/Constants');
+const StageInstance = require('../../structures/StageInstance');
+
+class StageInstanceCreateAction extends Action {
+  handle(data) {
+    const client = this.client;
+    const guild = client.dataManager.getGuild(data.guild_id);
+    let stageInstance = null;
+    if (guild) {
+      stageInstance = guild.stageInstances.get(data.id);
+      if (stageInstance) {
+        stageInstance.setup(data);
+      } else {
+        stageInstance = new StageInstance(guild, data);
+        guild.stageInstances.set(stageInstance.id, stageInstance);
+        client.emit(Constants.Events.STAGE_INSTANCE_CREATE, stageInstance);
+      }
+    }
+    return { stageInstance };
+  }
+}
+
+/**
+ * Emitted whenever a stage instance is created.
+ * @event Client#stageInstanceCreate
+ * @param {StageInstance} stageInstance The stage instance that was created
+ */
+
+module.exports = StageInstanceCreateAction;
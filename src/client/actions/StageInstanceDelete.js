@@ -0,0 +1,36 @@
+'use strict';
+
+const Action = require('./Action');
+
+class StageInstanceDeleteAction extends Action {
+  constructor(client) {
+    super(client);
+    this.deleted = new Map();
+  }
+
+  handle(data) {
+    const client = this.client;
+    const guild = client.dataManager.getGuild(data.guild_id);
+    let stageInstance = null;
+
+    if (guild) {
+      stageInstance = guild.stageInstances.get(data.id);
+      if (stageInstance) {
+        guild.stageInstances.delete(data.id);
+        this.deleted.set(data.id, stageInstance);
+        this.scheduleForDeletion(data.id);
+      } else {
+        stageInstance = this.deleted.get(data.id) || null;
+      }
+      if (stageInstance) stageInstance.deleted = true;
+    }
+
+    return { stageInstance };
+  }
+
+  scheduleForDeletion(id) {
+    this.client.setTimeout(() => this.deleted.delete(id), this.client.options.restWsBridgeTimeout);
+  }
+}
+
+module.exports = StageInstanceDeleteAction;
@@ -0,0 +1,44 @@
+'use strict';
+
+const Action = require('./Action');
+const Constants = require('../../util/Constants');
+const Util = require('../../util/Util');
+
+class StageInstanceUpdateAction extends Action {
+  handle(data) {
+    const client = this.client;
+    const guild = client.dataManager.getGuild(data.guild_id);
+
+    if (guild) {
+      const stageInstance = guild.stageInstances.get(data.id);
+      if (stageInstance) {
+        const oldStageInstance = Util.cloneObject(stageInstance);
+        stageInstance.setup(data);
+        client.emit(Constants.Events.STAGE_INSTANCE_UPDATE, oldStageInstance, stageInstance);
+        return {
+          old: oldStageInstance,
+          updated: stageInstance,
+        };
+      }
+
+      return {
+        old: null,
+        updated: client.actions.StageInstanceCreate.handle(data).stageInstance,
+      };
+    }
+
+    return {
+      old: null,
+      updated: null,
+    };
+  }
+}
+
+/**
+ * Emitted whenever a stage instance is updated - e.g. topic change.
+ * @event Client#stageInstanceUpdate
+ * @param {StageInstance} oldStageInstance The stage instance before the update
+ * @param {StageInstance} newStageInstance The stage instance after the update
+ */
+
+module.exports = StageInstanceUpdateAction;
@@ -0,0 +1,26 @@
+'use strict';
+
+const Action = require('./Action');
+const Constants = require('../../util/Constants');
+
+class ThreadCreateAction extends Action {
+  handle(data) {
+    const client = this.client;
+    const existing = client.channels.get(data.id);
+    if (existing) {
+      existing.setup(data);
+      return { thread: existing };
+    }
+    const thread = client.dataManager.newChannel(data);
+    if (thread) client.emit(Constants.Events.THREAD_CREATE, thread);
+    return { thread };
+  }
+}
+
+/**
+ * Emitted whenever a thread is created, or the client user is added to a thread.
+ * @event Client#threadCreate
+ * @param {ThreadChannel} thread The thread that was created
+ */
+
+module.exports = ThreadCreateAction;
@@ -0,0 +1,32 @@
+'use strict';
+
+const Action = require('./Action');
+const Constants = require('../../util/Constants');
+
+class ThreadListSyncAction extends Action {
+  handle(data) {
+    const client = this.client;
+    const guild = client.dataManager.getGuild(data.guild_id);
+    if (!guild) return { threads: null };
+
+    // Active threads of the synced channels that aren't sent anymore can't be seen by the client user
+    for (const thread of guild.threads.values()) {
+      if (thread.archived) continue;
+      if (data.channel_ids && !data.channel_ids.includes(thread.parentID)) continue;
+      client.dataManager.killChannel(thread);
+    }
+
+    const threads = client.dataManager.newThreads(data.threads, data.members, guild);
+    client.emit(Constants.Events.THREAD_LIST_SYNC, threads, guild);
+    return { threads };
+  }
+}
+
+/**
+ * Emitted whenever the client user gains access to channels, with the active threads of those channels.
+ * @event Client#threadListSync
+ * @param {Collection<Snowflake, ThreadChannel>} threads The synced threads
+ * @param {Guild} guild The guild of the threads
+ */
+
+module.exports = ThreadListSyncAction;
@@ -0,0 +1,41 @@
+'use strict';
+
+const Action = require('./Action');
+const Constants = require('../../util/Constants');
+
+class ThreadMembersUpdateAction extends Action {
+  handle(data) {
+    const client = this.client;
+    const thread = client.channels.get(data.id);
+    if (!thread || !thread.members) return { thread: null };
+
+    const oldMembers = thread.members.clone();
+    thread.memberCount = data.member_count;
+    if (data.added_members) {
+      for (const member of data.added_members) {
+        thread._addMember(member);
+        if (member.user_id === client.user.id) thread.joined = true;
+      }
+    }
+    if (data.removed_member_ids) {
+      for (const id of data.removed_member_ids) {
+        thread.members.delete(id);
+        if (id === client.user.id) thread.joined = false;
+      }
+    }
+
+    client.emit(Constants.Events.THREAD_MEMBERS_UPDATE, thread, oldMembers, thread.members);
+    return { thread };
+  }
+}
+
+/**
+ * Emitted whenever members are added to or removed from a thread.
+ * <info>This requires the `GUILD_MEMBERS` intent, except for the client user.</info>
+ * @event Client#threadMembersUpdate
+ * @param {ThreadChannel} thread The thread
+ * @param {Collection<Snowflake, ThreadMember>} oldMembers The cached members before the update
+ * @param {Collection<Snowflake, ThreadMember>} newMembers The cached members after the update
+ */
+
+module.exports = ThreadMembersUpdateAction;
@@ -0,0 +1,37 @@
+'use strict';
+
+const Action = require('./Action');
+const Constants = require('../../util/Constants');
+const Util = require('../../util/Util');
+
+class ThreadUpdateAction extends Action {
+  handle(data) {
+    const client = this.client;
+
+    const thread = client.channels.get(data.id);
+    if (thread) {
+      const oldThread = Util.cloneObject(thread);
+      thread.setup(data);
+      client.emit(Constants.Events.THREAD_UPDATE, oldThread, thread);
+      return {
+        old: oldThread,
+        updated: thread,
+      };
+    }
+
+    // Threads that were archived before the client started are not cached
+    return {
+      old: null,
+      updated: client.dataManager.newChannel(data),
+    };
+  }
+}
+
+/**
+ * Emitted whenever a thread is updated - e.g. name change, archive state change.
+ * @event Client#threadUpdate
+ * @param {ThreadChannel} oldThread The thread before the update
+ * @param {ThreadChannel} newThread The thread after the update
+ */
+
+module.exports = ThreadUpdateAction;
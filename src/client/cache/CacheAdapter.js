@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * The base class of cache adapters, which store the raw data of guilds, channels and roles outside of the client so
+ * it can be restored when the client starts, and shared by several clients. Each method may return its result
+ * directly, or a Promise of it.
+ * <info>Data is stored by type (`guilds`, `channels` or `roles`) and ID, and is always JSON-serialisable.</info>
+ * <info>The client writes every change through to the adapter, and looks up guilds and channels it has not cached
+ * in it. Lookups in the middle of handling an event can only use results returned directly, so adapters that return
+ * Promises are loaded in the background and only found by later lookups.</info>
+ */
+class CacheAdapter {
+  /**
+   * Gets an entry of the cache.
+   * @param {string} type The type of the entry
+   * @param {Snowflake} key The ID of the entry
+   * @returns {?Object|Promise<?Object>}
+   */
+  get() {
+    throw new Error(`${this.constructor.name} does not implement get().`);
+  }
+
+  /**
+   * Sets an entry of the cache.
+   * @param {string} type The type of the entry
+   * @param {Snowflake} key The ID of the entry
+   * @param {Object} value The raw data of the entry
+   * @returns {*}
+   */
+  set() {
+    throw new Error(`${this.constructor.name} does not implement set().`);
+  }
+
+  /**
+   * Deletes an entry of the cache.
+   * @param {string} type The type of the entry
+   * @param {Snowflake} key The ID of the entry
+   * @returns {*}
+   */
+  delete() {
+    throw new Error(`${this.constructor.name} does not implement delete().`);
+  }
+
+  /**
+   * Iterates over the entries of a type.
+   * @param {string} type The type of the entries
+   * @returns {Iterable<Array>|Promise<Iterable<Array>>} The entries, as `[key, value]` pairs
+   */
+  iterate() {
+    throw new Error(`${this.constructor.name} does not implement iterate().`);
+  }
+}
+
+module.exports = CacheAdapter;
@@ -0,0 +1,123 @@
+'use strict';
+
+const fs = require('fs');
+const MemoryCacheAdapter = require('./MemoryCacheAdapter');
+
+/**
+ * A cache adapter that keeps entries in memory and saves snapshots of them to a JSON file, from which they are loaded
+ * when the adapter is created.
+ * <info>Snapshots are saved a while after entries change. Call {@link JSONCacheAdapter#save} before exiting to save
+ * the latest changes.</info>
+ * @extends {MemoryCacheAdapter}
+ */
+class JSONCacheAdapter extends MemoryCacheAdapter {
+  /**
+   * @param {string} file Path to the JSON file of the snapshots
+   * @param {Object} [options] Options for the adapter
+   * @param {number} [options.saveDelay=10000] How long to wait after a change before saving a snapshot
+   * (in milliseconds)
+   */
+  constructor(file, options) { options = options || {};
+    super();
+    if (!file) throw new Error('A file must be specified.');
+
+    /**
+     * Path to the JSON file of the snapshots
+     * @type {string}
+     */
+    this.file = file;
+
+    /**
+     * How long to wait after a change before saving a snapshot (in milliseconds)
+     * @type {number}
+     */
+    this.saveDelay = typeof options.saveDelay === 'number' ? options.saveDelay : 10000;
+
+    /**
+     * The timeout of the next snapshot, if one is scheduled
+     * @type {?Timeout}
+     * @private
+     */
+    this.saveTimeout = null;
+
+    this.load();
+  }
+
+  /**
+   * Loads the entries of the snapshot file, if it exists.
+   * @returns {void}
+   */
+  load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    this.stores.clear();
+    for (const type of Object.keys(data)) {
+      const store = this.store(type);
+      for (const key of Object.keys(data[type])) store.set(key, data[type][key]);
+    }
+  }
+
+  /**
+   * Saves a snapshot of the entries to the file. The snapshot is written to a temporary file first, so the
+   * previous snapshot is kept intact if writing fails.
+   * @returns {Promise<void>}
+   */
+  save() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+    const data = {};
+    for (const _arr of this.stores) {
+      const type = _arr[0], store = _arr[1];
+      data[type] = {};
+      for (const entry of store) data[type][entry[0]] = entry[1];
+    }
+    const temp = `${this.file}.tmp`;
+    return new Promise((resolve, reject) => {
+      fs.writeFile(temp, JSON.stringify(data), err => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        fs.rename(temp, this.file, renameErr => {
+          if (renameErr) reject(renameErr);
+          else resolve();
+        });
+      });
+    });
+  }
+
+  /**
+   * Schedules a snapshot to be saved, unless one already is.
+   * @returns {void}
+   * @private
+   */
+  scheduleSave() {
+    if (this.saveTimeout) return;
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save().catch(err => process.emitWarning(`Failed to save the cache snapshot: ${err}`));
+    }, this.saveDelay);
+    // Pending snapshots shouldn't keep the process alive
+    if (this.saveTimeout.unref) this.saveTimeout.unref();
+  }
+
+  set(type, key, value) {
+    super.set(type, key, value);
+    this.scheduleSave();
+  }
+
+  delete(type, key) {
+    const deleted = super.delete(type, key);
+    if (deleted) this.scheduleSave();
+    return deleted;
+  }
+}
+
+module.exports = JSONCacheAdapter;
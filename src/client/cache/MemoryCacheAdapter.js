@@ -0,0 +1,49 @@
+'use strict';
+
+const CacheAdapter = require('./CacheAdapter');
+
+/**
+ * A cache adapter that keeps entries in memory, which can be shared by the clients of a process.
+ * @extends {CacheAdapter}
+ */
+class MemoryCacheAdapter extends CacheAdapter {
+  constructor() {
+    super();
+
+    /**
+     * The entries of the cache, mapped by their type and then their ID
+     * @type {Map<string, Map<Snowflake, Object>>}
+     */
+    this.stores = new Map();
+  }
+
+  /**
+   * Gets the entries of a type, creating their store if needed.
+   * @param {string} type The type of the entries
+   * @returns {Map<Snowflake, Object>}
+   * @private
+   */
+  store(type) {
+    if (!this.stores.has(type)) this.stores.set(type, new Map());
+    return this.stores.get(type);
+  }
+
+  get(type, key) {
+    const value = this.store(type).get(key);
+    return typeof value === 'undefined' ? null : value;
+  }
+
+  set(type, key, value) {
+    this.store(type).set(key, value);
+  }
+
+  delete(type, key) {
+    return this.store(type).delete(key);
+  }
+
+  iterate(type) {
+    return this.store(type).entries();
+  }
+}
+
+module.exports = MemoryCacheAdapter;
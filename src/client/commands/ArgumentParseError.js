@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Represents a command argument that could not be parsed.
+ * @extends Error
+ */
+class ArgumentParseError extends Error {
+  constructor(command, argument, value) {
+    super();
+    const type = command.registry.types[argument.type];
+    this.name = 'ArgumentParseError';
+    this.message = typeof value === 'undefined' ?
+      `Missing required argument \`${argument.name}\`.` :
+      `Invalid value given for argument \`${argument.name}\`, expected ${type.hint || `a ${argument.type}`}.`;
+
+    /**
+     * The command the argument belongs to
+     * @type {Command}
+     */
+    this.command = command;
+
+    /**
+     * The argument that could not be parsed
+     * @type {CommandArgument}
+     */
+    this.argument = argument;
+
+    /**
+     * The raw value that was given, `undefined` if the argument is missing
+     * @type {*}
+     */
+    this.value = value;
+
+    /**
+     * Whether the argument was missing, rather than invalid
+     * @type {boolean}
+     */
+    this.missing = typeof value === 'undefined';
+  }
+
+  /**
+   * The usage string of the command, without the prefix
+   * @type {string}
+   * @readonly
+   */
+  get usage() {
+    return this.command.usage;
+  }
+}
+
+module.exports = ArgumentParseError;
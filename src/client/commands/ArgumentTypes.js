@@ -0,0 +1,203 @@
+'use strict';
+
+const User = require('../../structures/User');
+const GuildMember = require('../../structures/GuildMember');
+const Role = require('../../structures/Role');
+const GuildChannel = require('../../structures/GuildChannel');
+const ThreadChannel = require('../../structures/ThreadChannel');
+const Emoji = require('../../structures/Emoji');
+const MessageMentions = require('../../structures/MessageMentions');
+
+const anchored = pattern => new RegExp(`^${pattern.source}$`);
+const USER_MENTION = anchored(MessageMentions.USERS_PATTERN);
+const ROLE_MENTION = anchored(MessageMentions.ROLES_PATTERN);
+const CHANNEL_MENTION = anchored(MessageMentions.CHANNELS_PATTERN);
+const CUSTOM_EMOJI = /^<a?:(\w+):(\d+)>$/;
+const SNOWFLAKE = /^\d{17,19}$/;
+const DURATION = /(\d+(?:\.\d+)?)\s*(ms|w|d|h|m|s)?/g;
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Extracts the ID from a mention or a plain ID.
+ * @param {string} value The value to extract the ID from
+ * @param {RegExp} mention The pattern of the mention
+ * @returns {?Snowflake}
+ * @private
+ */
+function resolveID(value, mention) {
+  if (mention.test(value)) return value.replace(/\D/g, '');
+  if (SNOWFLAKE.test(value)) return value;
+  return null;
+}
+
+/**
+ * A type of command argument. The built-in types are:
+ * * `string`
+ * * `integer`
+ * * `number`
+ * * `boolean` - `true`/`false`, `yes`/`no`, `on`/`off`, `1`/`0`, `enable`/`disable`
+ * * `user` - a mention, an ID or a tag of a cached user
+ * * `member` - a mention, an ID, a tag, a username or a nickname of a member of the guild
+ * * `role` - a mention, an ID or a name of a role of the guild
+ * * `channel` - a mention, an ID or a name of a channel or thread of the guild
+ * * `emoji` - a custom emoji of the client, by its ID or name, or a unicode emoji (resolved to a string)
+ * * `duration` - a duration such as `1h30m` or `90s` (resolved to milliseconds, bare numbers are seconds)
+ * @typedef {Object} ArgumentType
+ * @property {Function} parse Resolves a raw value to the argument's value, returning `null` if it is invalid.
+ * It receives the raw value and the {@link CommandContext}
+ * @property {string} [hint] Describes the expected value, used in the message of an {@link ArgumentParseError}
+ * @property {ApplicationCommandOptionType} slashType The option type used when registering the argument as a
+ * slash command option
+ */
+const ArgumentTypes = {
+  string: {
+    slashType: 'STRING',
+    hint: 'some text',
+    parse: value => (value === true ? null : String(value)),
+  },
+
+  integer: {
+    slashType: 'INTEGER',
+    hint: 'a whole number',
+    parse: value => {
+      const number = ArgumentTypes.number.parse(value);
+      return number !== null && Number.isInteger(number) ? number : null;
+    },
+  },
+
+  number: {
+    slashType: 'NUMBER',
+    hint: 'a number',
+    parse: value => {
+      if (typeof value === 'number') return value;
+      const number = typeof value === 'string' && value.trim() ? Number(value) : NaN;
+      return isNaN(number) ? null : number;
+    },
+  },
+
+  boolean: {
+    slashType: 'BOOLEAN',
+    hint: 'yes or no',
+    parse: value => {
+      if (typeof value === 'boolean') return value;
+      value = String(value).toLowerCase();
+      if (['true', 'yes', 'y', 'on', '1', 'enable'].includes(value)) return true;
+      if (['false', 'no', 'n', 'off', '0', 'disable'].includes(value)) return false;
+      return null;
+    },
+  },
+
+  user: {
+    slashType: 'USER',
+    hint: 'a user mention, ID or tag',
+    parse: (value, context) => {
+      if (value instanceof User || value instanceof GuildMember) return context.client.resolver.resolveUser(value);
+      if (typeof value !== 'string') return null;
+      const id = resolveID(value, USER_MENTION);
+      if (id) return context.client.resolver.resolveUser(id);
+      if (context.message) {
+        const mentioned = context.message.mentions.users.find(user => user.tag === value);
+        if (mentioned) return mentioned;
+      }
+      return context.client.users.find(user => user.tag === value) || null;
+    },
+  },
+
+  member: {
+    slashType: 'USER',
+    hint: 'a member mention, ID, tag or name',
+    parse: (value, context) => {
+      const guild = context.guild;
+      if (!guild) return null;
+      if (value instanceof GuildMember || value instanceof User) {
+        return context.client.resolver.resolveGuildMember(guild, value);
+      }
+      if (typeof value !== 'string') return null;
+      const id = resolveID(value, USER_MENTION);
+      if (id) return guild.members.get(id) || null;
+      const name = value.toLowerCase();
+      return guild.members.find(member => member.user.tag.toLowerCase() === name) ||
+        guild.members.find(member => member.displayName.toLowerCase() === name) ||
+        guild.members.find(member => member.user.username.toLowerCase() === name) || null;
+    },
+  },
+
+  role: {
+    slashType: 'ROLE',
+    hint: 'a role mention, ID or name',
+    parse: (value, context) => {
+      const guild = context.guild;
+      if (!guild) return null;
+      if (value instanceof Role) return value.guild === guild ? value : null;
+      if (typeof value !== 'string') return null;
+      const id = resolveID(value, ROLE_MENTION);
+      if (id) return context.client.resolver.resolveRole(guild, id) || null;
+      const name = value.replace(/^@/, '').toLowerCase();
+      return guild.roles.find(role => role.name.toLowerCase() === name) || null;
+    },
+  },
+
+  channel: {
+    slashType: 'CHANNEL',
+    hint: 'a channel or thread mention, ID or name',
+    parse: (value, context) => {
+      const guild = context.guild;
+      if (!guild) return null;
+      if (value instanceof GuildChannel || value instanceof ThreadChannel) return value.guild === guild ? value : null;
+      if (typeof value !== 'string') return null;
+      const id = resolveID(value, CHANNEL_MENTION);
+      if (id) return guild.channels.get(id) || guild.threads.get(id) || null;
+      const name = value.replace(/^#/, '').toLowerCase();
+      return guild.channels.find(channel => channel.name.toLowerCase() === name) ||
+        guild.threads.find(thread => thread.name.toLowerCase() === name) || null;
+    },
+  },
+
+  emoji: {
+    slashType: 'STRING',
+    hint: 'an emoji',
+    parse: (value, context) => {
+      if (value instanceof Emoji) return value;
+      if (typeof value !== 'string') return null;
+      const emojis = context.client.emojis;
+      const custom = value.match(CUSTOM_EMOJI);
+      if (custom) return emojis.get(custom[2]) || null;
+      if (SNOWFLAKE.test(value)) return emojis.get(value) || null;
+      const name = value.replace(/^:|:$/g, '');
+      const found = (context.guild && context.guild.emojis.find(emoji => emoji.name === name)) ||
+        emojis.find(emoji => emoji.name === name);
+      if (found) return found;
+      // Anything without letters, digits or mention syntax is assumed to be a unicode emoji
+      return /^[^\w\s<>:@#]+$/.test(value) ? value : null;
+    },
+  },
+
+  duration: {
+    slashType: 'STRING',
+    hint: 'a duration such as `1h30m` or `90s`',
+    parse: value => {
+      if (typeof value === 'number') return value * 1000;
+      if (typeof value !== 'string') return null;
+      value = value.toLowerCase().replace(/\s+/g, '');
+      let total = 0;
+      let consumed = 0;
+      let match;
+      DURATION.lastIndex = 0;
+      while ((match = DURATION.exec(value)) !== null) {
+        if (match.index !== consumed || !match[0]) break;
+        total += parseFloat(match[1]) * DURATION_UNITS[match[2] || 's'];
+        consumed += match[0].length;
+      }
+      return consumed === value.length && consumed > 0 ? total : null;
+    },
+  },
+};
+
+module.exports = ArgumentTypes;
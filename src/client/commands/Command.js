@@ -0,0 +1,171 @@
+'use strict';
+
+const Collection = require('../../util/Collection');
+const ArgumentParseError = require('./ArgumentParseError');
+
+/**
+ * Represents a command registered in a {@link CommandRegistry}.
+ */
+class Command {
+  constructor(registry, data) {
+    /**
+     * The registry this command belongs to
+     * @name Command#registry
+     * @type {CommandRegistry}
+     * @readonly
+     */
+    Object.defineProperty(this, 'registry', { value: registry });
+
+    if (!data.name || typeof data.name !== 'string') throw new TypeError('A command must have a name.');
+    if (typeof data.run !== 'function') throw new TypeError(`Command ${data.name} must have a run function.`);
+
+    /**
+     * The name of the command
+     * @type {string}
+     */
+    this.name = data.name.toLowerCase();
+
+    /**
+     * Alternative names the command can be invoked with
+     * @type {string[]}
+     */
+    this.aliases = (data.aliases || []).map(alias => alias.toLowerCase());
+
+    /**
+     * The description of the command
+     * @type {string}
+     */
+    this.description = data.description || '';
+
+    /**
+     * The arguments of the command
+     * @type {CommandArgument[]}
+     */
+    this.args = (data.args || []).map(arg => {
+      arg = Object.assign({ type: 'string', required: false, flag: false, rest: false, aliases: [] }, arg);
+      if (!registry.types[arg.type]) throw new TypeError(`Unknown argument type ${arg.type} in command ${this.name}.`);
+      return arg;
+    });
+
+    /**
+     * The permissions a member needs to use the command
+     * @type {?PermissionResolvable}
+     */
+    this.permissions = data.permissions || null;
+
+    /**
+     * Whether the command can only be used in guilds
+     * @type {boolean}
+     */
+    this.guildOnly = Boolean(data.guildOnly || data.permissions);
+
+    /**
+     * The cooldown of the command, in seconds
+     * @type {number}
+     */
+    this.cooldown = data.cooldown || 0;
+
+    /**
+     * What the cooldown of the command applies to, one of `user`, `channel` or `guild`
+     * @type {string}
+     */
+    this.cooldownScope = data.cooldownScope || 'user';
+
+    /**
+     * Whether the command is left out of the help command
+     * @type {boolean}
+     */
+    this.hidden = Boolean(data.hidden);
+
+    /**
+     * Whether the command is included in {@link CommandRegistry#toApplicationCommands}
+     * @type {boolean}
+     */
+    this.slash = data.slash !== false;
+
+    /**
+     * The function that runs the command
+     * @type {Function}
+     */
+    this.run = data.run;
+  }
+
+  /**
+   * The usage string of the command, without the prefix
+   * @type {string}
+   * @readonly
+   */
+  get usage() {
+    const parts = [this.name];
+    for (const arg of this.args) {
+      let part = arg.flag ? `--${arg.name}${arg.type === 'boolean' ? '' : `=<${arg.type}>`}` : arg.name;
+      if (arg.rest) part += '...';
+      parts.push(arg.required ? `<${part}>` : `[${part}]`);
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Resolves the arguments of the command from the parameters it was invoked with.
+   * @param {Parameters} params The parameters the command was invoked with
+   * @param {CommandContext} context The context the command was invoked in
+   * @returns {{args: Collection<string, *>, error: ?ArgumentParseError}}
+   */
+  parseArgs(params, context) {
+    const args = new Collection();
+    let position = 1;
+
+    for (const arg of this.args) {
+      let raw;
+      for (const name of [arg.name].concat(arg.aliases)) {
+        if (params.has(name)) {
+          raw = params.value(name);
+          break;
+        }
+      }
+
+      if (raw === undefined && !arg.flag) {
+        if (arg.rest) {
+          const parts = [];
+          while (params.has(position)) parts.push(params.value(position++));
+          if (parts.length) raw = parts.join(' ');
+        } else if (params.has(position)) {
+          raw = params.value(position++);
+        }
+      }
+
+      if (raw === undefined) {
+        if (arg.required) return { args, error: new ArgumentParseError(this, arg) };
+        args.set(arg.name, typeof arg.default !== 'undefined' ? arg.default : null);
+        continue;
+      }
+
+      if (raw instanceof Array) raw = raw[raw.length - 1];
+      const value = this.registry.types[arg.type].parse(raw, context);
+      if (value === null) return { args, error: new ArgumentParseError(this, arg, raw) };
+      args.set(arg.name, value);
+    }
+
+    return { args, error: null };
+  }
+
+  /**
+   * Transforms the command into data that can be registered as a slash command.
+   * @returns {ApplicationCommandData}
+   */
+  toApplicationCommand() {
+    const options = this.args.map(arg => ({
+      type: this.registry.types[arg.type].slashType,
+      name: arg.name.toLowerCase(),
+      description: arg.description || arg.name,
+      required: arg.required,
+    }));
+    return {
+      name: this.name,
+      description: this.description || this.name,
+      options: options.filter(option => option.required).concat(options.filter(option => !option.required)),
+    };
+  }
+}
+
+module.exports = Command;
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * The context a command was invoked in, either a message or a slash command interaction.
+ */
+class CommandContext {
+  constructor(registry, command, source) {
+    /**
+     * The client the command was invoked on
+     * @name CommandContext#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: registry.client });
+
+    /**
+     * The command that was invoked
+     * @type {Command}
+     */
+    this.command = command;
+
+    /**
+     * The message that invoked the command, if it was invoked with a prefix
+     * @type {?Message}
+     */
+    this.message = source.message || null;
+
+    /**
+     * The interaction that invoked the command, if it was invoked as a slash command
+     * @type {?Interaction}
+     */
+    this.interaction = source.interaction || null;
+
+    /**
+     * The prefix the command was invoked with, or `/` for slash commands
+     * @type {string}
+     */
+    this.prefix = source.prefix;
+
+    /**
+     * The raw parameters the command was invoked with
+     * @type {Parameters}
+     */
+    this.params = source.params;
+
+    /**
+     * The resolved arguments of the command, mapped by their names
+     * @type {Collection<string, *>}
+     */
+    this.args = null;
+
+    /**
+     * The member that invoked the command, if it had to be fetched
+     * @type {?GuildMember}
+     * @private
+     */
+    this._member = null;
+  }
+
+  /**
+   * The user that invoked the command
+   * @type {User}
+   * @readonly
+   */
+  get user() {
+    return this.message ? this.message.author : this.interaction.user;
+  }
+
+  /**
+   * The member that invoked the command, if it was invoked in a guild
+   * @type {?GuildMember}
+   * @readonly
+   */
+  get member() {
+    if (this._member) return this._member;
+    return this.message ? this.message.member : this.interaction.member;
+  }
+
+  /**
+   * The channel the command was invoked in
+   * @type {?Channel}
+   * @readonly
+   */
+  get channel() {
+    return this.message ? this.message.channel : this.interaction.channel;
+  }
+
+  /**
+   * The guild the command was invoked in
+   * @type {?Guild}
+   * @readonly
+   */
+  get guild() {
+    return this.message ? this.message.guild : this.interaction.guild;
+  }
+
+  /**
+   * The ID of the guild the command was invoked in, which is also known for guilds that are not cached
+   * @type {?Snowflake}
+   * @readonly
+   */
+  get guildID() {
+    if (this.message) return this.message.guild ? this.message.guild.id : null;
+    return this.interaction.guildID;
+  }
+
+  /**
+   * Replies to the invocation, by sending a message to the channel or by replying to the interaction.
+   * @param {StringResolvable} [content] The content to send
+   * @param {MessageOptions|InteractionReplyOptions} [options] The options to provide
+   * @returns {Promise<Message|Message[]|Interaction|Object>}
+   */
+  reply(content, options) {
+    if (this.message) return this.message.channel.send(content, options);
+    if (this.interaction.deferred || this.interaction.replied) return this.interaction.followUp(content, options);
+    return this.interaction.reply(content, options);
+  }
+}
+
+module.exports = CommandContext;
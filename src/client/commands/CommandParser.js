@@ -0,0 +1,87 @@
+'use strict';
+
+const Parameters = require('./Parameters');
+
+/**
+ * Parses command invocations such as `ban @user --reason="spamming" -s`. Supported parameter syntaxes:
+ * * `/key:value` and `/flag`
+ * * `--key=value` and `--flag`
+ * * `-k=value` and `-k`, where grouped short flags (`-rf`) are split into `-r -f`
+ * * Anything else is a positional parameter
+ */
+class CommandParser {
+  /**
+   * Splits content into tokens, keeping double-quoted strings together.
+   * @param {string} content The content to split
+   * @returns {string[]}
+   */
+  static tokenize(content) {
+    // https://stackoverflow.com/questions/16261635/
+    const tokens = content.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+    const result = [];
+    for (const item of tokens) {
+      // -rf >>> -r -f
+      if (item.startsWith('-') && !item.startsWith('--') && item.length >= 3) {
+        const name = item.split('=')[0];
+        const val = item.includes('=') ? item.slice(name.length + 1) : undefined;
+        for (let i = 1; i < name.length; i++) result.push(`-${name[i]}${val !== undefined ? `=${val}` : ''}`);
+      } else {
+        result.push(item);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Parses a command invocation.
+   * @param {string} content The content to parse, without the prefix
+   * @param {boolean} [legacy=false] Whether to parse as {@link Client#command} always has, keeping the quotes of
+   * positional values and overwriting empty values instead of collecting them
+   * @returns {{name: ?string, params: Parameters}}
+   */
+  static parse(content, legacy) {
+    const tokens = CommandParser.tokenize(content);
+    const params = new Parameters();
+    const multiparams = [];
+
+    for (let idx = 1, np = 1; idx < tokens.length; idx++) {
+      const token = tokens[idx];
+      const param = token.replace(/^\//, '').replace(/^[-][-]/, '').replace(/^[-]/, '');
+
+      let key, val;
+      if (param.includes(':') && token.startsWith('/')) {
+        key = param.split(':')[0];
+        val = CommandParser.unquote(param.slice(key.length + 1));
+      } else if (param.includes('=') && token.startsWith('-')) {
+        key = param.split('=')[0];
+        val = CommandParser.unquote(param.slice(key.length + 1));
+      } else if (token.startsWith('/') || token.startsWith('-')) {
+        key = param;
+        val = true;
+      } else {
+        key = np++;
+        val = legacy ? param : CommandParser.unquote(param);
+      }
+
+      const cv = params.get(key);
+      const isSet = legacy ? Boolean(cv) : cv !== undefined;
+      if (isSet && !multiparams.includes(key)) {
+        multiparams.push(key);
+        params.set(key, [cv, val]);
+      } else if (isSet) {
+        cv.push(val);
+      } else {
+        params.set(key, val);
+      }
+    }
+
+    return { name: tokens.length ? tokens[0] : null, params };
+  }
+
+  static unquote(value) {
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) return value.slice(1, -1);
+    return value;
+  }
+}
+
+module.exports = CommandParser;
@@ -0,0 +1,333 @@
+'use strict';
+
+const Collection = require('../../util/Collection');
+const Constants = require('../../util/Constants');
+const ArgumentTypes = require('./ArgumentTypes');
+const Command = require('./Command');
+const CommandContext = require('./CommandContext');
+const CommandParser = require('./CommandParser');
+const Parameters = require('./Parameters');
+
+/**
+ * Routes prefixed messages and slash command interactions to registered commands.
+ * <info>The registry only starts listening for messages and interactions once a command has been registered, and
+ * only handles messages in places where a prefix is set, see {@link ClientOptions#prefix}.</info>
+ */
+class CommandRegistry {
+  constructor(client) {
+    /**
+     * The client that instantiated this registry
+     * @name CommandRegistry#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    /**
+     * The registered commands, mapped by their names
+     * @type {Collection<string, Command>}
+     */
+    this.commands = new Collection();
+
+    /**
+     * The argument types commands can use, mapped by their names
+     * @type {Object<string, ArgumentType>}
+     */
+    this.types = Object.assign({}, ArgumentTypes);
+
+    /**
+     * Prefixes that override the default prefix for certain guilds, mapped by guild IDs
+     * @type {Collection<Snowflake, string>}
+     */
+    this.prefixes = new Collection();
+
+    /**
+     * Timestamps at which the cooldown buckets expire, mapped by bucket keys
+     * @type {Map<string, number>}
+     * @private
+     */
+    this._cooldowns = new Map();
+
+    this._listening = false;
+    this._onMessage = this._onMessage.bind(this);
+    this._onInteraction = this._onInteraction.bind(this);
+
+    this.commands.set('help', new Command(this, {
+      name: 'help',
+      description: 'Lists the available commands, or shows details about one of them.',
+      args: [{ name: 'command', description: 'The command to show details about' }],
+      run: context => this._help(context),
+    }));
+  }
+
+  /**
+   * Data for registering a command.
+   * @typedef {Object} CommandData
+   * @property {string} name The name of the command
+   * @property {string[]} [aliases] Alternative names the command can be invoked with
+   * @property {string} [description] The description of the command, shown by the help command
+   * @property {CommandArgument[]} [args] The arguments of the command
+   * @property {PermissionResolvable} [permissions] The permissions a member needs to use the command
+   * (implies `guildOnly`)
+   * @property {boolean} [guildOnly=false] Whether the command can only be used in guilds
+   * @property {number} [cooldown=0] The cooldown of the command, in seconds
+   * @property {string} [cooldownScope='user'] What the cooldown applies to, one of `user`, `channel` or `guild`
+   * @property {boolean} [hidden=false] Whether to leave the command out of the help command
+   * @property {boolean} [slash=true] Whether to include the command in {@link CommandRegistry#toApplicationCommands}
+   * @property {Function} run The function to run, which receives a {@link CommandContext}
+   */
+
+  /**
+   * An argument of a command.
+   * @typedef {Object} CommandArgument
+   * @property {string} name The name of the argument, which can also be given as `--name=value` or `/name:value`
+   * @property {string} [type='string'] The name of the {@link ArgumentType} of the argument
+   * @property {string} [description] The description of the argument
+   * @property {boolean} [required=false] Whether the argument is required
+   * @property {boolean} [flag=false] Whether the argument can only be given by name, such as `-f` or `--force`
+   * @property {string[]} [aliases] Alternative names of the argument, such as `f` for `-f`
+   * @property {boolean} [rest=false] Whether the argument consumes all remaining positional parameters
+   * @property {*} [default] The value to use when the argument is not given
+   */
+
+  /**
+   * Registers a command, replacing any command with the same name.
+   * @param {CommandData} data The data for the command
+   * @returns {Command}
+   * @example
+   * client.registry.register({
+   *   name: 'ban',
+   *   aliases: ['b'],
+   *   description: 'Bans a member',
+   *   permissions: ['BAN_MEMBERS'],
+   *   cooldown: 5,
+   *   args: [
+   *     { name: 'target', required: true },
+   *     { name: 'reason', rest: true },
+   *     { name: 'silent', type: 'boolean', flag: true, aliases: ['s'] },
+   *   ],
+   *   run: context => context.reply(`Banning ${context.args.get('target')}`),
+   * });
+   */
+  register(data) {
+    const command = new Command(this, data);
+    this.commands.set(command.name, command);
+    this._listen();
+    return command;
+  }
+
+  /**
+   * Unregisters a command.
+   * @param {string|Command} command The name or alias of the command to unregister
+   * @returns {?Command} The command that was unregistered
+   */
+  unregister(command) {
+    command = this.get(command instanceof Command ? command.name : command);
+    if (!command) return null;
+    this.commands.delete(command.name);
+    return command;
+  }
+
+  /**
+   * Gets a command by its name or one of its aliases.
+   * @param {string} name The name or alias of the command
+   * @returns {?Command}
+   */
+  get(name) {
+    if (!name) return null;
+    name = name.toLowerCase();
+    return this.commands.get(name) || this.commands.find(command => command.aliases.includes(name)) || null;
+  }
+
+  /**
+   * Registers a custom argument type.
+   * @param {string} name The name of the type
+   * @param {ArgumentType} type The type
+   * @returns {CommandRegistry}
+   */
+  registerType(name, type) {
+    if (typeof type.parse !== 'function') throw new TypeError('An argument type must have a parse function.');
+    this.types[name] = Object.assign({ slashType: 'STRING' }, type);
+    return this;
+  }
+
+  /**
+   * Gets the prefix used in a guild.
+   * @param {?GuildResolvable} guild The guild, or `null` for direct messages
+   * @returns {string} The prefix, or an empty string if messages are not handled there
+   */
+  getPrefix(guild) {
+    guild = guild ? this.client.resolver.resolveGuild(guild) : null;
+    if (guild && this.prefixes.has(guild.id)) return this.prefixes.get(guild.id);
+    return this.client.options.prefix || '';
+  }
+
+  /**
+   * Sets the prefix used in a guild.
+   * @param {GuildResolvable} guild The guild
+   * @param {?string} prefix The prefix, or `null` to use the default prefix again
+   * @returns {CommandRegistry}
+   */
+  setPrefix(guild, prefix) {
+    guild = this.client.resolver.resolveGuild(guild);
+    if (!guild) throw new TypeError('The guild could not be resolved.');
+    if (prefix === null) this.prefixes.delete(guild.id);
+    else this.prefixes.set(guild.id, prefix);
+    return this;
+  }
+
+  /**
+   * Transforms the registered commands into data that can be registered as slash commands.
+   * @returns {ApplicationCommandData[]}
+   * @example
+   * // Sync the registered commands as global slash commands
+   * client.application.commands.set(client.registry.toApplicationCommands())
+   *   .then(console.log)
+   *   .catch(console.error);
+   */
+  toApplicationCommands() {
+    return this.commands.filter(command => command.slash).map(command => command.toApplicationCommand());
+  }
+
+  _listen() {
+    if (this._listening) return;
+    this._listening = true;
+    this.client.on(Constants.Events.MESSAGE_CREATE, this._onMessage);
+    this.client.on(Constants.Events.INTERACTION_CREATE, this._onInteraction);
+  }
+
+  _onMessage(message) {
+    if (message.partial || message.author.bot || !message.content) return;
+    const prefix = this.getPrefix(message.guild);
+    if (!prefix) return;
+    if (message.content.slice(0, prefix.length).toUpperCase() !== prefix.toUpperCase()) return;
+
+    const parsed = CommandParser.parse(message.content.slice(prefix.length));
+    const command = this.get(parsed.name);
+    if (!command) return;
+
+    const context = new CommandContext(this, command, { message, prefix, params: parsed.params });
+    this._run(command, context).catch(err => this.client.emit(Constants.Events.COMMAND_ERROR, err, context));
+  }
+
+  _onInteraction(interaction) {
+    if (!interaction.isCommand()) return;
+    const command = this.get(interaction.commandName);
+    if (!command) return;
+
+    const params = new Parameters(interaction.options);
+    const context = new CommandContext(this, command, { interaction, prefix: '/', params });
+    this._run(command, context).catch(err => this.client.emit(Constants.Events.COMMAND_ERROR, err, context));
+  }
+
+  _run(command, context) {
+    if (command.guildOnly && !context.guildID) {
+      return context.reply('This command can only be used in a guild.');
+    }
+
+    if (command.permissions && !context.member) {
+      // The member is not always cached, such as without the GUILD_MEMBERS intent, and cannot be fetched from a guild
+      // that is not cached either
+      const unchecked = () => context.reply('Your permissions could not be checked, so this command cannot be used.');
+      if (!context.guild) return unchecked();
+      return context.guild.fetchMember(context.user).then(member => {
+        context._member = member;
+        return this._run(command, context);
+      }, unchecked);
+    }
+
+    if (command.permissions && !context.member.hasPermission(command.permissions)) {
+      const missing = context.member.permissions.missing(command.permissions);
+      return context.reply(`You need the following permissions to use this command: ${missing.join(', ')}`);
+    }
+
+    const remaining = this._getCooldown(command, context);
+    if (remaining > 0) {
+      return context.reply(
+        `Please wait ${(remaining / 1000).toFixed(1)} more seconds before using \`${command.name}\` again.`
+      );
+    }
+
+    const result = command.parseArgs(context.params, context);
+    if (result.error) {
+      return context.reply(`${result.error.message}\nUsage: \`${context.prefix}${result.error.usage}\``);
+    }
+    context.args = result.args;
+
+    this._setCooldown(command, context);
+
+    /**
+     * Emitted whenever a command of the {@link CommandRegistry} is run.
+     * @event Client#command
+     * @param {CommandContext} context The context the command was invoked in
+     */
+    this.client.emit(Constants.Events.COMMAND, context);
+
+    let promise;
+    try {
+      promise = Promise.resolve(command.run(context));
+    } catch (err) {
+      promise = Promise.reject(err);
+    }
+    return promise.catch(err => {
+      /**
+       * Emitted whenever a command of the {@link CommandRegistry} throws an error.
+       * @event Client#commandError
+       * @param {Error} error The error that was thrown
+       * @param {CommandContext} context The context the command was invoked in
+       */
+      this.client.emit(Constants.Events.COMMAND_ERROR, err, context);
+    });
+  }
+
+  _cooldownKey(command, context) {
+    let id = context.user.id;
+    if (command.cooldownScope === 'channel' && context.channel) id = context.channel.id;
+    else if (command.cooldownScope === 'guild' && context.guild) id = context.guild.id;
+    return `${command.name}:${id}`;
+  }
+
+  _getCooldown(command, context) {
+    if (!command.cooldown) return 0;
+    const key = this._cooldownKey(command, context);
+    const expires = this._cooldowns.get(key);
+    if (!expires) return 0;
+    if (expires <= Date.now()) {
+      this._cooldowns.delete(key);
+      return 0;
+    }
+    return expires - Date.now();
+  }
+
+  _setCooldown(command, context) {
+    if (!command.cooldown) return;
+    const now = Date.now();
+    for (const entry of this._cooldowns) {
+      if (entry[1] <= now) this._cooldowns.delete(entry[0]);
+    }
+    this._cooldowns.set(this._cooldownKey(command, context), now + (command.cooldown * 1000));
+  }
+
+  _help(context) {
+    const prefix = context.prefix;
+    const name = context.args.get('command');
+    if (name) {
+      const command = this.get(name);
+      if (!command || command.hidden) return context.reply(`Unknown command \`${name}\`.`);
+      const lines = [`\`${prefix}${command.usage}\``];
+      if (command.description) lines.push(command.description);
+      if (command.aliases.length) lines.push(`Aliases: ${command.aliases.join(', ')}`);
+      for (const arg of command.args) {
+        if (arg.description) lines.push(`• \`${arg.name}\` (${arg.type}): ${arg.description}`);
+      }
+      if (command.cooldown) lines.push(`Cooldown: ${command.cooldown} seconds`);
+      return context.reply(lines.join('\n'));
+    }
+
+    const lines = this.commands.filter(command => !command.hidden)
+      .map(command => `\`${prefix}${command.name}\`${command.description ? ` - ${command.description}` : ''}`);
+    return context.reply(lines.join('\n'));
+  }
+}
+
+module.exports = CommandRegistry;
@@ -0,0 +1,40 @@
+'use strict';
+
+const Collection = require('../../util/Collection');
+
+/**
+ * The parameters a command was invoked with. Named parameters are mapped by their (case-insensitive) names,
+ * positional parameters by their position, starting at 1.
+ * @extends {Collection}
+ */
+class Parameters extends Collection {
+  /**
+   * Checks whether a parameter was given, ignoring the case of its name.
+   * @param {string|number} key The name or position of the parameter
+   * @returns {boolean}
+   */
+  has(key) {
+    for (const k of this.keys()) {
+      if (Parameters.normalize(k) === Parameters.normalize(key)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Gets the value of a parameter, ignoring the case of its name.
+   * @param {string|number} key The name or position of the parameter
+   * @returns {*}
+   */
+  value(key) {
+    for (const k of this.keys()) {
+      if (Parameters.normalize(k) === Parameters.normalize(key)) return this.get(k);
+    }
+    return undefined;
+  }
+
+  static normalize(key) {
+    return typeof key === 'string' ? key.toUpperCase() : String(key);
+  }
+}
+
+module.exports = Parameters;
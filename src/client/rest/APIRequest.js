@@ -12,18 +12,32 @@ class APIRequest {
     this.auth = auth;
     this.data = data;
     this.files = files;
+    this.majorParameter = this.getMajorParameter(this.path);
     this.route = this.getRoute(this.path);
     this.reason = reason;
   }
 
+  /**
+   * Gets the route of a path, which requests to the same endpoint share regardless of the IDs in the path.
+   * @param {string} url The path of the request
+   * @returns {string}
+   */
   getRoute(url) {
-    let route = url.split('?')[0];
-    if (route.includes('/channels/') || route.includes('/guilds/')) {
-      const startInd = route.includes('/channels/') ? route.indexOf('/channels/') : route.indexOf('/guilds/');
-      const majorID = route.substring(startInd).split('/')[2];
-      route = route.replace(/(\d{8,})/g, ':id').replace(':id', majorID);
-    }
-    return route;
+    return url.split('?')[0]
+      .replace(/\d{16,}/g, ':id')
+      // Reactions share a bucket regardless of the emoji and the user
+      .replace(/\/reactions\/.*/, '/reactions/:reaction')
+      .replace(/\/(webhooks|interactions)\/:id\/[^/]+/, '/$1/:id/:token');
+  }
+
+  /**
+   * Gets the major parameter of a path, which rate limits are separate for.
+   * @param {string} url The path of the request
+   * @returns {string}
+   */
+  getMajorParameter(url) {
+    const match = /^\/(?:channels|guilds|webhooks)\/(\d{16,})/.exec(url);
+    return match ? match[1] : 'global';
   }
 
   getAuth() {
@@ -40,10 +54,9 @@ class APIRequest {
     const apiRequest = request[this.method](`${API}${this.path}`);
     if (this.auth) apiRequest.set('authorization', this.getAuth());
 	if (this.reason) apiRequest.set('X-Audit-Log-Reason', encodeURIComponent(this.reason));
-    if (this.file && this.file.file) {
-      apiRequest.attach('file', this.file.file, this.file.name);
-      this.data = this.data || {};
-      apiRequest.field('payload_json', JSON.stringify(this.data));
+    if (this.files && this.files.length) {
+      for (let i = 0; i < this.files.length; i++) apiRequest.attach(`files[${i}]`, this.files[i].file, this.files[i].name);
+      apiRequest.field('payload_json', JSON.stringify(this.data || {}));
     } else if (this.data) {
       apiRequest.send(this.data);
     }
@@ -5,23 +5,75 @@ const RESTMethods = require('./RESTMethods');
 const SequentialRequestHandler = require('./RequestHandlers/Sequential');
 const BurstRequestHandler = require('./RequestHandlers/Burst');
 const APIRequest = require('./APIRequest');
+const Collection = require('../../util/Collection');
 const Constants = require('../../util/Constants');
 
 class RESTManager {
   constructor(client) {
     this.client = client;
-    this.handlers = {};
+
+    /**
+     * The request handlers, mapped by the key of the bucket they handle
+     * @type {Collection<string, RequestHandler>}
+     */
+    this.handlers = new Collection();
+
+    /**
+     * The rate limit bucket hashes Discord sent for each route, mapped by the method and route
+     * @type {Collection<string, string>}
+     */
+    this.hashes = new Collection();
+
     this.userAgentManager = new UserAgentManager(this);
     this.methods = new RESTMethods(this);
-    this.rateLimitedEndpoints = {};
-    this.globallyRateLimited = false;
+
+    /**
+     * The number of requests that can be made per second across all routes
+     * @type {number}
+     */
+    this.globalLimit = 50;
+
+    /**
+     * The number of requests remaining before the global limit resets
+     * @type {number}
+     */
+    this.globalRemaining = this.globalLimit;
+
+    /**
+     * The timestamp at which the global limit resets
+     * @type {?number}
+     */
+    this.globalReset = null;
+
+    /**
+     * The number of invalid requests (401, 403 and 429 responses) made in the current window.
+     * Discord temporarily bans clients making too many of these, see
+     * {@link https://discord.com/developers/docs/topics/rate-limits#invalid-request-limit}
+     * @type {number}
+     */
+    this.invalidCount = 0;
+
+    /**
+     * The timestamp at which the invalid request count resets
+     * @type {?number}
+     */
+    this.invalidCountReset = null;
+  }
+
+  /**
+   * Whether or not the client is being rate limited on every endpoint
+   * @type {boolean}
+   * @readonly
+   */
+  get globallyRateLimited() {
+    return this.globalRemaining <= 0 && this.globalReset !== null && Date.now() < this.globalReset;
   }
 
   destroy() {
-    for (const handlerKey of Object.keys(this.handlers)) {
-      const handler = this.handlers[handlerKey];
+    for (const handler of this.handlers.values()) {
       if (handler.destroy) handler.destroy();
     }
+    this.handlers.clear();
   }
 
   push(handler, apiRequest) {
@@ -46,14 +98,103 @@ class RESTManager {
     }
   }
 
+  /**
+   * Gets the key of the bucket of a request. Until Discord sent the bucket hash of its route, the route itself is used.
+   * @param {APIRequest} apiRequest The request
+   * @returns {string}
+   */
+  getBucketKey(apiRequest) {
+    const routeKey = `${apiRequest.method}:${apiRequest.route}`;
+    const hash = this.hashes.get(routeKey) || `UNKNOWN(${routeKey})`;
+    return `${hash}:${apiRequest.majorParameter}`;
+  }
+
+  /**
+   * Records the bucket hash Discord sent for the route of a request.
+   * @param {APIRequest} apiRequest The request
+   * @param {string} hash The bucket hash
+   */
+  setBucket(apiRequest, hash) {
+    const routeKey = `${apiRequest.method}:${apiRequest.route}`;
+    if (this.hashes.get(routeKey) === hash) return;
+    this.client.emit(Constants.Events.DEBUG, `Route ${routeKey} is in bucket ${hash}`);
+    this.hashes.set(routeKey, hash);
+  }
+
+  /**
+   * Takes a request from the global limit.
+   */
+  consumeGlobal() {
+    const now = Date.now();
+    if (this.globalReset === null || now >= this.globalReset) {
+      this.globalReset = now + 1000;
+      this.globalRemaining = this.globalLimit;
+    }
+    this.globalRemaining--;
+  }
+
+  /**
+   * Marks the client as globally rate limited.
+   * @param {number} retryAfter How long until the global limit resets, in milliseconds
+   */
+  setGlobalLimit(retryAfter) {
+    this.globalRemaining = 0;
+    this.globalReset = Date.now() + retryAfter;
+  }
+
+  /**
+   * Counts an invalid request, emitting a warning every {@link ClientOptions#invalidRequestWarningInterval} of them.
+   */
+  countInvalidRequest() {
+    const now = Date.now();
+    if (this.invalidCountReset === null || now >= this.invalidCountReset) {
+      this.invalidCountReset = now + (1000 * 60 * 10);
+      this.invalidCount = 0;
+    }
+    this.invalidCount++;
+    const interval = this.client.options.invalidRequestWarningInterval;
+    if (interval > 0 && this.invalidCount % interval === 0) {
+      /**
+       * Emitted periodically while the client makes invalid requests (401, 403 and 429 responses), as Discord
+       * temporarily bans clients making 10,000 of them in 10 minutes.
+       * @event Client#invalidRequestWarning
+       * @param {Object} invalidRequestWarningInfo Object containing the invalid request info
+       * @param {number} invalidRequestWarningInfo.count Number of invalid requests made in the current window
+       * @param {number} invalidRequestWarningInfo.remainingTime Time in ms until the window resets
+       */
+      this.client.emit(Constants.Events.INVALID_REQUEST_WARNING, {
+        count: this.invalidCount,
+        remainingTime: this.invalidCountReset - now,
+      });
+    }
+  }
+
+  /**
+   * Removes the request handlers that have nothing left to do.
+   * @returns {number} The number of handlers that were removed
+   */
+  sweepHandlers() {
+    let swept = 0;
+    for (const key of this.handlers.keyArray()) {
+      const handler = this.handlers.get(key);
+      if (!handler.inactive) continue;
+      handler.destroy();
+      this.handlers.delete(key);
+      swept++;
+    }
+    if (swept) this.client.emit(Constants.Events.DEBUG, `Swept ${swept} inactive REST handlers`);
+    return swept;
+  }
+
   makeRequest(method, url, auth, data, file, reason) {
     const apiRequest = new APIRequest(this, method, url, auth, data, file, reason);
-    if (!this.handlers[apiRequest.route]) {
+    const key = this.getBucketKey(apiRequest);
+    if (!this.handlers.has(key)) {
       const RequestHandlerType = this.getRequestHandler();
-      this.handlers[apiRequest.route] = new RequestHandlerType(this, apiRequest.route);
+      this.handlers.set(key, new RequestHandlerType(this, key));
     }
 
-    return this.push(this.handlers[apiRequest.route], apiRequest);
+    return this.push(this.handlers.get(key), apiRequest);
   }
 }
 
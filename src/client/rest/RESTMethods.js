@@ -10,6 +10,7 @@ const Util = require('../../util/Util');
 const resolvePermissions = require('../../structures/shared/resolvePermissions');
 
 const RichEmbed = require('../../structures/RichEmbed');
+const MessageActionRow = require('../../structures/MessageActionRow');
 const User = require('../../structures/User');
 const GuildMember = require('../../structures/GuildMember');
 const Message = require('../../structures/Message');
@@ -22,7 +23,10 @@ const Channel = require('../../structures/Channel');
 const GroupDMChannel = require('../../structures/GroupDMChannel');
 const Guild = require('../../structures/Guild');
 const VoiceRegion = require('../../structures/VoiceRegion');
+const GatewayInfo = require('../../structures/GatewayInfo');
 const GuildAuditLogs = require('../../structures/GuildAuditLogs');
+const Sticker = require('../../structures/Sticker');
+const StickerPack = require('../../structures/StickerPack');
 
 const MessageFlags = require('../../util/MessageFlags');
 
@@ -49,7 +53,8 @@ class RESTMethods {
     }
 
     getGateway(bot) {
-        return this.rest.makeRequest('get', bot ? Endpoints.gateway.bot : Endpoints.gateway, true);
+        return this.rest.makeRequest('get', bot ? Endpoints.gateway.bot : Endpoints.gateway, true)
+            .then(data => new GatewayInfo(data));
     }
 
     fetchVoiceRegions(guildID) {
@@ -77,24 +82,72 @@ class RESTMethods {
     }
 
     addSlashCommand(data, guild) {
-        return this.rest.makeRequest('post', Endpoints.Commands(client.user.id, guild), true, data).then(() => client);
+        return this.rest.makeRequest('post', Endpoints.Commands(this.client.user.id, guild), true, data)
+            .then(() => this.client);
+    }
+
+    fetchApplicationCommand(manager, id) {
+        return this.rest.makeRequest('get', Endpoints.Command(this.client.user.id, manager.guildID, id), true)
+            .then(data => manager._add(data));
+    }
+
+    fetchApplicationCommands(manager) {
+        return this.rest.makeRequest('get', Endpoints.Commands(this.client.user.id, manager.guildID), true)
+            .then(data => {
+                manager.cache.clear();
+                for (const command of data) manager._add(command);
+                return manager.cache;
+            });
+    }
+
+    createApplicationCommand(manager, data) {
+        return this.rest.makeRequest('post', Endpoints.Commands(this.client.user.id, manager.guildID), true, data)
+            .then(command => manager._add(command));
+    }
+
+    editApplicationCommand(manager, id, data) {
+        return this.rest.makeRequest('patch', Endpoints.Command(this.client.user.id, manager.guildID, id), true, data)
+            .then(command => manager._add(command));
+    }
+
+    deleteApplicationCommand(manager, id) {
+        return this.rest.makeRequest('delete', Endpoints.Command(this.client.user.id, manager.guildID, id), true)
+            .then(() => {
+                const command = manager.cache.get(id) || null;
+                manager.cache.delete(id);
+                return command;
+            });
+    }
+
+    setApplicationCommands(manager, data) {
+        return this.rest.makeRequest('put', Endpoints.Commands(this.client.user.id, manager.guildID), true, data)
+            .then(commands => {
+                manager.cache.clear();
+                for (const command of commands) manager._add(command);
+                return manager.cache;
+            });
     }
 
     sendMessage(channel, content, options, files) { if(files === undefined) files = null; options = options || {};
-        // { tts, nonce, embed, disableEveryone, split, code, reply, reference, allowed_mentions } = {}
+        // { tts, nonce, embed, embeds, disableEveryone, split, code, reply, reference, allowed_mentions, components } = {}
         var _options = options;
         var tts = _options.tts;
         var nonce = _options.nonce;
         var embed = _options.embed;
+        var embeds = _options.embeds;
         var disableEveryone = _options.disableEveryone;
         var split = _options.split;
         var code = _options.code;
         var reply = _options.reply;
         var reference = _options.reference;
         var allowed_mentions = _options.allowed_mentions;
+        var components = _options.components;
         return new Promise((resolve, reject) => { // eslint-disable-line complexity
             if (typeof content !== 'undefined') content = this.client.resolver.resolveString(content);
 
+            if (components) components = MessageActionRow.transformComponents(components);
+            embeds = this._resolveEmbeds(embeds, embed);
+
             // The nonce has to be a uint64 :<
             if (typeof nonce !== 'undefined') {
                 nonce = parseInt(nonce);
@@ -138,7 +191,7 @@ class RESTMethods {
                 if (content instanceof Array) {
                     const messages = [];
                     (function sendChunk(list, index) {
-                        const options = index === list.length - 1 ? { tts, embed, files } : { tts };
+                        const options = index === list.length - 1 ? { tts, embeds, files, components } : { tts };
                         chan.send(list[index], options).then(message => {
                             messages.push(message);
                             if (index >= list.length - 1) return resolve(messages);
@@ -147,7 +200,8 @@ class RESTMethods {
                     }(content, 0));
                 } else {
                     this.rest.makeRequest('post', Endpoints.Channel(chan).messages, true, {
-                        content, tts, nonce, embed, message_reference: reference, allowed_mentions,
+                        content, tts, nonce, embeds, message_reference: reference, allowed_mentions, components,
+                        attachments: this._resolveAttachments(files),
                     }, files).then(data => resolve(this.client.actions.MessageCreate.handle(data).message), reject);
                 }
             };
@@ -157,17 +211,25 @@ class RESTMethods {
         });
     }
 
-    updateMessage(message, content, options) { options = options || {};
+    updateMessage(message, content, options, files) { options = options || {};
         var _options = options;
         var flags = _options.flags;
         var embed = _options.embed;
+        var embeds = _options.embeds;
         var code = _options.code;
         var reply = _options.reply;
+        var components = _options.components;
+        var attachments = _options.attachments;
 
         if (typeof content !== 'undefined') content = this.client.resolver.resolveString(content);
 
         if (typeof flags !== 'undefined') flags = MessageFlags.resolve(flags);
 
+        // Described files are listed with the attachments, so the current ones have to be listed to be kept
+        if (!attachments && files && files.some(file => file.description)) attachments = message.attachments;
+
+        if (components) components = MessageActionRow.transformComponents(components);
+
         // Wrap everything in a code block
         if (typeof code !== 'undefined' && (typeof code !== 'boolean' || code === true)) {
             content = Util.escapeMarkdown(this.client.resolver.resolveString(content), true);
@@ -181,11 +243,39 @@ class RESTMethods {
             content = `${mention}${content ? `, ${content}` : ''}`;
         }
 
-        if (embed instanceof RichEmbed) embed = embed.toJSON();
+        try {
+            embeds = this._resolveEmbeds(embeds, embed);
+        } catch (err) {
+            return Promise.reject(err);
+        }
 
         return this.rest.makeRequest('patch', Endpoints.Message(message), true, {
-            content, embed, flags,
-        }).then(data => this.client.actions.MessageUpdate.handle(data).updated);
+            content, embeds, flags, components, attachments: this._resolveAttachments(files, attachments),
+        }, files).then(data => this.client.actions.MessageUpdate.handle(data).updated);
+    }
+
+    _resolveAttachments(files, keep) {
+        const described = files && files.some(file => file.description);
+        if (!keep && !described) return undefined;
+        const attachments = keep ? keep.map(attachment => ({
+            id: typeof attachment === 'string' ? attachment : attachment.id,
+        })) : [];
+        // Uploaded files are referred to by their index
+        if (files) {
+            for (let i = 0; i < files.length; i++) {
+                attachments.push({ id: i, filename: files[i].name, description: files[i].description });
+            }
+        }
+        return attachments;
+    }
+
+    _resolveEmbeds(embeds, embed) {
+        // An explicit null removes the embeds of an edited message
+        if (embeds === null || (embed === null && !embeds)) return [];
+        if (embed) embeds = (embeds || []).concat(embed);
+        if (!embeds) return undefined;
+        RichEmbed.validateEmbeds(embeds);
+        return embeds;
     }
 
     deleteMessage(message) {
@@ -392,6 +482,173 @@ class RESTMethods {
         );
     }
 
+    createThread(channel, data, messageID, reason) {
+        const endpoint = messageID ?
+            Endpoints.Channel(channel).Message(messageID).threads : Endpoints.Channel(channel).threads;
+        return this.rest.makeRequest('post', endpoint, true, data, undefined, reason).then(thread =>
+            this.client.actions.ThreadCreate.handle(thread).thread
+        );
+    }
+
+    updateThread(thread, _data, reason) {
+        const data = {};
+        if (typeof _data.name !== 'undefined') data.name = _data.name.trim();
+        if (typeof _data.archived !== 'undefined') data.archived = _data.archived;
+        if (typeof _data.autoArchiveDuration !== 'undefined') data.auto_archive_duration = _data.autoArchiveDuration;
+        if (typeof _data.locked !== 'undefined') data.locked = _data.locked;
+        if (typeof _data.invitable !== 'undefined') data.invitable = _data.invitable;
+        if (typeof _data.rateLimitPerUser !== 'undefined') data.rate_limit_per_user = _data.rateLimitPerUser;
+        return this.rest.makeRequest('patch', Endpoints.Channel(thread), true, data, undefined, reason).then(newData =>
+            this.client.actions.ThreadUpdate.handle(newData).updated
+        );
+    }
+
+    getActiveThreads(guild) {
+        return this.rest.makeRequest('get', Endpoints.Guild(guild).activeThreads, true).then(data =>
+            this.client.dataManager.newThreads(data.threads, data.members, guild)
+        );
+    }
+
+    getArchivedThreads(channel, type, joined, payload) {
+        const params = [];
+        if (payload.before) params.push(`before=${payload.before}`);
+        if (payload.limit) params.push(`limit=${payload.limit}`);
+
+        let endpoint = joined ?
+            Endpoints.Channel(channel).joinedArchivedThreads : Endpoints.Channel(channel).archivedThreads(type);
+        if (params.length > 0) endpoint += `?${params.join('&')}`;
+        return this.rest.makeRequest('get', endpoint, true).then(data => ({
+            threads: this.client.dataManager.newThreads(data.threads, data.members, channel.guild),
+            hasMore: Boolean(data.has_more),
+        }));
+    }
+
+    addThreadMember(thread, userID) {
+        return this.rest.makeRequest('put', Endpoints.Channel(thread).ThreadMember(userID), true).then(() => {
+            if (userID === '@me' || userID === this.client.user.id) thread.joined = true;
+            return thread;
+        });
+    }
+
+    removeThreadMember(thread, userID) {
+        return this.rest.makeRequest('delete', Endpoints.Channel(thread).ThreadMember(userID), true).then(() => {
+            if (userID === '@me') userID = this.client.user.id;
+            if (userID === this.client.user.id) thread.joined = false;
+            thread.members.delete(userID);
+            return thread;
+        });
+    }
+
+    getThreadMembers(thread) {
+        return this.rest.makeRequest('get', Endpoints.Channel(thread).threadMembers, true).then(data => {
+            thread.members.clear();
+            for (const member of data) thread._addMember(member);
+            return thread.members;
+        });
+    }
+
+    createStageInstance(channel, options) {
+        const privacyLevel = Constants.StagePrivacyLevels.indexOf(options.privacyLevel || 'GUILD_ONLY');
+        if (privacyLevel < 1) return Promise.reject(new TypeError(`Unknown privacy level ${options.privacyLevel}.`));
+        return this.rest.makeRequest('post', Endpoints.stageInstances, true, {
+            channel_id: channel.id,
+            topic: options.topic,
+            privacy_level: privacyLevel,
+        }, undefined, options.reason).then(instance =>
+            this.client.actions.StageInstanceCreate.handle(instance).stageInstance
+        );
+    }
+
+    getStageInstance(channel) {
+        return this.rest.makeRequest('get', Endpoints.StageInstance(channel), true).then(instance =>
+            this.client.actions.StageInstanceCreate.handle(instance).stageInstance
+        );
+    }
+
+    updateStageInstance(stageInstance, _data, reason) {
+        const data = {};
+        if (typeof _data.topic !== 'undefined') data.topic = _data.topic;
+        if (typeof _data.privacyLevel !== 'undefined') {
+            data.privacy_level = Constants.StagePrivacyLevels.indexOf(_data.privacyLevel);
+            if (data.privacy_level < 1) {
+                return Promise.reject(new TypeError(`Unknown privacy level ${_data.privacyLevel}.`));
+            }
+        }
+        return this.rest.makeRequest('patch', Endpoints.StageInstance(stageInstance.channelID), true, data, undefined,
+            reason).then(instance => this.client.actions.StageInstanceUpdate.handle(instance).updated);
+    }
+
+    deleteStageInstance(stageInstance, reason) {
+        return this.rest.makeRequest('delete', Endpoints.StageInstance(stageInstance.channelID), true, undefined,
+            undefined, reason).then(() => this.client.actions.StageInstanceDelete.handle({
+            id: stageInstance.id,
+            guild_id: stageInstance.guild.id,
+            channel_id: stageInstance.channelID,
+        }).stageInstance);
+    }
+
+    updateVoiceState(member, data) {
+        const channel = member.voiceChannel;
+        if (!channel || channel.type !== 'stage') {
+            return Promise.reject(new Error('The member is not in a stage channel.'));
+        }
+        data.channel_id = channel.id;
+        const userID = member.id === this.client.user.id ? '@me' : member.id;
+        return this.rest.makeRequest('patch', Endpoints.Guild(member.guild).VoiceState(userID), true, data)
+            .then(() => member);
+    }
+
+    getGuildScheduledEvent(manager, id, withUserCount) {
+        const endpoint = `${Endpoints.Guild(manager.guild).ScheduledEvent(id)}?with_user_count=${withUserCount}`;
+        return this.rest.makeRequest('get', endpoint, true).then(data => manager._add(data));
+    }
+
+    getGuildScheduledEvents(manager, withUserCount) {
+        const endpoint = `${Endpoints.Guild(manager.guild).scheduledEvents}?with_user_count=${withUserCount}`;
+        return this.rest.makeRequest('get', endpoint, true).then(data => {
+            const ids = data.map(event => event.id);
+            for (const id of manager.cache.keys()) if (!ids.includes(id)) manager.cache.delete(id);
+            for (const event of data) manager._add(event);
+            return manager.cache;
+        });
+    }
+
+    createGuildScheduledEvent(manager, data, reason) {
+        return this.rest.makeRequest('post', Endpoints.Guild(manager.guild).scheduledEvents, true, data, undefined,
+            reason).then(event => this.client.actions.GuildScheduledEventCreate.handle(event).event);
+    }
+
+    editGuildScheduledEvent(manager, id, data, reason) {
+        return this.rest.makeRequest('patch', Endpoints.Guild(manager.guild).ScheduledEvent(id), true, data, undefined,
+            reason).then(event => this.client.actions.GuildScheduledEventUpdate.handle(event).updated);
+    }
+
+    deleteGuildScheduledEvent(manager, id) {
+        return this.rest.makeRequest('delete', Endpoints.Guild(manager.guild).ScheduledEvent(id), true).then(() =>
+            this.client.actions.GuildScheduledEventDelete.handle({ id, guild_id: manager.guild.id }).event
+        );
+    }
+
+    getGuildScheduledEventSubscribers(event, options) {
+        const params = [`limit=${options.limit || 100}`, `with_member=${Boolean(options.withMember)}`];
+        if (options.before) params.push(`before=${options.before}`);
+        else if (options.after) params.push(`after=${options.after}`);
+
+        const endpoint = `${Endpoints.Guild(event.guild).ScheduledEvent(event.id).users}?${params.join('&')}`;
+        return this.rest.makeRequest('get', endpoint, true).then(data => {
+            const subscribers = new Collection();
+            for (const subscriber of data) {
+                const user = this.client.dataManager.newUser(subscriber.user);
+                let member = event.guild.members.get(user.id) || null;
+                if (!member && subscriber.member) {
+                    member = event.guild._addMember(Object.assign({}, subscriber.member, { user }), false);
+                }
+                subscribers.set(user.id, { user, member });
+            }
+            return subscribers;
+        });
+    }
+
     leaveGuild(guild) {
         if (guild.ownerID === this.client.user.id) return Promise.reject(new Error('Guild is owned by the client.'));
         return this.rest.makeRequest('delete', Endpoints.User('@me').Guild(guild.id), true).then(() =>
@@ -502,6 +759,15 @@ class RESTMethods {
         ).then(() => overwrite);
     }
 
+    getChannel(channel) {
+        return this.rest.makeRequest('get', Endpoints.Channel(channel), true).then(data => {
+            const existing = this.client.channels.get(data.id);
+            if (!existing) return this.client.dataManager.newChannel(data);
+            existing.setup(data);
+            return existing;
+        });
+    }
+
     getChannelMessages(channel, payload) { payload = payload || {};
         const params = [];
         if (payload.limit) params.push(`limit=${payload.limit}`);
@@ -546,7 +812,8 @@ class RESTMethods {
     updateGuildMember(member, data, reason) {
         if (data.channel) {
             const channel = this.client.resolver.resolveChannel(data.channel);
-            if (!channel || channel.guild.id !== member.guild.id || channel.type !== 'voice') {
+            if (!channel || channel.guild.id !== member.guild.id ||
+                (channel.type !== 'voice' && channel.type !== 'stage')) {
                 return Promise.reject(new Error('Could not resolve channel to a guild voice channel.'));
             }
             data.channel_id = channel.id;
@@ -884,14 +1151,17 @@ class RESTMethods {
         var tts = _options.tts;
         var embeds = _options.embeds;
         var username = _options.username;
+        var components = _options.components;
         
         return new Promise((resolve, reject) => {
             username = username || webhook.name;
+            embeds = this._resolveEmbeds(embeds);
+            if (components) components = MessageActionRow.transformComponents(components);
 
             if (content instanceof Array) {
                 const messages = [];
                 (function sendChunk(list, index) {
-                    const options = index === list.length - 1 ? { tts, embeds, files } : { tts };
+                    const options = index === list.length - 1 ? { tts, embeds, files, components } : { tts };
                     webhook.send(list[index], options).then(message => {
                         messages.push(message);
                         if (index >= list.length - 1) return resolve(messages);
@@ -905,6 +1175,8 @@ class RESTMethods {
                     content,
                     tts,
                     embeds,
+                    components,
+                    attachments: this._resolveAttachments(files),
                 }, files).then(data => {
                     if (!this.client.channels) resolve(data);
                     else resolve(this.client.actions.MessageCreate.handle(data).message);
@@ -919,6 +1191,86 @@ class RESTMethods {
         );
     }
 
+    _resolveInteractionPayload(content, options) {
+        var _options = options;
+        var tts = _options.tts;
+        var embeds = _options.embeds;
+        var ephemeral = _options.ephemeral;
+        var disableEveryone = _options.disableEveryone;
+        var allowed_mentions = _options.allowed_mentions;
+        var components = _options.components;
+
+        // A null content is sent as is, removing the content of an edited reply
+        if (content !== null && typeof content !== 'undefined') {
+            content = this.client.resolver.resolveString(content);
+            if (disableEveryone || (typeof disableEveryone === 'undefined' && this.client.options.disableEveryone)) {
+                content = content.replace(/@(everyone|here)/g, '@\u200b$1');
+            }
+        }
+
+        embeds = this._resolveEmbeds(embeds);
+        if (components) components = MessageActionRow.transformComponents(components);
+
+        return {
+            content, tts, embeds, allowed_mentions, components,
+            flags: ephemeral ? MessageFlags.FLAGS.EPHEMERAL : undefined,
+        };
+    }
+
+    _resolveInteractionMessage(data) {
+        const channel = this.client.channels.get(data.channel_id);
+        if (!channel || data.flags & MessageFlags.FLAGS.EPHEMERAL) return data;
+        if (channel.messages.has(data.id)) return this.client.actions.MessageUpdate.handle(data).updated;
+        return this.client.actions.MessageCreate.handle(data).message;
+    }
+
+    createInteractionResponse(interaction, type, content, options) {
+        return new Promise(resolve => resolve(this._resolveInteractionPayload(content, options))).then(data =>
+            this.rest.makeRequest('post', Endpoints.Interaction(interaction.id, interaction.token).callback, false, {
+                type, data,
+            })
+        );
+    }
+
+    editInteractionReply(interaction, content, options) {
+        return new Promise(resolve => resolve(this._resolveInteractionPayload(content, options))).then(data =>
+            this.rest.makeRequest(
+                'patch', Endpoints.WebhookMessage(interaction.applicationID, interaction.token, '@original'), false, data
+            )
+        ).then(data => this._resolveInteractionMessage(data));
+    }
+
+    deleteInteractionReply(interaction) {
+        return this.rest.makeRequest(
+            'delete', Endpoints.WebhookMessage(interaction.applicationID, interaction.token, '@original'), false
+        );
+    }
+
+    sendInteractionFollowUp(interaction, content, options) {
+        return new Promise(resolve => resolve(this._resolveInteractionPayload(content, options))).then(data =>
+            this.rest.makeRequest(
+                'post', `${Endpoints.Webhook(interaction.applicationID, interaction.token)}?wait=true`, false, data
+            )
+        ).then(data => this._resolveInteractionMessage(data));
+    }
+
+    fetchSticker(sticker) {
+        const id = sticker instanceof Sticker ? sticker.id : sticker;
+        return this.rest.makeRequest('get', Endpoints.Sticker(id), true).then(data => {
+            if (!(sticker instanceof Sticker)) return new Sticker(this.client, data);
+            sticker.setup(data);
+            return sticker;
+        });
+    }
+
+    fetchNitroStickerPacks() {
+        return this.rest.makeRequest('get', Endpoints.stickerPacks, true).then(data => {
+            const packs = new Collection();
+            for (const pack of data.sticker_packs) packs.set(pack.id, new StickerPack(this.client, pack));
+            return packs;
+        });
+    }
+
     fetchUserProfile(user) {
         return this.rest.makeRequest('get', Endpoints.User(user).profile, true).then(data =>
             new UserProfile(user, data)
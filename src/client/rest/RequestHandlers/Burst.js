@@ -1,93 +1,70 @@
 'use strict';
 
 const RequestHandler = require('./RequestHandler');
-const DiscordAPIError = require('../DiscordAPIError');
-var _require = require("../../../util/Constants");
-var RATE_LIMIT = _require.Events.RATE_LIMIT;
 
+/**
+ * Handles API Requests in parallel, as long as the bucket has requests remaining. This is faster, but more likely
+ * to hit a 429 when there is more than one session of the account.
+ * @extends {RequestHandler}
+ * @private
+ */
 class BurstRequestHandler extends RequestHandler {
-  constructor(restManager, endpoint) {
-    super(restManager, endpoint);
+  constructor(restManager, key) {
+    super(restManager, key);
 
-    this.client = restManager.client;
-
-    this.limit = Infinity;
-    this.resetTime = null;
-    this.remaining = 1;
-    this.timeDifference = 0;
+    /**
+     * The number of requests of this handler in flight
+     * @type {number}
+     */
+    this.pending = 0;
 
     this.resetTimeout = null;
   }
 
+  get inactive() {
+    return super.inactive && this.pending === 0 && !this.resetTimeout;
+  }
+
   push(request) {
     super.push(request);
     this.handle();
   }
 
-  execute(item) {
-    if (!item) return;
-    item.request.gen().end((err, res) => {
-      if (res && res.headers) {
-        this.limit = Number(res.headers['x-ratelimit-limit']);
-        this.resetTime = Number(res.headers['x-ratelimit-reset']) * 1000;
-        this.remaining = Number(res.headers['x-ratelimit-remaining']);
-        this.timeDifference = Date.now() - new Date(res.headers.date).getTime();
-      }
-      if (err) {
-        if (err.status === 429) {
-          this.queue.unshift(item);
-          if (res.headers['x-ratelimit-global']) this.globalLimit = true;
-          if (this.resetTimeout) return;
-          this.resetTimeout = this.client.setTimeout(() => {
-            this.remaining = this.limit;
-            this.globalLimit = false;
-            this.handle();
-            this.resetTimeout = null;
-          }, (Number(res.headers['retry-after']) * 1000) + this.client.options.restTimeOffset);
-        } else if (err.status >= 500 && err.status < 600) {
-          if (item.retries === this.client.options.retryLimit) {
-            item.reject(err);
-            this.handle();
-          } else {
-            item.retries++;
-            this.queue.unshift(item);
-            this.resetTimeout = this.client.setTimeout(() => {
-              this.handle();
-              this.resetTimeout = null;
-            }, 1e3 + this.client.options.restTimeOffset);
-          }
-        } else {
-          item.reject(err.status >= 400 && err.status < 500 ?
-            new DiscordAPIError(res.request.path, res.body, res.request.method) : err);
-          this.handle();
-        }
-      } else {
-        if (this.remaining === 0) {
-          if (this.client.listenerCount(RATE_LIMIT)) {
-            this.client.emit(RATE_LIMIT, {
-              limit: this.limit,
-              timeDifference: this.timeDifference,
-              path: item.request.path,
-              method: item.request.method,
-            });
-          }
-        }
-        this.globalLimit = false;
-        const data = res && res.body ? res.body : {};
-        item.resolve(data);
-        this.handle();
-      }
-    });
+  /**
+   * Waits before handling the queue again.
+   * @param {number} time How long to wait, in milliseconds
+   */
+  wait(time) {
+    if (this.resetTimeout) return;
+    this.resetTimeout = this.client.setTimeout(() => {
+      this.resetTimeout = null;
+      this.handle();
+    }, time);
   }
 
   handle() {
     super.handle();
-    if (this.queue.length === 0) return;
-    if ((this.remaining <= 0 || this.globalLimit) && Date.now() - this.timeDifference < this.resetTime) return;
-    this.execute(this.queue.shift());
+    if (this.queue.length === 0 || this.resetTimeout) return;
+    const wait = this.getWaitTime();
+    if (wait > 0) {
+      this.wait(wait);
+      return;
+    }
+    this.pending++;
     this.remaining--;
+    this.execute(this.queue.shift()).then(delay => {
+      this.pending--;
+      if (delay > 0) this.wait(delay);
+      else this.handle();
+    });
     this.handle();
   }
+
+  destroy() {
+    super.destroy();
+    if (this.resetTimeout) this.client.clearTimeout(this.resetTimeout);
+    this.resetTimeout = null;
+  }
 }
 
 module.exports = BurstRequestHandler;
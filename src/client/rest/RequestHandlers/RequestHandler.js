@@ -1,25 +1,73 @@
 'use strict';
 
+const DiscordAPIError = require('../DiscordAPIError');
+const Constants = require('../../../util/Constants');
+
 /**
  * A base class for different types of rate limiting handlers for the REST API.
+ * Each handler handles the requests of a single rate limit bucket.
  * @private
  */
 class RequestHandler {
   /**
    * @param {RESTManager} restManager The REST manager to use
+   * @param {string} key The key of the bucket this handler is handling
    */
-  constructor(restManager) {
+  constructor(restManager, key) {
     /**
      * The RESTManager that instantiated this RequestHandler
      * @type {RESTManager}
      */
     this.restManager = restManager;
 
+    /**
+     * The client that instantiated this handler
+     * @type {Client}
+     */
+    this.client = restManager.client;
+
+    /**
+     * The key of the bucket this handler is handling, made of the bucket hash and the major parameter
+     * @type {string}
+     */
+    this.key = key;
+
     /**
      * A list of requests that have yet to be processed
      * @type {APIRequest[]}
      */
     this.queue = [];
+
+    /**
+     * The number of requests that can be made in the bucket
+     * @type {number}
+     */
+    this.limit = Infinity;
+
+    /**
+     * The number of requests remaining in the bucket before it resets
+     * @type {number}
+     */
+    this.remaining = 1;
+
+    /**
+     * The timestamp at which the bucket resets
+     * @type {number}
+     */
+    this.reset = -1;
+
+    /**
+     * The time difference between Discord's Dates and the local computer's Dates. A positive number means the local
+     * computer's time is ahead of Discord's
+     * @type {number}
+     */
+    this.timeDifference = 0;
+
+    /**
+     * Whether a request of this handler is in flight, or the handler is waiting for a rate limit to reset
+     * @type {boolean}
+     */
+    this.busy = false;
   }
 
   /**
@@ -31,8 +79,22 @@ class RequestHandler {
     return this.restManager.globallyRateLimited;
   }
 
-  set globalLimit(value) {
-    this.restManager.globallyRateLimited = value;
+  /**
+   * Whether this bucket is exhausted until it resets
+   * @type {boolean}
+   * @readonly
+   */
+  get limited() {
+    return this.remaining <= 0 && Date.now() < this.reset;
+  }
+
+  /**
+   * Whether this handler has nothing to do and can be swept
+   * @type {boolean}
+   * @readonly
+   */
+  get inactive() {
+    return this.queue.length === 0 && !this.busy && !this.limited;
   }
 
   /**
@@ -48,6 +110,123 @@ class RequestHandler {
    */
   handle() {} // eslint-disable-line no-empty-function
 
+  /**
+   * Gets how long to wait before the next request of this handler can be made.
+   * @returns {number}
+   */
+  getWaitTime() {
+    const now = Date.now();
+    const global = this.globalLimit ? this.restManager.globalReset - now : 0;
+    const local = this.limited ? this.reset - now : 0;
+    const wait = Math.max(global, local);
+    return wait > 0 ? wait + this.client.options.restTimeOffset : 0;
+  }
+
+  /**
+   * Updates the state of the bucket from the headers of a response.
+   * @param {APIRequest} request The request that was made
+   * @param {Object} headers The headers of the response
+   */
+  parseHeaders(request, headers) {
+    if (headers.date) this.timeDifference = Date.now() - new Date(headers.date).getTime();
+    if (headers['x-ratelimit-bucket']) this.restManager.setBucket(request, headers['x-ratelimit-bucket']);
+    if (headers['x-ratelimit-limit']) this.limit = Number(headers['x-ratelimit-limit']);
+    if (headers['x-ratelimit-remaining']) this.remaining = Number(headers['x-ratelimit-remaining']);
+    // Reset-After is relative and has millisecond precision, so it does not depend on the local clock
+    if (headers['x-ratelimit-reset-after']) {
+      this.reset = Date.now() + (Number(headers['x-ratelimit-reset-after']) * 1000);
+    } else if (headers['x-ratelimit-reset']) {
+      this.reset = (Number(headers['x-ratelimit-reset']) * 1000) + this.timeDifference;
+    }
+  }
+
+  /**
+   * Performs a request, resolving once it is complete with how long to wait before the next request.
+   * @param {Object} item The item to execute
+   * @returns {Promise<number>}
+   */
+  execute(item) {
+    this.restManager.consumeGlobal();
+    return new Promise(resolve => {
+      item.request.gen().end((err, res) => {
+        if (res && res.headers) this.parseHeaders(item.request, res.headers);
+        if (err) {
+          if (err.status === 429) {
+            this.queue.unshift(item);
+            const body = res.body || {};
+            const retryAfter = typeof body.retry_after === 'number' ?
+              body.retry_after * 1000 :
+              Number(res.headers['retry-after']) * 1000;
+            const global = Boolean(res.headers['x-ratelimit-global'] || body.global);
+            if (global) {
+              this.restManager.setGlobalLimit(retryAfter);
+            } else {
+              this.remaining = 0;
+              this.reset = Date.now() + retryAfter;
+            }
+            // Rate limits with a shared scope are not counted against the client
+            if (res.headers['x-ratelimit-scope'] !== 'shared') this.restManager.countInvalidRequest();
+            this.emitRateLimit(item.request, retryAfter, global);
+            resolve(0);
+          } else if (err.status >= 500 && err.status < 600) {
+            if (item.retries === this.client.options.retryLimit) {
+              item.reject(err);
+              resolve(0);
+            } else {
+              item.retries++;
+              this.queue.unshift(item);
+              resolve(1e3 + this.client.options.restTimeOffset);
+            }
+          } else {
+            if (err.status === 401 || err.status === 403) this.restManager.countInvalidRequest();
+            item.reject(err.status >= 400 && err.status < 500 ?
+              new DiscordAPIError(res.request.path, res.body, res.request.method) : err);
+            resolve(0);
+          }
+        } else {
+          const data = res && res.body ? res.body : {};
+          item.resolve(data);
+          if (this.remaining === 0) this.emitRateLimit(item.request, Math.max(this.reset - Date.now(), 0), false);
+          resolve(0);
+        }
+      });
+    });
+  }
+
+  /**
+   * Emits a rate limit event.
+   * @param {APIRequest} request The request that hit the rate limit
+   * @param {number} timeout How long until the rate limit resets, in milliseconds
+   * @param {boolean} global Whether the rate limit is global
+   */
+  emitRateLimit(request, timeout, global) {
+    this.client.emit(Constants.Events.DEBUG,
+      `Hit a ${global ? 'global ' : ''}rate limit on ${request.method.toUpperCase()} ${request.route}, ` +
+      `resetting in ${timeout}ms`);
+    if (!this.client.listenerCount(Constants.Events.RATE_LIMIT)) return;
+    /**
+     * Emitted when the client hits a rate limit while making a request
+     * @event Client#rateLimit
+     * @param {Object} rateLimitInfo Object containing the rate limit info
+     * @param {number} rateLimitInfo.limit Number of requests that can be made to this endpoint
+     * @param {number} rateLimitInfo.timeout Time in ms until the rate limit resets
+     * @param {number} rateLimitInfo.timeDifference Delta-T in ms between your system and Discord servers
+     * @param {string} rateLimitInfo.path Path used for request that triggered this event
+     * @param {string} rateLimitInfo.route Route used for request that triggered this event
+     * @param {string} rateLimitInfo.method HTTP method used for request that triggered this event
+     * @param {boolean} rateLimitInfo.global Whether the rate limit is global
+     */
+    this.client.emit(Constants.Events.RATE_LIMIT, {
+      limit: this.limit,
+      timeout,
+      timeDifference: this.timeDifference,
+      path: request.path,
+      route: request.route,
+      method: request.method,
+      global,
+    });
+  }
+
   destroy() {
     this.queue = [];
   }
@@ -175,7 +175,7 @@ class VoiceConnection extends EventEmitter {
     this.client.ws.send({
       op: Constants.OPCodes.VOICE_STATE_UPDATE,
       d: options,
-    });
+    }, this.channel.guild.shardID);
   }
 
   /**
@@ -15,6 +15,20 @@ const erlpack = (function findErlpack() {
   }
 }());
 
+const ZlibSync = (function findZlibSync() {
+  try {
+    return require('zlib-sync');
+  } catch (e) {
+    return null;
+  }
+}());
+
+const PriorityOPCodes = [
+  Constants.OPCodes.HEARTBEAT,
+  Constants.OPCodes.IDENTIFY,
+  Constants.OPCodes.RESUME,
+];
+
 const WebSocket = (function findWebSocket() {
   if (browser) return window.WebSocket; // eslint-disable-line no-undef
   try {
@@ -28,15 +42,15 @@ const WebSocket = (function findWebSocket() {
 }());
 
 /**
- * Abstracts a WebSocket connection with decoding/encoding for the Discord gateway.
- * @private
+ * Abstracts a WebSocket connection with decoding/encoding for the Discord gateway, running one shard of the client.
  */
 class WebSocketConnection extends EventEmitter {
   /**
    * @param {WebSocketManager} manager The WebSocket manager
    * @param {string} gateway The WebSocket gateway to connect to
+   * @param {number} [id=0] The ID of the shard of the connection
    */
-  constructor(manager, gateway) {
+  constructor(manager, gateway, id) {
     super();
     /**
      * The WebSocket Manager of this connection
@@ -44,6 +58,12 @@ class WebSocketConnection extends EventEmitter {
      */
     this.manager = manager;
 
+    /**
+     * The ID of the shard of this connection
+     * @type {number}
+     */
+    this.id = id || 0;
+
     /**
      * The client this belongs to
      * @type {Client}
@@ -81,13 +101,34 @@ class WebSocketConnection extends EventEmitter {
     this.lastPingTimestamp = 0;
 
     /**
-     * Contains the rate limit queue and metadata
+     * Time taken by the last (up to) 3 heartbeats of this connection to be acknowledged
+     * @type {number[]}
+     */
+    this.pings = [];
+
+    /**
+     * Whether the last heartbeat sent was acknowledged by the gateway
+     * @type {boolean}
+     */
+    this.lastHeartbeatAcked = true;
+
+    /**
+     * The streaming inflate context of the connection, if it uses transport compression
+     * @type {?Object}
+     * @private
+     */
+    this.inflate = null;
+
+    /**
+     * Contains the rate limit queue and metadata. Heartbeats, identifies and resumes skip the queue, and
+     * `reserved` packets of every window are kept for them
      * @type {Object}
      */
     this.ratelimit = {
       queue: [],
       remaining: 120,
       total: 120,
+      reserved: 5,
       time: 60e3,
       resetTimer: null,
     };
@@ -114,7 +155,17 @@ class WebSocketConnection extends EventEmitter {
   }
 
   /**
-   * Causes the client to be marked as ready and emits the ready event.
+   * Average heartbeat latency of this connection in milliseconds
+   * @type {number}
+   * @readonly
+   */
+  get ping() {
+    if (!this.pings.length) return 0;
+    return this.pings.reduce((prev, p) => prev + p, 0) / this.pings.length;
+  }
+
+  /**
+   * Causes the shard to be marked as ready, and the client once all of its shards are.
    * @returns {void}
    */
   triggerReady() {
@@ -123,11 +174,14 @@ class WebSocketConnection extends EventEmitter {
       return;
     }
     /**
-     * Emitted when the client becomes ready to start working.
-     * @event Client#ready
+     * Emitted when a shard of the client becomes ready, including when it becomes ready again with a new session
+     * after reconnecting (sessions that are resumed emit {@link Client#resume} instead).
+     * @event Client#shardReady
+     * @param {number} shardID The ID of the shard
      */
     this.status = Constants.Status.READY;
-    this.client.emit(Constants.Events.READY);
+    this.client.emit(Constants.Events.SHARD_READY, this.id);
+    this.manager.checkReady();
     this.packetManager.handleQueue();
   }
 
@@ -139,13 +193,13 @@ class WebSocketConnection extends EventEmitter {
     if (this.status === Constants.Status.READY || this.status === Constants.Status.NEARLY) return false;
     let unavailableGuilds = 0;
     for (const guild of this.client.guilds.values()) {
-      if (!guild.available) unavailableGuilds++;
+      if (!guild.available && guild.shardID === this.id) unavailableGuilds++;
     }
     if (unavailableGuilds === 0) {
       this.status = Constants.Status.NEARLY;
       if (!this.client.options.fetchAllMembers) return this.triggerReady();
       // Fetch all members before marking self as ready
-      const promises = this.client.guilds.map(g => g.fetchMembers());
+      const promises = this.client.guilds.filter(g => g.shardID === this.id).map(g => g.fetchMembers());
       Promise.all(promises)
         .then(() => this.triggerReady())
         .catch(e => {
@@ -164,7 +218,7 @@ class WebSocketConnection extends EventEmitter {
    */
   debug(message) {
     if (message instanceof Error) message = message.stack;
-    return this.manager.debug(`[connection] ${message}`);
+    return this.manager.debug(`[connection ${this.id}] ${message}`);
   }
 
   /**
@@ -175,6 +229,18 @@ class WebSocketConnection extends EventEmitter {
   unpack(data) {
     if (data instanceof ArrayBuffer) data = Buffer.from(new Uint8Array(data));
 
+    if (this.inflate) {
+      // Payloads of a zlib stream can be split over several messages, the last of which ends with a Z_SYNC_FLUSH
+      const l = data.length;
+      const flush = l >= 4 && data[l - 4] === 0x00 && data[l - 3] === 0x00 &&
+        data[l - 2] === 0xFF && data[l - 1] === 0xFF;
+      this.inflate.push(data, flush && ZlibSync.Z_SYNC_FLUSH);
+      if (!flush) return null;
+      if (this.inflate.err) throw new Error(`${this.inflate.err}: ${this.inflate.msg}`);
+      data = this.inflate.result;
+      return erlpack ? erlpack.unpack(data) : JSON.parse(data);
+    }
+
     if (erlpack && typeof data !== 'string') return erlpack.unpack(data);
     else if (data instanceof Buffer) data = zlib.inflateSync(data).toString();
 
@@ -194,20 +260,26 @@ class WebSocketConnection extends EventEmitter {
    * Processes the current WebSocket queue.
    */
   processQueue() {
-    if (this.ratelimit.remaining === 0) return;
-    if (this.ratelimit.queue.length === 0) return;
-    if (this.ratelimit.remaining === this.ratelimit.total) {
+    while (this.ratelimit.queue.length && this.ratelimit.remaining > this.ratelimit.reserved) {
+      this.consumeRatelimit();
+      this._send(this.ratelimit.queue.shift());
+    }
+  }
+
+  /**
+   * Takes a packet off the rate limit budget of the current window, starting the window if needed.
+   * @returns {void}
+   * @private
+   */
+  consumeRatelimit() {
+    if (!this.ratelimit.resetTimer) {
       this.ratelimit.resetTimer = this.client.setTimeout(() => {
+        this.ratelimit.resetTimer = null;
         this.ratelimit.remaining = this.ratelimit.total;
         this.processQueue();
       }, this.ratelimit.time);
     }
-    while (this.ratelimit.remaining > 0) {
-      const item = this.ratelimit.queue.shift();
-      if (!item) return;
-      this._send(item);
-      this.ratelimit.remaining--;
-    }
+    this.ratelimit.remaining--;
   }
 
   /**
@@ -224,7 +296,7 @@ class WebSocketConnection extends EventEmitter {
   }
 
   /**
-   * Adds data to the queue to be sent.
+   * Adds data to the queue to be sent. Heartbeats, identifies and resumes are sent right away.
    * @param {Object} data Packet to send
    * @returns {void}
    */
@@ -233,8 +305,17 @@ class WebSocketConnection extends EventEmitter {
       this.debug(`Tried to send packet ${JSON.stringify(data)} but no WebSocket is available!`);
       return;
     }
+    if (PriorityOPCodes.indexOf(data.op) !== -1) {
+      this.consumeRatelimit();
+      this._send(data);
+      return;
+    }
     this.ratelimit.queue.push(data);
     this.processQueue();
+    if (this.ratelimit.queue.length) {
+      this.debug(`Held back a packet with op ${data.op} by the rate limit, ${this.ratelimit.queue.length} queued ` +
+        `until the limit resets`);
+    }
   }
 
   /**
@@ -257,7 +338,14 @@ class WebSocketConnection extends EventEmitter {
       return false;
     }
     this.expectingClose = false;
+    this.lastHeartbeatAcked = true;
     this.gateway = gateway;
+    // Every connection needs a fresh inflate context, as the zlib stream starts over with it
+    this.inflate = ZlibSync && /[?&]compress=zlib-stream/.test(gateway) ? new ZlibSync.Inflate({
+      chunkSize: 65535,
+      flush: ZlibSync.Z_SYNC_FLUSH,
+      to: erlpack ? '' : 'string',
+    }) : null;
     this.debug(`Connecting to ${gateway}`);
     const ws = this.ws = new WebSocket(gateway);
     if (browser) ws.binaryType = 'arraybuffer';
@@ -285,6 +373,8 @@ class WebSocketConnection extends EventEmitter {
     this.packetManager.handleQueue();
     this.ws = null;
     this.status = Constants.Status.DISCONNECTED;
+    this.client.clearTimeout(this.ratelimit.resetTimer);
+    this.ratelimit.resetTimer = null;
     this.ratelimit.remaining = this.ratelimit.total;
     return true;
   }
@@ -301,6 +391,8 @@ class WebSocketConnection extends EventEmitter {
     } catch (err) {
       this.emit('debug', err);
     }
+    // Wait for the rest of a payload split over several messages
+    if (data === null && this.inflate) return false;
     return this.onPacket(data);
   }
 
@@ -322,9 +414,11 @@ class WebSocketConnection extends EventEmitter {
       this.debug('Received null packet');
       return false;
     }
-    this.client.emit('raw', packet);
+    this.client.emit('raw', packet, this.id);
     switch (packet.op) {
       case Constants.OPCodes.HELLO:
+        // Keep enough of the budget for every heartbeat (and any requested by the gateway) and an identify
+        this.ratelimit.reserved = (Math.ceil(this.ratelimit.time / packet.d.heartbeat_interval) * 2) + 1;
         return this.heartbeat(packet.d.heartbeat_interval);
       case Constants.OPCodes.RECONNECT:
         return this.reconnect();
@@ -360,8 +454,9 @@ class WebSocketConnection extends EventEmitter {
     /**
      * Emitted whenever the client tries to reconnect to the WebSocket.
      * @event Client#reconnecting
+     * @param {number} shardID The ID of the shard that is reconnecting
      */
-    this.client.emit(Constants.Events.RECONNECTING);
+    this.client.emit(Constants.Events.RECONNECTING, this.id);
     this.connect(this.gateway, 5500, true);
   }
 
@@ -404,8 +499,9 @@ class WebSocketConnection extends EventEmitter {
        * Emitted when the client's WebSocket disconnects and will no longer attempt to reconnect.
        * @event Client#disconnect
        * @param {CloseEvent} event The WebSocket close event
+       * @param {number} shardID The ID of the shard that disconnected
        */
-      this.client.emit(Constants.Events.DISCONNECT, event);
+      this.client.emit(Constants.Events.DISCONNECT, event, this.id);
       this.debug(Constants.WSCodes[event.code]);
       this.destroy();
       return;
@@ -419,6 +515,9 @@ class WebSocketConnection extends EventEmitter {
    * Acknowledges a heartbeat.
    */
   ackHeartbeat() {
+    this.lastHeartbeatAcked = true;
+    this.pings.unshift(Date.now() - this.lastPingTimestamp);
+    if (this.pings.length > 3) this.pings.length = 3;
     this.debug(`Heartbeat acknowledged, latency of ${Date.now() - this.lastPingTimestamp}ms`);
     this.client._pong(this.lastPingTimestamp);
   }
@@ -436,11 +535,13 @@ class WebSocketConnection extends EventEmitter {
         this.heartbeatInterval = null;
       } else {
         this.debug(`Setting a heartbeat interval for ${time}ms`);
-        this.heartbeatInterval = this.client.setInterval(() => this.heartbeat(), time);
+        this.lastHeartbeatAcked = true;
+        this.heartbeatInterval = this.client.setInterval(() => this.intervalHeartbeat(), time);
       }
       return;
     }
     this.debug('Sending a heartbeat');
+    this.lastHeartbeatAcked = false;
     this.lastPingTimestamp = Date.now();
     this.send({
       op: Constants.OPCodes.HEARTBEAT,
@@ -448,6 +549,31 @@ class WebSocketConnection extends EventEmitter {
     });
   }
 
+  /**
+   * Sends a heartbeat from the heartbeat interval. If the previous heartbeat was not acknowledged, the connection is
+   * assumed to be a zombie (e.g. half-open), so it is closed to resume the session on a new one instead.
+   * @returns {void}
+   */
+  intervalHeartbeat() {
+    if (this.lastHeartbeatAcked) {
+      this.heartbeat();
+      return;
+    }
+    this.debug('Did not receive a heartbeat acknowledgement since the last heartbeat, ' +
+      'assuming a zombie connection and reconnecting');
+    /**
+     * Emitted whenever a connection of the client is found to be a zombie, i.e. it stopped acknowledging heartbeats.
+     * The connection is closed and the session is resumed on a new one.
+     * @event Client#shardZombie
+     * @param {number} shardID The ID of the shard of the connection
+     */
+    this.client.emit(Constants.Events.SHARD_ZOMBIE, this.id);
+    this.heartbeat(-1);
+    // A half-open socket would never complete a closing handshake, so terminate it where possible
+    if (this.ws.terminate) this.ws.terminate();
+    else this.ws.close(4000);
+  }
+
   // Identification
   /**
    * Identifies the client on a connection.
@@ -470,16 +596,27 @@ class WebSocketConnection extends EventEmitter {
     }
     // Clone the generic payload and assign the token
     const d = Object.assign({ token: this.client.token }, this.client.options.ws);
+    d.intents = this.client.options.intents;
+    delete d.transportCompression;
+    // Payload compression can't be used on top of transport compression
+    if (this.inflate) d.compress = false;
 
     // Sharding stuff
-    var _client$options = this.client.options;
-	var shardId = _client$options.shardId;
-	var shardCount = _client$options.shardCount;
-    if (shardCount > 0) d.shard = [Number(shardId), Number(shardCount)];
-
-    // Send the payload
-    this.debug('Identifying as a new session');
-    this.send({ op: Constants.OPCodes.IDENTIFY, d });
+    const shardCount = this.client.options.shardCount;
+    if (shardCount > 0) d.shard = [this.id, Number(shardCount)];
+
+    // Send the payload once the shard's identify bucket allows it
+    this.debug('Queueing to identify as a new session');
+    const ws = this.ws;
+    this.manager.queueIdentify(this, () => {
+      if (this.ws !== ws) {
+        this.debug('Not identifying, as the connection was replaced while waiting');
+        return false;
+      }
+      this.debug('Identifying as a new session');
+      this.send({ op: Constants.OPCodes.IDENTIFY, d });
+      return true;
+    });
   }
 
   /**
@@ -511,6 +648,12 @@ class WebSocketConnection extends EventEmitter {
  * @type {string}
  */
 WebSocketConnection.ENCODING = erlpack ? 'etf' : 'json';
+
+/**
+ * Transport compression the WebSocket connections can use, if the `zlib-sync` package is installed.
+ * @type {?string}
+ */
+WebSocketConnection.COMPRESSION = ZlibSync ? 'zlib-stream' : null;
 WebSocketConnection.WebSocket = WebSocket;
 
 module.exports = WebSocketConnection;
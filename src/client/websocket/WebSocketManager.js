@@ -1,12 +1,12 @@
 'use strict';
 
 const EventEmitter = require('events').EventEmitter;
+const Collection = require('../../util/Collection');
 const Constants = require('../../util/Constants');
 const WebSocketConnection = require('./WebSocketConnection');
 
 /**
- * WebSocket Manager of the client.
- * @private
+ * WebSocket Manager of the client, which runs the connections of its shards.
  */
 class WebSocketManager extends EventEmitter {
   constructor(client) {
@@ -18,19 +18,70 @@ class WebSocketManager extends EventEmitter {
     this.client = client;
 
     /**
-     * The WebSocket connection of this manager
-     * @type {?WebSocketConnection}
+     * The WebSocket connections of this manager, mapped by the IDs of their shards
+     * @type {Collection<number, WebSocketConnection>}
      */
-    this.connection = null;
+    this.shards = new Collection();
+
+    /**
+     * The session start limit of the client, if it is a bot
+     * @type {?SessionStartLimit}
+     */
+    this.sessionStartLimit = null;
+
+    /**
+     * Queues of shards waiting to identify, mapped by their rate limit key (`shardID % maxConcurrency`)
+     * @type {Collection<number, Object>}
+     * @private
+     */
+    this.identifyBuckets = new Collection();
+
+    /**
+     * Whether the ready event was emitted since the client logged in
+     * @type {boolean}
+     * @private
+     */
+    this.readyEmitted = false;
+  }
+
+  /**
+   * The WebSocket connection of the first shard of this manager
+   * @type {?WebSocketConnection}
+   * @readonly
+   */
+  get connection() {
+    return this.shards.first() || null;
+  }
+
+  /**
+   * The status of the manager, which is only `READY` once all of its shards are ready
+   * @type {Status}
+   * @readonly
+   */
+  get status() {
+    if (!this.shards.size) return Constants.Status.IDLE;
+    const notReady = this.shards.find(shard => shard.status !== Constants.Status.READY);
+    return notReady ? notReady.status : Constants.Status.READY;
   }
 
   /**
-   * Sends a heartbeat on the available connection.
+   * Average heartbeat latency of the connections of all shards in milliseconds
+   * @type {number}
+   * @readonly
+   */
+  get ping() {
+    if (!this.shards.size) return 0;
+    return this.shards.reduce((prev, shard) => prev + shard.ping, 0) / this.shards.size;
+  }
+
+  /**
+   * Sends a heartbeat on every connection.
    * @returns {void}
    */
   heartbeat() {
-    if (!this.connection) return this.debug('No connection to heartbeat');
-    return this.connection.heartbeat();
+    if (!this.shards.size) return this.debug('No connection to heartbeat');
+    for (const shard of this.shards.values()) shard.heartbeat();
+    return undefined;
   }
 
   /**
@@ -47,45 +98,132 @@ class WebSocketManager extends EventEmitter {
    * @returns {void} Whether or not destruction was successful
    */
   destroy() {
-    if (!this.connection) {
+    if (!this.shards.size) {
       this.debug('Attempted to destroy WebSocket but no connection exists!');
       return false;
     }
-    return this.connection.destroy();
+    for (const bucket of this.identifyBuckets.values()) this.client.clearTimeout(bucket.timeout);
+    this.identifyBuckets.clear();
+    for (const shard of this.shards.values()) shard.destroy();
+    this.readyEmitted = false;
+    return true;
   }
 
   /**
-   * Send a packet on the available WebSocket.
+   * Send a packet on the WebSocket of a shard, or on the WebSockets of all shards.
    * @param {Object} packet Packet to send
+   * @param {number} [shardID] ID of the shard to send the packet on, defaults to all shards
    * @returns {void}
    */
-  send(packet) {
-    if (!this.connection) {
+  send(packet, shardID) {
+    if (typeof shardID !== 'undefined') {
+      const shard = this.shards.get(shardID);
+      if (!shard) {
+        this.debug(`No connection to websocket for shard ${shardID}`);
+        return;
+      }
+      shard.send(packet);
+      return;
+    }
+    if (!this.shards.size) {
       this.debug('No connection to websocket');
       return;
     }
-    this.connection.send(packet);
+    for (const shard of this.shards.values()) shard.send(packet);
   }
 
   /**
-   * Connects the client to a gateway.
+   * Connects the shards of the client to a gateway.
    * @param {string} gateway The gateway to connect to
    * @returns {boolean}
    */
   connect(gateway) {
-    if (!this.connection) {
-      this.connection = new WebSocketConnection(this, gateway);
-      return true;
+    let connecting = false;
+    for (const id of this.client.options.shards) {
+      const shard = this.shards.get(id);
+      if (!shard) {
+        this.shards.set(id, new WebSocketConnection(this, gateway, id));
+        connecting = true;
+        continue;
+      }
+      switch (shard.status) {
+        case Constants.Status.IDLE:
+        case Constants.Status.DISCONNECTED:
+          shard.connect(gateway, 5500);
+          connecting = true;
+          break;
+        default:
+          this.debug(`Couldn't connect shard ${id} to ${gateway} as the websocket is at state ${shard.status}`);
+      }
     }
-    switch (this.connection.status) {
-      case Constants.Status.IDLE:
-      case Constants.Status.DISCONNECTED:
-        this.connection.connect(gateway, 5500);
-        return true;
-      default:
-        this.debug(`Couldn't connect to ${gateway} as the websocket is at state ${this.connection.status}`);
-        return false;
+    return connecting;
+  }
+
+  /**
+   * Queues a shard to identify as a new session. Shards identify in buckets of `maxConcurrency`, each of which
+   * allows one identify every 5 seconds, and wait for the session start limit to reset once it is exhausted.
+   * @param {WebSocketConnection} connection The connection of the shard
+   * @param {Function} identify Function sending the identify payload, returning whether it did
+   * @returns {void}
+   */
+  queueIdentify(connection, identify) {
+    const key = this.sessionStartLimit ? connection.id % this.sessionStartLimit.maxConcurrency : 0;
+    let bucket = this.identifyBuckets.get(key);
+    if (!bucket) {
+      bucket = { queue: [], timeout: null };
+      this.identifyBuckets.set(key, bucket);
     }
+    bucket.queue.push(identify);
+    this.processIdentifyBucket(bucket);
+  }
+
+  /**
+   * Lets the next shard of an identify bucket identify, if the bucket and the session start limit allow it.
+   * @param {Object} bucket The bucket to process
+   * @returns {void}
+   * @private
+   */
+  processIdentifyBucket(bucket) {
+    if (bucket.timeout || !bucket.queue.length) return;
+    const limit = this.sessionStartLimit;
+    if (limit && limit.remaining <= 0) {
+      const wait = Math.max(limit.resetTimestamp - Date.now(), 0);
+      this.debug(`The session start limit is exhausted, waiting ${wait}ms before identifying`);
+      bucket.timeout = this.client.setTimeout(() => {
+        bucket.timeout = null;
+        if (limit.resetTimestamp <= Date.now()) {
+          limit.remaining = limit.total;
+          limit.resetTimestamp = Date.now() + limit.resetAfter;
+        }
+        this.processIdentifyBucket(bucket);
+      }, wait);
+      return;
+    }
+    if (!bucket.queue.shift()()) {
+      this.processIdentifyBucket(bucket);
+      return;
+    }
+    if (limit) limit.remaining--;
+    bucket.timeout = this.client.setTimeout(() => {
+      bucket.timeout = null;
+      this.processIdentifyBucket(bucket);
+    }, 5500);
+  }
+
+  /**
+   * Emits the ready event once all shards are ready for the first time. Shards that become ready again later, such
+   * as after reconnecting, only emit {@link Client#shardReady}.
+   * @returns {boolean} Whether the ready event was emitted
+   */
+  checkReady() {
+    if (this.readyEmitted || this.status !== Constants.Status.READY) return false;
+    this.readyEmitted = true;
+    /**
+     * Emitted when the client becomes ready to start working.
+     * @event Client#ready
+     */
+    this.client.emit(Constants.Events.READY);
+    return true;
   }
 }
 
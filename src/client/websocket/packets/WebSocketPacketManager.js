@@ -40,6 +40,20 @@ class WebSocketPacketManager {
     this.register(Constants.WSEvents.CHANNEL_DELETE, require('./handlers/ChannelDelete'));
     this.register(Constants.WSEvents.CHANNEL_UPDATE, require('./handlers/ChannelUpdate'));
     this.register(Constants.WSEvents.CHANNEL_PINS_UPDATE, require('./handlers/ChannelPinsUpdate'));
+    this.register(Constants.WSEvents.THREAD_CREATE, require('./handlers/ThreadCreate'));
+    this.register(Constants.WSEvents.THREAD_UPDATE, require('./handlers/ThreadUpdate'));
+    this.register(Constants.WSEvents.THREAD_DELETE, require('./handlers/ThreadDelete'));
+    this.register(Constants.WSEvents.THREAD_LIST_SYNC, require('./handlers/ThreadListSync'));
+    this.register(Constants.WSEvents.THREAD_MEMBERS_UPDATE, require('./handlers/ThreadMembersUpdate'));
+    this.register(Constants.WSEvents.STAGE_INSTANCE_CREATE, require('./handlers/StageInstanceCreate'));
+    this.register(Constants.WSEvents.STAGE_INSTANCE_UPDATE, require('./handlers/StageInstanceUpdate'));
+    this.register(Constants.WSEvents.STAGE_INSTANCE_DELETE, require('./handlers/StageInstanceDelete'));
+    this.register(Constants.WSEvents.GUILD_SCHEDULED_EVENT_CREATE, require('./handlers/GuildScheduledEventCreate'));
+    this.register(Constants.WSEvents.GUILD_SCHEDULED_EVENT_UPDATE, require('./handlers/GuildScheduledEventUpdate'));
+    this.register(Constants.WSEvents.GUILD_SCHEDULED_EVENT_DELETE, require('./handlers/GuildScheduledEventDelete'));
+    this.register(Constants.WSEvents.GUILD_SCHEDULED_EVENT_USER_ADD, require('./handlers/GuildScheduledEventUserAdd'));
+    this.register(Constants.WSEvents.GUILD_SCHEDULED_EVENT_USER_REMOVE,
+      require('./handlers/GuildScheduledEventUserRemove'));
     this.register(Constants.WSEvents.PRESENCE_UPDATE, require('./handlers/PresenceUpdate'));
     this.register(Constants.WSEvents.USER_UPDATE, require('./handlers/UserUpdate'));
     this.register(Constants.WSEvents.USER_NOTE_UPDATE, require('./handlers/UserNoteUpdate'));
@@ -60,6 +74,7 @@ class WebSocketPacketManager {
     this.register(Constants.WSEvents.MESSAGE_REACTION_REMOVE_EMOJI, require('./handlers/MessageReactionRemoveEmoji'));
     this.register(Constants.WSEvents.MESSAGE_REACTION_REMOVE_ALL, require('./handlers/MessageReactionRemoveAll'));
     this.register(Constants.WSEvents.WEBHOOKS_UPDATE, require('./handlers/WebhooksUpdate'));
+    this.register(Constants.WSEvents.INTERACTION_CREATE, require('./handlers/InteractionCreate'));
   }
 
   get client() {
@@ -83,9 +98,9 @@ class WebSocketPacketManager {
       this.ws.lastHeartbeatAck = true;
       this.ws.client.emit('debug', 'Heartbeat acknowledged');
     } else if (packet.op === Constants.OPCodes.HEARTBEAT) {
-      this.client.ws.send({
+      this.ws.send({
         op: Constants.OPCodes.HEARTBEAT,
-        d: this.client.ws.sequence,
+        d: this.ws.sequence,
       });
       this.ws.client.emit('debug', 'Received gateway heartbeat');
     }
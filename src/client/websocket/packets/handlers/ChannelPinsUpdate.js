@@ -16,7 +16,7 @@ class ChannelPinsUpdate extends AbstractHandler {
   handle(packet) {
     const client = this.packetManager.client;
     const data = packet.d;
-    const channel = client.channels.get(data.channel_id);
+    const channel = client.dataManager.getChannel(data.channel_id);
     const time = new Date(data.last_pin_timestamp);
     if (channel && time) {
       // Discord sends null for last_pin_timestamp if the last pinned message was removed
@@ -10,8 +10,15 @@ class GuildCreateHandler extends AbstractHandler {
     const guild = client.guilds.get(data.id);
     if (guild) {
       if (!guild.available && !data.unavailable) {
+        if (guild.restored) {
+          // Replace the state restored from the cache adapter, as it may have changed since
+          client.dataManager.unpersistGuild(guild);
+          for (const channel of guild.channels.values()) client.channels.delete(channel.id);
+          guild.restored = false;
+        }
         // A newly available guild
         guild.setup(data);
+        client.dataManager.persistGuild(data);
         this.packetManager.ws.checkIfReady();
       }
     } else {
@@ -7,7 +7,7 @@ class GuildIntegrationsHandler extends AbstractHandler {
   handle(packet) {
     const client = this.packetManager.client;
     const data = packet.d;
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
     if (guild) client.emit(Events.GUILD_INTEGRATIONS_UPDATE, guild);
   }
 }
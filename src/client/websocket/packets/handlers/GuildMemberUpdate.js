@@ -9,7 +9,7 @@ class GuildMemberUpdateHandler extends AbstractHandler {
     const client = this.packetManager.client;
     const data = packet.d;
 
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
     if (guild) {
       const member = guild.members.get(data.user.id);
       if (member) guild._updateMember(member, data);
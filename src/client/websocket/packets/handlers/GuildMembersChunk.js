@@ -9,7 +9,7 @@ class GuildMembersChunkHandler extends AbstractHandler {
   handle(packet) {
     const client = this.packetManager.client;
     const data = packet.d;
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
     if (!guild) return;
 
     // Uncomment in v12
@@ -18,8 +18,14 @@ class GuildMembersChunkHandler extends AbstractHandler {
     // for (const member of data.members) members.set(member.id, guild._addMember(member, false));
 
     const members = data.members.map(member => guild._addMember(member, false));
+    if (data.presences) for (const presence of data.presences) guild._setPresence(presence.user.id, presence);
 
-    client.emit(Constants.Events.GUILD_MEMBERS_CHUNK, members, guild);
+    client.emit(Constants.Events.GUILD_MEMBERS_CHUNK, members, guild, {
+      index: data.chunk_index || 0,
+      count: data.chunk_count || 1,
+      nonce: data.nonce || null,
+      notFound: data.not_found || [],
+    });
 
     client.ws.lastHeartbeatAck = true;
   }
@@ -30,6 +36,16 @@ class GuildMembersChunkHandler extends AbstractHandler {
  * @event Client#guildMembersChunk
  * @param {GuildMember[]} members The members in the chunk
  * @param {Guild} guild The guild related to the member chunk
+ * @param {GuildMembersChunk} chunk Information about the chunk
+ */
+
+/**
+ * Information about a chunk of guild members.
+ * @typedef {Object} GuildMembersChunk
+ * @property {number} index The index of the chunk in the response to the request
+ * @property {number} count The number of chunks in the response to the request
+ * @property {?string} nonce The nonce of the request
+ * @property {Snowflake[]} notFound The requested IDs that were not found in the guild
  */
 
 module.exports = GuildMembersChunkHandler;
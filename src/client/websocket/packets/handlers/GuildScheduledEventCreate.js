@@ -0,0 +1,13 @@
+'use strict';
+
+const AbstractHandler = require('./AbstractHandler');
+
+class GuildScheduledEventCreateHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    client.actions.GuildScheduledEventCreate.handle(data);
+  }
+}
+
+module.exports = GuildScheduledEventCreateHandler;
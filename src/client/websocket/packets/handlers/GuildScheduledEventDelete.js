@@ -0,0 +1,22 @@
+'use strict';
+
+const AbstractHandler = require('./AbstractHandler');
+
+const Constants = require('../../../../util/Constants');
+
+class GuildScheduledEventDeleteHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    const response = client.actions.GuildScheduledEventDelete.handle(data);
+    if (response.event) client.emit(Constants.Events.GUILD_SCHEDULED_EVENT_DELETE, response.event);
+  }
+}
+
+/**
+ * Emitted whenever a guild scheduled event is deleted.
+ * @event Client#guildScheduledEventDelete
+ * @param {GuildScheduledEvent} event The scheduled event that was deleted
+ */
+
+module.exports = GuildScheduledEventDeleteHandler;
@@ -0,0 +1,13 @@
+'use strict';
+
+const AbstractHandler = require('./AbstractHandler');
+
+class GuildScheduledEventUpdateHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    client.actions.GuildScheduledEventUpdate.handle(data);
+  }
+}
+
+module.exports = GuildScheduledEventUpdateHandler;
@@ -0,0 +1,13 @@
+'use strict';
+
+const AbstractHandler = require('./AbstractHandler');
+
+class GuildScheduledEventUserAddHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    client.actions.GuildScheduledEventUserAdd.handle(data);
+  }
+}
+
+module.exports = GuildScheduledEventUserAddHandler;
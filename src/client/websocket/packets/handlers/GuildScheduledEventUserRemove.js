@@ -0,0 +1,13 @@
+'use strict';
+
+const AbstractHandler = require('./AbstractHandler');
+
+class GuildScheduledEventUserRemoveHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    client.actions.GuildScheduledEventUserRemove.handle(data);
+  }
+}
+
+module.exports = GuildScheduledEventUserRemoveHandler;
@@ -0,0 +1,13 @@
+'use strict';
+
+const AbstractHandler = require('./AbstractHandler');
+
+class InteractionCreateHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    client.actions.InteractionCreate.handle(data);
+  }
+}
+
+module.exports = InteractionCreateHandler;
@@ -9,7 +9,7 @@ class PresenceUpdateHandler extends AbstractHandler {
     const client = this.packetManager.client;
     const data = packet.d;
     let user = client.users.get(data.user.id);
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
 
     // Step 1
     if (!user) {
@@ -1,28 +1,43 @@
 'use strict';
 
 const AbstractHandler = require('./AbstractHandler');
+const Constants = require('../../../../util/Constants');
 
 const ClientUser = require('../../../../structures/ClientUser');
 
 class ReadyHandler extends AbstractHandler {
   handle(packet) {
     const client = this.packetManager.client;
+    const ws = this.packetManager.ws;
     const data = packet.d;
 
-    client.ws.heartbeat();
+    ws.heartbeat();
 
     data.user.user_settings = data.user_settings;
     data.user.user_guild_settings = data.user_guild_settings;
 
-    const clientUser = new ClientUser(client, data.user);
-    client.user = clientUser;
-    client.readyAt = new Date();
-    client.users.set(clientUser.id, clientUser);
+    // Keep the client user of shards that are already ready, as its presence is shared between them
+    if (!client.user || !client.ws.shards.some(shard => shard !== ws && shard.status === Constants.Status.READY)) {
+      const clientUser = new ClientUser(client, data.user);
+      client.user = clientUser;
+      client.readyAt = new Date();
+      client.users.set(clientUser.id, clientUser);
+    }
+
+    if (data.application) client.application.setup(data.application);
 
     for (const guild of data.guilds) if (!client.guilds.has(guild.id)) client.dataManager.newGuild(guild);
-    for (const privateDM of data.private_channels) client.dataManager.newChannel(privateDM);
 
-    for (const relation of data.relationships) {
+    // Guilds restored from the cache adapter that this shard isn't in anymore were left while offline
+    const guildIDs = data.guilds.map(guild => guild.id);
+    for (const guild of client.guilds.values()) {
+      if (!guild.restored || guild.shardID !== ws.id || guildIDs.includes(guild.id)) continue;
+      for (const channel of guild.channels.values()) client.dataManager.killChannel(channel);
+      client.dataManager.killGuild(guild);
+    }
+    for (const privateDM of data.private_channels || []) client.dataManager.newChannel(privateDM);
+
+    for (const relation of data.relationships || []) {
       const user = client.dataManager.newUser(relation.user);
       if (relation.type === 1) {
         client.user.friends.set(user.id, user);
@@ -62,7 +77,7 @@ class ReadyHandler extends AbstractHandler {
     }
 
     const t = client.setTimeout(() => {
-      client.ws.connection.triggerReady();
+      ws.triggerReady();
     }, 1200 * data.guilds.length);
 
     const guildCount = data.guilds.length;
@@ -75,8 +90,6 @@ class ReadyHandler extends AbstractHandler {
       client.clearTimeout(t);
     });
 
-    const ws = this.packetManager.ws;
-
     ws.sessionID = data.session_id;
     client.emit('debug', `READY ${ws.sessionID}`);
     ws.checkIfReady();
@@ -6,7 +6,7 @@ const Constants = require('../../../../util/Constants');
 class ResumedHandler extends AbstractHandler {
   handle() {
     const client = this.packetManager.client;
-    const ws = client.ws.connection;
+    const ws = this.packetManager.ws;
 
     ws.status = Constants.Status.READY;
     this.packetManager.handleQueue();
@@ -14,7 +14,7 @@ class ResumedHandler extends AbstractHandler {
     const replayed = ws.sequence - ws.closeSequence;
 
     ws.debug(`RESUMED | replayed ${replayed} events.`);
-    client.emit(Constants.Events.RESUME, replayed);
+    client.emit(Constants.Events.RESUME, replayed, ws.id);
     ws.heartbeat();
   }
 }
@@ -23,6 +23,7 @@ class ResumedHandler extends AbstractHandler {
  * Emitted whenever a WebSocket resumes.
  * @event Client#resume
  * @param {number} replayed The number of events that were replayed
+ * @param {number} shardID The ID of the shard that resumed
  */
 
 module.exports = ResumedHandler;
@@ -0,0 +1,13 @@
+'use strict';
+
+const AbstractHandler = require('./AbstractHandler');
+
+class StageInstanceCreateHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    client.actions.StageInstanceCreate.handle(data);
+  }
+}
+
+module.exports = StageInstanceCreateHandler;
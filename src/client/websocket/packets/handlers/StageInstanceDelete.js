@@ -0,0 +1,22 @@
+'use strict';
+
+const AbstractHandler = require('./AbstractHandler');
+
+const Constants = require('../../../../util/Constants');
+
+class StageInstanceDeleteHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    const response = client.actions.StageInstanceDelete.handle(data);
+    if (response.stageInstance) client.emit(Constants.Events.STAGE_INSTANCE_DELETE, response.stageInstance);
+  }
+}
+
+/**
+ * Emitted whenever a stage instance is deleted, i.e. the stage ended.
+ * @event Client#stageInstanceDelete
+ * @param {StageInstance} stageInstance The stage instance that was deleted
+ */
+
+module.exports = StageInstanceDeleteHandler;
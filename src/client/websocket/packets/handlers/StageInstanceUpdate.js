@@ -0,0 +1,13 @@
+'use strict';
+
+const AbstractHandler = require('./AbstractHandler');
+
+class StageInstanceUpdateHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    client.actions.StageInstanceUpdate.handle(data);
+  }
+}
+
+module.exports = StageInstanceUpdateHandler;
@@ -0,0 +1,13 @@
+'use strict';
+
+const AbstractHandler = require('./AbstractHandler');
+
+class ThreadMembersUpdateHandler extends AbstractHandler {
+  handle(packet) {
+    const client = this.packetManager.client;
+    const data = packet.d;
+    client.actions.ThreadMembersUpdate.handle(data);
+  }
+}
+
+module.exports = ThreadMembersUpdateHandler;
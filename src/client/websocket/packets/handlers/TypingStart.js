@@ -7,13 +7,13 @@ class TypingStartHandler extends AbstractHandler {
   handle(packet) {
     const client = this.packetManager.client;
     const data = packet.d;
-    const channel = client.channels.get(data.channel_id);
+    const channel = client.dataManager.getChannel(data.channel_id);
     const user = client.users.get(data.user_id);
     const timestamp = new Date(data.timestamp * 1000);
 	const v8since = data.timestamp * 1000;
 
     if (channel && user) {
-      if (channel.type === 'voice') {
+      if (channel.type === 'voice' || channel.type === 'stage') {
         client.emit(Constants.Events.WARN, `Discord sent a typing packet to voice channel ${channel.id}`);
         return;
       }
@@ -10,7 +10,7 @@ class VoiceStateUpdateHandler extends AbstractHandler {
     const client = this.packetManager.client;
     const data = packet.d;
 
-    const guild = client.guilds.get(data.guild_id);
+    const guild = client.dataManager.getGuild(data.guild_id);
     if (guild) {
       const member = guild.members.get(data.user_id);
       if (member) {
@@ -26,7 +26,7 @@ class VoiceStateUpdateHandler extends AbstractHandler {
           client.emit('self.voiceStateUpdate', data);
         }
 
-        const newChannel = client.channels.get(data.channel_id);
+        const newChannel = client.dataManager.getChannel(data.channel_id);
         if (newChannel) {
           newChannel.members.set(member.id, member);
           member.guild.channels.set(data.channel_id, newChannel);
@@ -37,6 +37,9 @@ class VoiceStateUpdateHandler extends AbstractHandler {
         member.selfMute = data.self_mute;
         member.selfDeaf = data.self_deaf;
         member.selfStream = data.self_stream || false;
+        member.suppress = Boolean(data.suppress);
+        member.requestToSpeakTimestamp = data.request_to_speak_timestamp ?
+          new Date(data.request_to_speak_timestamp).getTime() : null;
         member.voiceSessionID = data.session_id;
         member.voiceChannelID = data.channel_id;
         client.emit(Constants.Events.VOICE_STATE_UPDATE, oldVoiceChannelMember, member);
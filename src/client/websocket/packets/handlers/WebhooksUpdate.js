@@ -7,7 +7,7 @@ class WebhooksUpdate extends AbstractHandler {
   handle(packet) {
     const client = this.packetManager.client;
     const data = packet.d;
-    const channel = client.channels.get(data.channel_id);
+    const channel = client.dataManager.getChannel(data.channel_id);
     if (channel) client.emit(Events.WEBHOOKS_UPDATE, channel);
   }
 }
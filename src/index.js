@@ -29,9 +29,16 @@ module.exports = {
   // Utilities
   BitField: require('./util/BitField'),
   Collection: require('./util/Collection'),
+  ArgumentParseError: require('./client/commands/ArgumentParseError'),
+  CacheAdapter: require('./client/cache/CacheAdapter'),
+  CommandParser: require('./client/commands/CommandParser'),
   Constants: require('./util/Constants'),
   DiscordAPIError: require('./client/rest/DiscordAPIError'),
   EvaluatedPermissions: require('./util/Permissions'),
+  Intents: require('./util/Intents'),
+  JSONCacheAdapter: require('./client/cache/JSONCacheAdapter'),
+  LimitedCollection: require('./util/LimitedCollection'),
+  MemoryCacheAdapter: require('./client/cache/MemoryCacheAdapter'),
   MessageFlags: require('./util/MessageFlags'),
   Permissions: require('./util/Permissions'),
   Snowflake: require('./util/Snowflake'),
@@ -43,33 +50,48 @@ module.exports = {
 
   // Shortcuts to Util methods
   escapeMarkdown: Util.escapeMarkdown,
+  fetchGatewayInfo: Util.fetchGatewayInfo,
   fetchRecommendedShards: Util.fetchRecommendedShards,
   resolveString: Util.resolveString,
   splitMessage: Util.splitMessage,
 
   // Structures
+  ApplicationCommand: require('./structures/ApplicationCommand'),
+  ApplicationCommandManager: require('./client/ApplicationCommandManager'),
   Attachment: require('./structures/Attachment'),
   CategoryChannel: require('./structures/CategoryChannel'),
   Channel: require('./structures/Channel'),
+  ClientApplication: require('./structures/ClientApplication'),
   ClientUser: require('./structures/ClientUser'),
   ClientUserSettings: require('./structures/ClientUserSettings'),
   Collector: require('./structures/interfaces/Collector'),
+  ComponentInteractionCollector: require('./structures/ComponentInteractionCollector'),
+  Command: require('./client/commands/Command'),
+  CommandContext: require('./client/commands/CommandContext'),
+  CommandRegistry: require('./client/commands/CommandRegistry'),
   DMChannel: require('./structures/DMChannel'),
   Emoji: require('./structures/Emoji'),
   Game: require('./structures/Presence').Game,
+  GatewayInfo: require('./structures/GatewayInfo'),
   GroupDMChannel: require('./structures/GroupDMChannel'),
   Guild: require('./structures/Guild'),
   GuildAuditLogs: require('./structures/GuildAuditLogs'),
   GuildChannel: require('./structures/GuildChannel'),
   GuildMember: require('./structures/GuildMember'),
+  GuildScheduledEvent: require('./structures/GuildScheduledEvent'),
+  GuildScheduledEventManager: require('./client/GuildScheduledEventManager'),
   Integration: require('./structures/Integration'),
+  Interaction: require('./structures/Interaction'),
   Invite: require('./structures/Invite'),
   Message: require('./structures/Message'),
+  MessageActionRow: require('./structures/MessageActionRow'),
   MessageAttachment: require('./structures/MessageAttachment'),
+  MessageButton: require('./structures/MessageButton'),
   MessageCollector: require('./structures/MessageCollector'),
   MessageEmbed: require('./structures/MessageEmbed'),
   MessageMentions: require('./structures/MessageMentions'),
   MessageReaction: require('./structures/MessageReaction'),
+  MessageSelectMenu: require('./structures/MessageSelectMenu'),
   NewsChannel: require('./structures/NewsChannel'),
   OAuth2Application: require('./structures/OAuth2Application'),
   ClientOAuth2Application: require('./structures/OAuth2Application'),
@@ -81,9 +103,15 @@ module.exports = {
   ReactionCollector: require('./structures/ReactionCollector'),
   RichEmbed: require('./structures/RichEmbed'),
   Role: require('./structures/Role'),
+  StageChannel: require('./structures/StageChannel'),
+  StageInstance: require('./structures/StageInstance'),
   Sticker: require('./structures/Sticker'),
+  StickerPack: require('./structures/StickerPack'),
   StoreChannel: require('./structures/StoreChannel'),
   TextChannel: require('./structures/TextChannel'),
+  ThreadChannel: require('./structures/ThreadChannel'),
+  ThreadMember: require('./structures/ThreadMember'),
+  ThreadManager: require('./client/ThreadManager'),
   User: require('./structures/User'),
   VoiceChannel: require('./structures/VoiceChannel'),
   Webhook: require('./structures/Webhook'),
@@ -3,6 +3,7 @@
 const childProcess = require('child_process');
 const EventEmitter = require('events');
 const path = require('path');
+const Snowflake = require('../util/Snowflake');
 const Util = require('../util/Util');
 
 /**
@@ -55,60 +56,81 @@ class Shard extends EventEmitter {
     this._exitListener = this._handleExit.bind(this, undefined);
 
     /**
-     * Process of the shard
-     * @type {ChildProcess}
+     * Process of the shard, if the manager is in process mode
+     * @type {?ChildProcess}
      */
     this.process = null;
 
+    /**
+     * Worker of the shard, if the manager is in worker mode
+     * @type {?Worker}
+     */
+    this.worker = null;
+
     this.spawn(args);
   }
 
   /**
-   * Forks a child process for the shard.
+   * Forks a child process or creates a worker thread for the shard, depending on the manager's mode.
    * <warn>You should not need to call this manually.</warn>
    * @param {Array} [args=this.manager.args] Command line arguments to pass to the script
    * @param {Array} [execArgv=this.manager.execArgv] Command line arguments to pass to the process executable
-   * @returns {ChildProcess}
+   * @returns {Promise<ChildProcess|Worker>}
    */
   spawn(args, execArgv) {
 	// args = this.manager.args, execArgv = this.manager.execArgv
 	if(args === undefined) this.manager.args;
 	if(execArgv === undefined) this.manager.execArgv;
 	
-    this.process = childProcess.fork(path.resolve(this.manager.file), args, {
-      env: this.env, execArgv,
-    })
-      .on('exit', this._exitListener)
-      .on('message', this._handleMessage.bind(this));
+    if (this.manager.mode === 'worker') {
+      const Worker = require('worker_threads').Worker;
+      const options = { env: this.env, argv: args };
+      if (execArgv) options.execArgv = execArgv;
+      this.worker = new Worker(path.resolve(this.manager.file), options)
+        .on('exit', this._exitListener)
+        .on('error', this._handleError.bind(this))
+        .on('message', this._handleMessage.bind(this));
+    } else {
+      this.process = childProcess.fork(path.resolve(this.manager.file), args, {
+        env: this.env, execArgv,
+      })
+        .on('exit', this._exitListener)
+        .on('message', this._handleMessage.bind(this));
+    }
 
     /**
-     * Emitted upon the creation of the shard's child process.
+     * Emitted upon the creation of the shard's child process or worker thread.
      * @event Shard#spawn
-     * @param {ChildProcess} process Child process that was created
+     * @param {ChildProcess|Worker} process Child process or worker that was created
      */
-    this.emit('spawn', this.process);
+    this.emit('spawn', this.process || this.worker);
 
     return new Promise((resolve, reject) => {
       this.once('ready', resolve);
       this.once('disconnect', () => reject(new Error(`Shard ${this.id}'s Client disconnected before becoming ready.`)));
       this.once('death', () => reject(new Error(`Shard ${this.id}'s process exited before its Client became ready.`)));
       setTimeout(() => reject(new Error(`Shard ${this.id}'s Client took too long to become ready.`)), 30000);
-    }).then(() => this.process);
+    }).then(() => this.process || this.worker);
   }
 
   /**
-   * Immediately kills the shard's process and does not restart it.
+   * Immediately kills the shard's process or terminates its worker, and does not restart it.
    */
   kill() {
-    this.process.removeListener('exit', this._exitListener);
-    this.process.kill();
+    if (this.worker) {
+      this.worker.removeListener('exit', this._exitListener);
+      this.worker.terminate();
+    } else {
+      this.process.removeListener('exit', this._exitListener);
+      this.process.kill();
+    }
     this._handleExit(false);
   }
 
   /**
-   * Kills and restarts the shard's process.
+   * Kills and restarts the shard's process or worker.
    * @param {number} [delay=500] How long to wait between killing the process and restarting it (in milliseconds)
-   * @returns {Promise<ChildProcess>}
+   * @returns {Promise<ChildProcess|Worker>}
    */
   respawn(delay) { if(delay === undefined) delay = 500;
     this.kill();
@@ -117,12 +139,17 @@ class Shard extends EventEmitter {
   }
 
   /**
-   * Sends a message to the shard's process.
+   * Sends a message to the shard's process or worker.
    * @param {*} message Message to send to the shard
    * @returns {Promise<Shard>}
    */
   send(message) {
     return new Promise((resolve, reject) => {
+      if (this.worker) {
+        this.worker.postMessage(message);
+        resolve(this);
+        return;
+      }
       this.process.send(message, err => {
         if (err) reject(err); else resolve(this);
       });
@@ -141,17 +168,18 @@ class Shard extends EventEmitter {
   fetchClientValue(prop) {
     if (this._fetches.has(prop)) return this._fetches.get(prop);
 
+    const child = this.process || this.worker;
     const promise = new Promise((resolve, reject) => {
       const listener = message => {
         if (!message || message._fetchProp !== prop) return;
-        this.process.removeListener('message', listener);
+        child.removeListener('message', listener);
         this._fetches.delete(prop);
         resolve(message._result);
       };
-      this.process.on('message', listener);
+      child.on('message', listener);
 
       this.send({ _fetchProp: prop }).catch(err => {
-        this.process.removeListener('message', listener);
+        child.removeListener('message', listener);
         this._fetches.delete(prop);
         reject(err);
       });
@@ -163,30 +191,52 @@ class Shard extends EventEmitter {
 
   /**
    * Evaluates a script on the shard, in the context of the client.
-   * @param {string} script JavaScript to run on the shard
+   * @param {string|Function} script JavaScript or function to run on the shard
+   * @param {BroadcastEvalOptions} [options] Options for the evaluation, the `shard` option is ignored
    * @returns {Promise<*>} Result of the script execution
+   * @example
+   * shard.eval((client, context) => client.users.get(context), { context: userID, timeout: 5000 })
+   *   .then(user => console.log(user ? `Found ${user.username}` : 'Not found'))
+   *   .catch(console.error);
    */
-  eval(script) {
-    if (this._evals.has(script)) return this._evals.get(script);
+  eval(script, options) { options = options || {};
+    if (!this.process && !this.worker) {
+      return Promise.reject(new Error(`Shard ${this.id} has no process to evaluate on.`));
+    }
+    try {
+      script = Util.makeEvalScript(script, options.context);
+    } catch (err) {
+      return Promise.reject(err);
+    }
 
-    const promise = new Promise((resolve, reject) => {
+    const child = this.process || this.worker;
+    const nonce = Snowflake.generate();
+    return new Promise((resolve, reject) => {
+      let timeout = null;
       const listener = message => {
-        if (!message || message._eval !== script) return;
-        this.process.removeListener('message', listener);
-        this._evals.delete(script);
+        if (!message || !message._eval || message._nonce !== nonce) return;
+        this._evals.get(nonce)();
         if (!message._error) resolve(message._result); else reject(Util.makeError(message._error));
       };
-      this.process.on('message', listener);
+      // Called once the eval is settled, rejecting it when given an error
+      this._evals.set(nonce, err => {
+        child.removeListener('message', listener);
+        if (timeout) clearTimeout(timeout);
+        this._evals.delete(nonce);
+        if (err) reject(err);
+      });
+      child.on('message', listener);
 
-      this.send({ _eval: script }).catch(err => {
-        this.process.removeListener('message', listener);
-        this._evals.delete(script);
-        reject(err);
+      if (options.timeout) {
+        timeout = setTimeout(() => {
+          this._evals.get(nonce)(new Error(`Shard ${this.id} took longer than ${options.timeout}ms to evaluate.`));
+        }, options.timeout);
+      }
+
+      this.send({ _eval: script, _nonce: nonce }).catch(err => {
+        if (this._evals.has(nonce)) this._evals.get(nonce)(err);
       });
     });
-
-    this._evals.set(script, promise);
-    return promise;
   }
 
   /**
@@ -240,9 +290,10 @@ class Shard extends EventEmitter {
 
       // Shard is requesting an eval broadcast
       if (message._sEval) {
-        this.manager.broadcastEval(message._sEval).then(
-          results => this.send({ _sEval: message._sEval, _result: results }),
-          err => this.send({ _sEval: message._sEval, _error: Util.makePlainError(err) })
+        const options = { shard: message._sEvalShard, timeout: message._sEvalTimeout };
+        this.manager.broadcastEval(message._sEval, options).then(
+          results => this.send({ _sEval: message._sEval, _nonce: message._nonce, _result: results }),
+          err => this.send({ _sEval: message._sEval, _nonce: message._nonce, _error: Util.makePlainError(err) })
         );
         return;
       }
@@ -265,20 +316,39 @@ class Shard extends EventEmitter {
   }
 
   /**
-   * Handles the shard's process exiting.
+   * Handles an uncaught error thrown in the shard's worker, which exits afterwards.
+   * @param {Error} error The error that was thrown
+   * @private
+   */
+  _handleError(error) {
+    /**
+     * Emitted upon an uncaught error in the shard's worker thread, right before it exits.
+     * When there are no listeners, the error is printed to stderr like it would be by a child process.
+     * @event Shard#error
+     * @param {Error} error The error that was thrown
+     */
+    if (this.listenerCount('error')) this.emit('error', error);
+    else process.stderr.write(`${error.stack}\n`);
+  }
+
+  /**
+   * Handles the shard's process or worker exiting.
    * @param {boolean} [respawn=this.manager.respawn] Whether to spawn the shard again
    * @private
    */
   _handleExit(respawn) {if(respawn===undefined) respawn = this.manager.respawn;
     /**
-     * Emitted upon the shard's child process exiting.
+     * Emitted upon the shard's child process or worker thread exiting.
      * @event Shard#death
-     * @param {ChildProcess} process Child process that exited
+     * @param {ChildProcess|Worker} process Child process or worker that exited
      */
-    this.emit('death', this.process);
+    this.emit('death', this.process || this.worker);
 
     this.process = null;
-    this._evals.clear();
+    this.worker = null;
+    for (const settle of Array.from(this._evals.values())) {
+      settle(new Error(`Shard ${this.id}'s process exited before the script was evaluated.`));
+    }
     this._fetches.clear();
 
     if (respawn) this.manager.createShard(this.id);
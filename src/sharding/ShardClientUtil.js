@@ -1,20 +1,36 @@
 'use strict';
 
+const Snowflake = require('../util/Snowflake');
 const Util = require('../util/Util');
 
 /**
- * Helper class for sharded clients spawned as a child process, such as from a ShardingManager.
+ * Helper class for sharded clients spawned as a child process or worker thread, such as from a ShardingManager.
  */
 class ShardClientUtil {
   /**
    * @param {Client} client The client of the current shard
+   * @param {ShardingMode} [mode='process'] Transport used to communicate with the manager
    */
-  constructor(client) {
+  constructor(client, mode) { mode = mode || 'process';
     this.client = client;
-    process.on('message', this._handleMessage.bind(this));
-    client.on('ready', () => { process.send({ _ready: true }); });
-    client.on('disconnect', () => { process.send({ _disconnect: true }); });
-    client.on('reconnecting', () => { process.send({ _reconnecting: true }); });
+
+    /**
+     * Transport used to communicate with the manager
+     * @type {ShardingMode}
+     */
+    this.mode = mode;
+
+    /**
+     * Receiver of the manager's messages, either the process or the worker's parent port
+     * @type {EventEmitter}
+     * @private
+     */
+    this._parent = mode === 'worker' ? require('worker_threads').parentPort : process;
+
+    this._parent.on('message', this._handleMessage.bind(this));
+    client.on('ready', () => { this._respond('ready', { _ready: true }); });
+    client.on('disconnect', () => { this._respond('disconnect', { _disconnect: true }); });
+    client.on('reconnecting', () => { this._respond('reconnecting', { _reconnecting: true }); });
   }
 
   /**
@@ -36,12 +52,17 @@ class ShardClientUtil {
   }
 
   /**
-   * Sends a message to the master process.
+   * Sends a message to the master process or thread.
    * @param {*} message Message to send
    * @returns {Promise<void>}
    */
   send(message) {
     return new Promise((resolve, reject) => {
+      if (this.mode === 'worker') {
+        this._parent.postMessage(message);
+        resolve();
+        return;
+      }
       process.send(message, err => {
         if (err) reject(err); else resolve();
       });
@@ -63,36 +84,60 @@ class ShardClientUtil {
     return new Promise((resolve, reject) => {
       const listener = message => {
         if (!message || message._sFetchProp !== prop) return;
-        process.removeListener('message', listener);
+        this._parent.removeListener('message', listener);
         if (!message._error) resolve(message._result); else reject(Util.makeError(message._error));
       };
-      process.on('message', listener);
+      this._parent.on('message', listener);
 
       this.send({ _sFetchProp: prop }).catch(err => {
-        process.removeListener('message', listener);
+        this._parent.removeListener('message', listener);
         reject(err);
       });
     });
   }
 
   /**
-   * Evaluates a script on all shards, in the context of the Clients.
-   * @param {string} script JavaScript to run on each shard
-   * @returns {Promise<Array>} Results of the script execution
+   * Evaluates a script on all shards, or a single one, in the context of the Clients.
+   * A function is serialised and called with the client of the shard and the context.
+   * @param {string|Function} script JavaScript or function to run on each shard
+   * @param {BroadcastEvalOptions} [options] Options for the evaluation
+   * @returns {Promise<*|Array<*>>} Results of the script execution, or the result of the targeted shard
+   * @example
+   * client.shard.broadcastEval((c, context) => c.channels.has(context), { context: channelID })
+   *   .then(results => console.log(`Channel is on ${results.filter(Boolean).length} shard(s)`))
+   *   .catch(console.error);
    */
-  broadcastEval(script) {
+  broadcastEval(script, options) { options = options || {};
+    try {
+      script = Util.makeEvalScript(script, options.context);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    const nonce = Snowflake.generate();
     return new Promise((resolve, reject) => {
+      let timeout = null;
       const listener = message => {
-        if (!message || message._sEval !== script) return;
-        process.removeListener('message', listener);
+        if (!message || !message._sEval || message._nonce !== nonce) return;
+        this._parent.removeListener('message', listener);
+        if (timeout) this.client.clearTimeout(timeout);
         if (!message._error) resolve(message._result); else reject(Util.makeError(message._error));
       };
-      process.on('message', listener);
+      this._parent.on('message', listener);
 
-      this.send({ _sEval: script }).catch(err => {
-        process.removeListener('message', listener);
-        reject(err);
-      });
+      if (options.timeout) {
+        timeout = this.client.setTimeout(() => {
+          this._parent.removeListener('message', listener);
+          reject(new Error(`Shards took longer than ${options.timeout}ms to evaluate.`));
+        }, options.timeout);
+      }
+
+      this.send({ _sEval: script, _sEvalShard: options.shard, _sEvalTimeout: options.timeout, _nonce: nonce })
+        .catch(err => {
+          this._parent.removeListener('message', listener);
+          if (timeout) this.client.clearTimeout(timeout);
+          reject(err);
+        });
     });
   }
 
@@ -109,11 +154,10 @@ class ShardClientUtil {
       for (const prop of props) value = value[prop];
       this._respond('fetchProp', { _fetchProp: message._fetchProp, _result: value });
     } else if (message._eval) {
-      try {
-        this._respond('eval', { _eval: message._eval, _result: this.client._eval(message._eval) });
-      } catch (err) {
-        this._respond('eval', { _eval: message._eval, _error: Util.makePlainError(err) });
-      }
+      new Promise(resolve => resolve(this.client._eval(message._eval))).then(
+        result => this._respond('eval', { _eval: message._eval, _nonce: message._nonce, _result: result }),
+        err => this._respond('eval', { _eval: message._eval, _nonce: message._nonce, _error: Util.makePlainError(err) })
+      );
     }
   }
 
@@ -133,16 +177,35 @@ class ShardClientUtil {
   /**
    * Creates/gets the singleton of this class.
    * @param {Client} client The client to use
+   * @param {ShardingMode} [mode='process'] Transport used to communicate with the manager
    * @returns {ShardClientUtil}
    */
-  static singleton(client) {
+  static singleton(client, mode) {
     if (!this._singleton) {
-      this._singleton = new this(client);
+      this._singleton = new this(client, mode);
     } else {
       client.emit('warn', 'Multiple clients created in child process; only the first will handle sharding helpers.');
     }
     return this._singleton;
   }
+
+  /**
+   * Detects the transport the current shard was spawned with.
+   * Worker threads are only considered shards when the manager gave them a shard ID.
+   * @returns {?ShardingMode}
+   * @private
+   */
+  static detectMode() {
+    if (process.send) return 'process';
+    if (!('SHARD_ID' in process.env)) return null;
+    let workerThreads;
+    try {
+      workerThreads = require('worker_threads');
+    } catch (err) {
+      return null;
+    }
+    return !workerThreads.isMainThread && workerThreads.parentPort ? 'worker' : null;
+  }
 }
 
 module.exports = ShardClientUtil;
@@ -6,6 +6,14 @@ const EventEmitter = require('events').EventEmitter;
 const Shard = require('./Shard');
 const Collection = require('../util/Collection');
 const Util = require('../util/Util');
+const Constants = require('../util/Constants');
+
+/**
+ * The mode to spawn shards with:
+ * * `process` - a child process is forked for each shard
+ * * `worker` - a worker thread is created for each shard, which requires the `worker_threads` module
+ * @typedef {string} ShardingMode
+ */
 
 /**
  * This is a utility class that can be used to help you spawn shards of your client. Each shard is completely separate
@@ -21,6 +29,7 @@ class ShardingManager extends EventEmitter {
    * @param {boolean} [options.respawn=true] Whether shards should automatically respawn upon exiting
    * @param {string[]} [options.shardArgs=[]] Arguments to pass to the shard script when spawning
    * @param {string} [options.token] Token to use for automatic shard count and passing to shards
+   * @param {ShardingMode} [options.mode='process'] Whether to spawn shards as child processes or worker threads
    */
   constructor(file, options) { options = options || {};
     super();
@@ -29,6 +38,7 @@ class ShardingManager extends EventEmitter {
       respawn: true,
       shardArgs: [],
       token: null,
+      mode: 'process',
     }, options);
 
     /**
@@ -56,6 +66,22 @@ class ShardingManager extends EventEmitter {
       }
     }
 
+    /**
+     * Mode the shards are spawned with
+     * @type {ShardingMode}
+     */
+    this.mode = options.mode;
+    if (this.mode !== 'process' && this.mode !== 'worker') {
+      throw new RangeError('Sharding mode must be either "process" or "worker".');
+    }
+    if (this.mode === 'worker') {
+      try {
+        require('worker_threads');
+      } catch (err) {
+        throw new Error('The worker sharding mode requires the worker_threads module, which this Node version lacks.');
+      }
+    }
+
     /**
      * Whether shards should automatically respawn upon exiting
      * @type {boolean}
@@ -105,38 +131,63 @@ class ShardingManager extends EventEmitter {
   }
 
   /**
-   * Spawns multiple shards.
+   * Spawns multiple shards. When a token is available, shards are spawned in batches of the bot's identify
+   * concurrency, and spawning fails (or waits) when not enough session starts are left for them.
    * @param {number} [amount=this.totalShards] Number of shards to spawn
-   * @param {number} [delay=7500] How long to wait in between spawning each shard (in milliseconds)
+   * @param {number} [delay=7500] How long to wait in between spawning each batch of shards (in milliseconds)
+   * @param {boolean} [waitForReset=false] Whether to wait for the session start limit to reset when not enough
+   * session starts are left, instead of rejecting
    * @returns {Promise<Collection<number, Shard>>}
    */
-  spawn(amount, delay) { if(amount===undefined)amount = this.totalShards;
-    if (amount === 'auto') {
-      return Util.fetchRecommendedShards(this.token).then(count => {
-        this.totalShards = count;
-        return this._spawn(count, delay);
-      });
-    } else {
+  spawn(amount, delay, waitForReset) { if(amount===undefined)amount = this.totalShards;
+    if (delay === undefined) delay = 7500;
+    if (amount !== 'auto') {
       if (typeof amount !== 'number' || isNaN(amount)) throw new TypeError('Amount of shards must be a number.');
       if (amount < 1) throw new RangeError('Amount of shards must be at least 1.');
       if (amount !== Math.floor(amount)) throw new TypeError('Amount of shards must be an integer.');
-      return this._spawn(amount, delay || 7500);
+      if (!this.token) return this._spawn(amount, delay);
     }
+    return Util.fetchGatewayInfo(this.token).then(info => {
+      if (amount === 'auto') {
+        amount = info.shards;
+        this.totalShards = amount;
+      }
+      if (!info.canIdentify(amount - this.shards.size)) {
+        const limit = info.sessionStartLimit;
+        const message = `${Constants.Errors.SESSION_START_LIMIT} ${limit.remaining} of ${limit.total} are left for ` +
+          `${amount - this.shards.size} shard(s), the limit resets at ${info.resetAt.toISOString()}.`;
+        if (!waitForReset) throw new Error(message);
+        /**
+         * Emitted when the manager waits for the session start limit to reset before spawning shards.
+         * @event ShardingManager#sessionStartLimit
+         * @param {string} message Message describing the exhausted limit
+         */
+        this.emit('sessionStartLimit', message);
+        return new Promise(resolve => setTimeout(resolve, Math.max(limit.resetTimestamp - Date.now(), 0)))
+          .then(() => this.spawn(amount, delay, waitForReset));
+      }
+      return this._spawn(amount, delay, info.maxConcurrency);
+    });
   }
 
   /**
    * Actually spawns shards, unlike that poser above >:(
    * @param {number} amount Number of shards to spawn
-   * @param {number} delay How long to wait in between spawning each shard (in milliseconds)
+   * @param {number} delay How long to wait in between spawning each batch of shards (in milliseconds)
+   * @param {number} [maxConcurrency=1] Number of shards to spawn per batch
    * @returns {Promise<Collection<number, Shard>>}
    * @private
    */
-  _spawn(amount, delay) {
+  _spawn(amount, delay, maxConcurrency) { maxConcurrency = maxConcurrency || 1;
     return new Promise(resolve => {
       if (this.shards.size >= amount) throw new Error(`Already spawned ${this.shards.size} shards.`);
       this.totalShards = amount;
 
-      this.createShard();
+      // Shards of a batch fall into different identify buckets, so they are allowed to identify at once
+      const spawnBatch = () => {
+        for (let i = 0; i < maxConcurrency && this.shards.size < this.totalShards; i++) this.createShard();
+      };
+      spawnBatch();
       if (this.shards.size >= this.totalShards) {
         resolve(this.shards);
         return;
@@ -147,7 +198,7 @@ class ShardingManager extends EventEmitter {
         resolve(this.shards);
       } else {
         const interval = setInterval(() => {
-          this.createShard();
+          spawnBatch();
           if (this.shards.size >= this.totalShards) {
             clearInterval(interval);
             resolve(this.shards);
@@ -169,13 +220,33 @@ class ShardingManager extends EventEmitter {
   }
 
   /**
-   * Evaluates a script on all shards, in the context of the Clients.
-   * @param {string} script JavaScript to run on each shard
-   * @returns {Promise<Array>} Results of the script execution
+   * Options for evaluating a script on shards.
+   * @typedef {Object} BroadcastEvalOptions
+   * @property {*} [context] JSON-serialisable value passed to a function script as its second argument
+   * @property {number} [shard] ID of a single shard to evaluate the script on, instead of all of them
+   * @property {number} [timeout] How long to wait for the result of each shard before rejecting (in milliseconds)
    */
-  broadcastEval(script) {
+
+  /**
+   * Evaluates a script on all shards, or a single one, in the context of the Clients.
+   * A function is serialised and called with the client of the shard and the context.
+   * Promises returned by the script are resolved before their result is sent back.
+   * @param {string|Function} script JavaScript or function to run on each shard
+   * @param {BroadcastEvalOptions} [options] Options for the evaluation
+   * @returns {Promise<*|Array<*>>} Results of the script execution, or the result of the targeted shard
+   * @example
+   * manager.broadcastEval((client, context) => client.guilds.has(context.id), { context: { id: guildID } })
+   *   .then(results => console.log(`Guild is on shard ${results.indexOf(true)}`))
+   *   .catch(console.error);
+   */
+  broadcastEval(script, options) { options = options || {};
+    if (typeof options.shard === 'number') {
+      const shard = this.shards.get(options.shard);
+      if (!shard) return Promise.reject(new Error(`Shard ${options.shard} has not been spawned.`));
+      return shard.eval(script, options);
+    }
     const promises = [];
-    for (const shard of this.shards.values()) promises.push(shard.eval(script));
+    for (const shard of this.shards.values()) promises.push(shard.eval(script, options));
     return Promise.all(promises);
   }
 
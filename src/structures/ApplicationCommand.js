@@ -0,0 +1,186 @@
+'use strict';
+
+const Constants = require('../util/Constants');
+const Snowflake = require('../util/Snowflake');
+
+/**
+ * Represents an application command (slash command).
+ */
+class ApplicationCommand {
+  constructor(manager, data) {
+    /**
+     * The client that instantiated the command
+     * @name ApplicationCommand#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: manager.client });
+
+    /**
+     * The manager this command belongs to
+     * @name ApplicationCommand#manager
+     * @type {ApplicationCommandManager}
+     * @readonly
+     */
+    Object.defineProperty(this, 'manager', { value: manager });
+
+    this.setup(data);
+  }
+
+  setup(data) {
+    /**
+     * The ID of the command
+     * @type {Snowflake}
+     */
+    this.id = data.id;
+
+    /**
+     * The ID of the application the command belongs to
+     * @type {Snowflake}
+     */
+    this.applicationID = data.application_id;
+
+    /**
+     * The ID of the guild the command belongs to, if it is a guild command
+     * @type {?Snowflake}
+     */
+    this.guildID = data.guild_id || null;
+
+    /**
+     * The name of the command
+     * @type {string}
+     */
+    this.name = data.name;
+
+    /**
+     * The description of the command
+     * @type {string}
+     */
+    this.description = data.description;
+
+    /**
+     * The options of the command
+     * @type {ApplicationCommandOptionData[]}
+     */
+    this.options = (data.options || []).map(option => ApplicationCommand.transformOption(option, true));
+
+    /**
+     * Whether the command is enabled by default when the application is added to a guild
+     * @type {boolean}
+     */
+    this.defaultPermission = typeof data.default_permission === 'undefined' ? true : data.default_permission;
+
+    /**
+     * Autoincrementing version identifier updated during substantial record changes
+     * @type {?Snowflake}
+     */
+    this.version = data.version || null;
+  }
+
+  /**
+   * The timestamp the command was created at
+   * @type {number}
+   * @readonly
+   */
+  get createdTimestamp() {
+    return Snowflake.deconstruct(this.id).timestamp;
+  }
+
+  /**
+   * The time the command was created at
+   * @type {Date}
+   * @readonly
+   */
+  get createdAt() {
+    return new Date(this.createdTimestamp);
+  }
+
+  /**
+   * The guild the command belongs to, if it is a guild command
+   * @type {?Guild}
+   * @readonly
+   */
+  get guild() {
+    return this.guildID ? this.client.guilds.get(this.guildID) || null : null;
+  }
+
+  /**
+   * Edits this command.
+   * @param {ApplicationCommandData} data The data to update the command with
+   * @returns {Promise<ApplicationCommand>}
+   */
+  edit(data) {
+    return this.manager.edit(this, data);
+  }
+
+  /**
+   * Deletes this command.
+   * @returns {Promise<ApplicationCommand>}
+   */
+  delete() {
+    return this.manager.delete(this);
+  }
+
+  /**
+   * Data for creating or editing an application command.
+   * @typedef {Object} ApplicationCommandData
+   * @property {string} name The name of the command
+   * @property {string} description The description of the command
+   * @property {ApplicationCommandOptionData[]} [options] The options of the command
+   * @property {boolean} [defaultPermission=true] Whether the command is enabled by default
+   */
+
+  /**
+   * An option of an application command.
+   * @typedef {Object} ApplicationCommandOptionData
+   * @property {ApplicationCommandOptionType|number} type The type of the option
+   * @property {string} name The name of the option
+   * @property {string} description The description of the option
+   * @property {boolean} [required=false] Whether the option is required
+   * @property {Array<{name: string, value: string|number}>} [choices] The choices the user can pick from
+   * @property {ApplicationCommandOptionData[]} [options] The options of a subcommand or subcommand group
+   */
+
+  /**
+   * Transforms command data into the format expected by the API.
+   * @param {ApplicationCommandData} command The command data to transform
+   * @returns {Object}
+   * @private
+   */
+  static transformCommand(command) {
+    return {
+      name: command.name,
+      description: command.description,
+      options: command.options ? command.options.map(option => ApplicationCommand.transformOption(option)) : undefined,
+      default_permission: typeof command.defaultPermission !== 'undefined' ?
+        command.defaultPermission : command.default_permission,
+    };
+  }
+
+  /**
+   * Transforms option data to or from the format expected by the API.
+   * @param {ApplicationCommandOptionData} option The option to transform
+   * @param {boolean} [received=false] Whether the option was received from the API
+   * @returns {Object}
+   * @private
+   */
+  static transformOption(option, received) {
+    const types = Constants.ApplicationCommandOptionTypes;
+    let type = option.type;
+    if (received) {
+      for (const name of Object.keys(types)) if (types[name] === type) type = name;
+    } else if (typeof type === 'string') {
+      type = types[type];
+    }
+    return {
+      type,
+      name: option.name,
+      description: option.description,
+      required: option.required,
+      choices: option.choices,
+      options: option.options ? option.options.map(o => ApplicationCommand.transformOption(o, received)) : undefined,
+    };
+  }
+}
+
+module.exports = ApplicationCommand;
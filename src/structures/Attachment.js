@@ -61,6 +61,28 @@ class Attachment {
     return this;
   }
 
+  /**
+    * Set the description of this attachment, shown as its alt text.
+    * @param {string} description The description of the file
+    * @returns {Attachment} This attachment
+    */
+  setDescription(description) {
+    if (typeof this.file === 'string') this.file = { attachment: this.file };
+    this.file.description = description;
+    return this;
+  }
+
+  /**
+    * Set whether this attachment is a spoiler.
+    * @param {boolean} [spoiler=true] Whether the file is a spoiler
+    * @returns {Attachment} This attachment
+    */
+  setSpoiler(spoiler) { if(spoiler === undefined) spoiler = true;
+    if (typeof this.file === 'string') this.file = { attachment: this.file };
+    this.file.spoiler = spoiler;
+    return this;
+  }
+
   /**
     * Set the file of this attachment.
     * @param {BufferResolvable|Stream} file The file
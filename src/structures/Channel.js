@@ -24,6 +24,10 @@ class Channel {
      * * `category` - a guild category channel
      * * `news` - a guild news channel
      * * `store` - a guild store channel
+     * * `stage` - a guild stage channel
+     * * `news_thread` - a thread of a guild news channel
+     * * `public_thread` - a public thread of a guild text channel
+     * * `private_thread` - a private thread of a guild text channel
      * @type {string}
      */
     this.type = null;
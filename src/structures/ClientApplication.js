@@ -0,0 +1,51 @@
+'use strict';
+
+const ApplicationCommandManager = require('../client/ApplicationCommandManager');
+
+/**
+ * Represents the application of the client, which owns its application commands.
+ */
+class ClientApplication {
+  constructor(client) {
+    /**
+     * The client that instantiated the application
+     * @name ClientApplication#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    /**
+     * The ID of the application, set once the client is ready
+     * @type {?Snowflake}
+     */
+    this.id = null;
+
+    /**
+     * The flags of the application, set once the client is ready
+     * @type {?number}
+     */
+    this.flags = null;
+
+    /**
+     * The application commands of the client, global or in a given guild
+     * @type {ApplicationCommandManager}
+     */
+    this.commands = new ApplicationCommandManager(client);
+  }
+
+  setup(data) {
+    this.id = data.id;
+    this.flags = typeof data.flags !== 'undefined' ? data.flags : null;
+  }
+
+  /**
+   * Fetches the full OAuth2 application of the client.
+   * @returns {Promise<OAuth2Application>}
+   */
+  fetch() {
+    return this.client.fetchApplication();
+  }
+}
+
+module.exports = ClientApplication;
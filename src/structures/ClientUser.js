@@ -192,7 +192,7 @@ class ClientUser extends User {
    *   .catch(console.error);
    */
   setPresence(data) {
-    // {"op":3,"d":{"status":"dnd","since":0,"game":null,"afk":false}}
+    // {"op":3,"d":{"status":"dnd","since":0,"activities":[],"afk":false}}
     return new Promise(resolve => {
       let status = this.localPresence.status || this.presence.status;
       let game = this.localPresence.game;
@@ -235,7 +235,12 @@ class ClientUser extends User {
 
       this.client.ws.send({
         op: 3,
-        d: this.localPresence,
+        d: {
+          status: this.localPresence.status,
+          since: this.localPresence.since,
+          activities: this.localPresence.game ? [this.localPresence.game] : [],
+          afk: this.localPresence.afk,
+        },
       });
 
       this.client._setPresence(this.id, this.localPresence);
@@ -0,0 +1,96 @@
+'use strict';
+
+const Collector = require('./interfaces/Collector');
+const Collection = require('../util/Collection');
+
+/**
+ * @typedef {CollectorOptions} ComponentInteractionCollectorOptions
+ * @property {number} max The maximum total amount of interactions to collect
+ * @property {number} maxComponents The maximum number of components to collect
+ * @property {number} maxUsers The maximum number of users to interact
+ */
+
+/**
+ * Collects interactions with the components of messages.
+ * @extends {Collector}
+ */
+class ComponentInteractionCollector extends Collector {
+  /**
+   * @param {Message} message The message upon which to collect component interactions
+   * @param {CollectorFilter} filter The filter to apply to this collector
+   * @param {ComponentInteractionCollectorOptions} [options={}] The options to apply to this collector
+   */
+  constructor(message, filter, options) { options = options || {};
+    super(message.client, filter, options);
+
+    /**
+     * The message
+     * @type {Message}
+     */
+    this.message = message;
+
+    /**
+     * The users which have interacted
+     * @type {Collection}
+     */
+    this.users = new Collection();
+
+    /**
+     * The custom IDs of the components which have been interacted with
+     * @type {Set<string>}
+     */
+    this.components = new Set();
+
+    /**
+     * The total number of interactions collected
+     * @type {number}
+     */
+    this.total = 0;
+
+    if (this.client.getMaxListeners() !== 0) this.client.setMaxListeners(this.client.getMaxListeners() + 1);
+    this.client.on('interactionCreate', this.listener);
+
+    this.on('fullCollect', interaction => {
+      this.users.set(interaction.user.id, interaction.user);
+      this.components.add(interaction.customID);
+      this.total++;
+    });
+  }
+
+  /**
+   * Handle an incoming interaction for possible collection.
+   * @param {Interaction} interaction The interaction to possibly collect
+   * @returns {?{key: Snowflake, value: Interaction}}
+   * @private
+   */
+  handle(interaction) {
+    if (!interaction.isMessageComponent() || interaction.messageID !== this.message.id) return null;
+    return {
+      key: interaction.id,
+      value: interaction,
+    };
+  }
+
+  /**
+   * Check after collection to see if the collector is done.
+   * @returns {?string} Reason to end the collector, if any
+   * @private
+   */
+  postCheck() {
+    if (this.options.max && this.total >= this.options.max) return 'limit';
+    if (this.options.maxComponents && this.components.size >= this.options.maxComponents) return 'componentLimit';
+    if (this.options.maxUsers && this.users.size >= this.options.maxUsers) return 'userLimit';
+    return null;
+  }
+
+  /**
+   * Remove event listeners.
+   * @private
+   */
+  cleanup() {
+    this.client.removeListener('interactionCreate', this.listener);
+    if (this.client.getMaxListeners() !== 0) this.client.setMaxListeners(this.client.getMaxListeners() - 1);
+  }
+}
+
+module.exports = ComponentInteractionCollector;
@@ -2,7 +2,6 @@
 
 const Channel = require('./Channel');
 const TextBasedChannel = require('./interfaces/TextBasedChannel');
-const Collection = require('../util/Collection');
 
 /**
  * Represents a direct message channel between two users.
@@ -13,7 +12,7 @@ class DMChannel extends Channel {
   constructor(client, data) {
     super(client, data);
     this.type = 'dm';
-    this.messages = new Collection();
+    this.messages = this.client._makeCache('messages', this);
     this._typing = new Map();
   }
 
@@ -39,6 +38,23 @@ class DMChannel extends Channel {
     this.lastPinTimestamp = data.last_pin_timestamp ? new Date(data.last_pin_timestamp).getTime() : null;
   }
 
+  /**
+   * Whether this DM channel is a partial, only containing its ID and recipient
+   * @type {boolean}
+   * @readonly
+   */
+  get partial() {
+    return typeof this.lastMessageID === 'undefined';
+  }
+
+  /**
+   * Fetches this DM channel, filling it in if it is partial.
+   * @returns {Promise<DMChannel>}
+   */
+  fetch() {
+    return this.client.rest.methods.getChannel(this);
+  }
+
   /**
    * When concatenated with a string, this automatically concatenates the recipient's mention instead of the
    * DM channel object.
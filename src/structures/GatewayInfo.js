@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Represents the information Discord gives about connecting to the gateway.
+ */
+class GatewayInfo {
+  constructor(data) {
+    /**
+     * The WebSocket URL of the gateway
+     * @type {string}
+     */
+    this.url = data.url;
+
+    /**
+     * The recommended number of shards to connect with
+     * <warn>This is only available for bot accounts.</warn>
+     * @type {?number}
+     */
+    this.shards = typeof data.shards === 'number' ? data.shards : null;
+
+    /**
+     * The session start limit of a bot, which limits how many times it can identify with the gateway.
+     * @typedef {Object} SessionStartLimit
+     * @property {number} total The total number of session starts the bot is allowed per reset
+     * @property {number} remaining The number of session starts the bot has left
+     * @property {number} resetAfter How long it takes for the limit to reset (in milliseconds)
+     * @property {number} resetTimestamp The timestamp the limit resets at
+     * @property {number} maxConcurrency The number of shards that are allowed to identify every 5 seconds
+     */
+
+    /**
+     * The session start limit of the bot
+     * <warn>This is only available for bot accounts.</warn>
+     * @type {?SessionStartLimit}
+     */
+    this.sessionStartLimit = data.session_start_limit ? {
+      total: data.session_start_limit.total,
+      remaining: data.session_start_limit.remaining,
+      resetAfter: data.session_start_limit.reset_after,
+      resetTimestamp: Date.now() + data.session_start_limit.reset_after,
+      maxConcurrency: data.session_start_limit.max_concurrency || 1,
+    } : null;
+  }
+
+  /**
+   * The number of shards that are allowed to identify every 5 seconds
+   * @type {number}
+   * @readonly
+   */
+  get maxConcurrency() {
+    return this.sessionStartLimit ? this.sessionStartLimit.maxConcurrency : 1;
+  }
+
+  /**
+   * The time the session start limit resets at
+   * @type {?Date}
+   * @readonly
+   */
+  get resetAt() {
+    return this.sessionStartLimit ? new Date(this.sessionStartLimit.resetTimestamp) : null;
+  }
+
+  /**
+   * Checks whether enough session starts are left to identify a number of shards.
+   * @param {number} [shards=1] The number of shards that need to identify
+   * @returns {boolean}
+   */
+  canIdentify(shards) { if(shards===undefined)shards = 1;
+    return !this.sessionStartLimit || this.sessionStartLimit.remaining >= shards;
+  }
+}
+
+module.exports = GatewayInfo;
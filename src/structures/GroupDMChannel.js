@@ -36,7 +36,7 @@ class GroupDMChannel extends Channel {
   constructor(client, data) {
     super(client, data);
     this.type = 'group';
-    this.messages = new Collection();
+    this.messages = this.client._makeCache('messages', this);
     this._typing = new Map();
   }
 
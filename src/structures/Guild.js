@@ -8,6 +8,9 @@ const Emoji = require('./Emoji');
 const Presence = require('./Presence').Presence;
 const GuildMember = require('./GuildMember');
 const Integration = require('./Integration');
+const StageInstance = require('./StageInstance');
+const ApplicationCommandManager = require('../client/ApplicationCommandManager');
+const GuildScheduledEventManager = require('../client/GuildScheduledEventManager');
 const Constants = require('../util/Constants');
 const Collection = require('../util/Collection');
 const Util = require('../util/Util');
@@ -33,7 +36,7 @@ class Guild {
      * A collection of members that are in this guild. The key is the member's ID, the value is the member
      * @type {Collection<Snowflake, GuildMember>}
      */
-    this.members = new Collection();
+    this.members = client._makeCache('members', this);
 
     /**
      * A collection of channels that are in this guild. The key is the channel's ID, the value is the channel
@@ -47,11 +50,35 @@ class Guild {
      */
     this.roles = new Collection();
 
+    /**
+     * A collection of the active threads in this guild that the client user can see, mapped by their IDs
+     * @type {Collection<Snowflake, ThreadChannel>}
+     */
+    this.threads = new Collection();
+
+    /**
+     * A collection of the live stage instances in this guild, mapped by their IDs
+     * @type {Collection<Snowflake, StageInstance>}
+     */
+    this.stageInstances = new Collection();
+
     /**
      * A collection of presences in this guild
      * @type {Collection<Snowflake, Presence>}
      */
-    this.presences = new Collection();
+    this.presences = client._makeCache('presences', this);
+
+    /**
+     * The application commands registered in this guild
+     * @type {ApplicationCommandManager}
+     */
+    this.commands = new ApplicationCommandManager(client, this);
+
+    /**
+     * The scheduled events of this guild
+     * @type {GuildScheduledEventManager}
+     */
+    this.scheduledEvents = new GuildScheduledEventManager(this);
 
     /**
      * Whether the bot has been removed from the guild
@@ -59,6 +86,12 @@ class Guild {
      */
     this.deleted = false;
 
+    /**
+     * Whether the guild was restored from the cache adapter and has not been received from the gateway yet
+     * @type {boolean}
+     */
+    this.restored = false;
+
     if (!data) return;
     if (data.unavailable) {
       /**
@@ -309,6 +342,26 @@ class Guild {
       for (const channel of data.channels) this.client.dataManager.newChannel(channel, this);
     }
 
+    if (data.threads) {
+      for (const thread of data.threads) {
+        const existing = this.threads.get(thread.id);
+        if (existing) existing.setup(thread);
+        else this.client.dataManager.newChannel(thread, this);
+      }
+    }
+
+    if (data.stage_instances) {
+      this.stageInstances.clear();
+      for (const instance of data.stage_instances) {
+        this.stageInstances.set(instance.id, new StageInstance(this, instance));
+      }
+    }
+
+    if (data.guild_scheduled_events) {
+      this.scheduledEvents.cache.clear();
+      for (const event of data.guild_scheduled_events) this.scheduledEvents._add(event);
+    }
+
     if (data.roles) {
       this.roles.clear();
       for (const role of data.roles) {
@@ -335,6 +388,9 @@ class Guild {
           member.selfMute = voiceState.self_mute;
           member.selfDeaf = voiceState.self_deaf;
           member.selfStream = voiceState.self_stream || false;
+          member.suppress = Boolean(voiceState.suppress);
+          member.requestToSpeakTimestamp = voiceState.request_to_speak_timestamp ?
+            new Date(voiceState.request_to_speak_timestamp).getTime() : null;
           member.voiceSessionID = voiceState.session_id;
           member.voiceChannelID = voiceState.channel_id;
           voiceChannel.members.set(member.user.id, member);
@@ -376,6 +432,26 @@ class Guild {
     return new Date(this.createdTimestamp);
   }
 
+  /**
+   * The ID of the shard this guild belongs to
+   * @type {number}
+   * @readonly
+   */
+  get shardID() {
+    const shardCount = this.client.options.shardCount;
+    if (!shardCount) return this.client.options.shardId;
+    return Long.fromString(this.id).shiftRightUnsigned(22).modulo(shardCount).toNumber();
+  }
+
+  /**
+   * The connection of the shard this guild belongs to, if it is run by this client
+   * @type {?WebSocketConnection}
+   * @readonly
+   */
+  get shard() {
+    return this.client.ws.shards.get(this.shardID) || null;
+  }
+
   /**
    * Embed channel for this guild
    * @type {?TextChannel}
@@ -857,11 +933,24 @@ class Guild {
   }
 
   /**
-   * Fetches all the members in the guild, even if they are offline. If the guild has less than 250 members,
-   * this should not be necessary.
-   * @param {string} [query=''] Limit fetch to members with similar usernames
-   * @param {number} [limit=0] Maximum number of members to request
-   * @returns {Promise<Guild>}
+   * Options for fetching members of a guild from the gateway.
+   * @typedef {Object} FetchMembersOptions
+   * @property {Snowflake|Snowflake[]} [user_ids] IDs of the members to fetch, instead of using a query
+   * @property {string} [query=''] Limit fetch to members with similar usernames
+   * @property {number} [limit=0] Maximum number of members to request when using a query
+   * @property {boolean} [presences=false] Whether to also receive the presences of the members
+   * @property {string} [nonce] Nonce of the request, used to match the chunks of members it receives
+   * @property {number} [time=120000] How long to wait for the members before rejecting (in milliseconds)
+   */
+
+  /**
+   * Fetches members of the guild from the gateway, even if they are offline. If the guild has less than
+   * 250 members, fetching all of them should not be necessary.
+   * <info>When called with a query string instead of options, this resolves with the guild once done.</info>
+   * @param {FetchMembersOptions|string} [options={}] Options for the request, or a query
+   * @param {number} [limit=0] Maximum number of members to request, when a query string is given
+   * @returns {Promise<Collection<Snowflake, GuildMember>|Guild>} The fetched members, with the requested IDs that
+   * were not found in the guild listed in the `notFound` array property of the collection
    * @example
    * // Fetch guild members
    * guild.fetchMembers()
@@ -869,33 +958,53 @@ class Guild {
    *   .catch(console.error);
    * @example
    * // Fetches a maximum of 1 member with the given query
-   * guild.fetchMembers('hydrabolt', 1)
-   *   .then(console.log)
+   * guild.fetchMembers({ query: 'hydrabolt', limit: 1 })
+   *   .then(members => console.log(members.first()))
+   *   .catch(console.error);
+   * @example
+   * // Fetches members by their IDs, along with their presences
+   * guild.fetchMembers({ user_ids: ['81440962496172032', '84484653687267328'], presences: true })
+   *   .then(members => console.log(`Fetched ${members.size} members, ${members.notFound.length} were not found`))
    *   .catch(console.error);
    */
-  fetchMembers(query, limit) { if(query===undefined)query = '';if(limit===undefined) limit = 0;
+  fetchMembers(options, limit) {
+    // Support the (query, limit) form, which resolves with the guild
+    if (!options || typeof options !== 'object') {
+      if (this.memberCount === this.members.size) return Promise.resolve(this);
+      return this.fetchMembers({ query: options || '', limit: limit || 0 }).then(() => this);
+    }
+    if (!options.user_ids && !options.query && this.memberCount === this.members.size) {
+      const members = this.members.clone();
+      members.notFound = [];
+      return Promise.resolve(members);
+    }
     return new Promise((resolve, reject) => {
-      if (this.memberCount === this.members.size) {
-        resolve(this);
-        return;
+      const nonce = options.nonce || Snowflake.generate();
+      const fetched = new Collection();
+      fetched.notFound = [];
+      const d = { guild_id: this.id, presences: Boolean(options.presences), nonce };
+      if (options.user_ids) {
+        d.user_ids = options.user_ids;
+      } else {
+        d.query = options.query || '';
+        d.limit = options.limit || 0;
       }
-      this.client.ws.send({
-        op: Constants.OPCodes.REQUEST_GUILD_MEMBERS,
-        d: {
-          guild_id: this.id,
-          query,
-          limit,
-        },
-      });
-      const handler = (members, guild) => {
-        if (guild.id !== this.id) return;
-        if (this.memberCount === this.members.size || members.length < 1000) {
+      const handler = (members, guild, chunk) => {
+        if (guild.id !== this.id || chunk.nonce !== nonce) return;
+        for (const member of members) fetched.set(member.id, member);
+        fetched.notFound = fetched.notFound.concat(chunk.notFound);
+        if (chunk.index + 1 >= chunk.count) {
+          this.client.clearTimeout(timeout);
           this.client.removeListener(Constants.Events.GUILD_MEMBERS_CHUNK, handler);
-          resolve(this);
+          resolve(fetched);
         }
       };
+      const timeout = this.client.setTimeout(() => {
+        this.client.removeListener(Constants.Events.GUILD_MEMBERS_CHUNK, handler);
+        reject(new Error('Members didn\'t arrive in time.'));
+      }, options.time || 120e3);
       this.client.on(Constants.Events.GUILD_MEMBERS_CHUNK, handler);
-      this.client.setTimeout(() => reject(new Error('Members didn\'t arrive in time.')), 120 * 1000);
+      this.client.ws.send({ op: Constants.OPCodes.REQUEST_GUILD_MEMBERS, d }, this.shardID);
     });
   }
   
@@ -1292,7 +1401,8 @@ class Guild {
    * Creates a new channel in the guild.
    * @param {string} name The name of the new channel
    * @param {string|ChannelData} [typeOrOptions='text']
-   * The type of the new channel, one of `text`, `voice`, `category`, `news`, or `store`. **(deprecated, use options)**
+   * The type of the new channel, one of `text`, `voice`, `category`, `news`, `store` or `stage`.
+   * **(deprecated, use options)**
    * Alternatively options for the new channel, overriding the following parameters.
    * @param {ChannelCreationOverwrites[]|Collection<Snowflake, PermissionOverwrites>} [permissionOverwrites]
    * Permission overwrites **(deprecated, use options)**
@@ -1541,6 +1651,9 @@ class Guild {
       member.selfMute = voiceState.self_mute;
       member.selfDeaf = voiceState.self_deaf;
       member.selfStream = voiceState.self_stream || false;
+      member.suppress = Boolean(voiceState.suppress);
+      member.requestToSpeakTimestamp = voiceState.request_to_speak_timestamp ?
+        new Date(voiceState.request_to_speak_timestamp).getTime() : null;
       member.voiceSessionID = voiceState.session_id;
       member.voiceChannelID = voiceState.channel_id;
       if (this.client.channels.has(voiceState.channel_id)) {
@@ -1555,7 +1668,7 @@ class Guild {
      * @event Client#guildMemberAdd
      * @param {GuildMember} member The member that has joined a guild
      */
-    if (this.client.ws.connection.status === Constants.Status.READY && emitEvent && !existing) {
+    if (this.shard && this.shard.status === Constants.Status.READY && emitEvent && !existing) {
       this.client.emit(Constants.Events.GUILD_MEMBER_ADD, member);
     }
 
@@ -1573,7 +1686,7 @@ class Guild {
     member.premiumSinceTimestamp !== oldMember.premiumSinceTimestamp ||
     !Util.arraysEqual(member._roles, oldMember._roles);
 
-    if (this.client.ws.connection.status === Constants.Status.READY && notSame) {
+    if (this.shard && this.shard.status === Constants.Status.READY && notSame) {
       /**
        * Emitted whenever a guild member changes - i.e. new role, removed role, nickname.
        * @event Client#guildMemberUpdate
@@ -1671,9 +1784,11 @@ class Guild {
    * @private
    */
   _sortedChannels(type) {
+    // Stage channels are sorted along with voice channels
+    const voice = t => t === 'voice' || t === 'stage';
     return this._sortPositionWithID(this.channels.filter(c => {
-      if (type === 'voice' && c.type === 'voice') return true;
-      else if (type !== 'voice' && c.type !== 'voice') return true;
+      if (voice(type) && voice(c.type)) return true;
+      else if (!voice(type) && !voice(c.type)) return true;
       else return type === c.type;
     }));
   }
@@ -98,6 +98,19 @@ class GuildMember {
      */
     this.selfStream = data.self_stream || false;
 
+    /**
+     * Whether this member is suppressed in a stage channel, i.e. in its audience
+     * @type {boolean}
+     */
+    this.suppress = Boolean(data.suppress);
+
+    /**
+     * The timestamp this member requested to speak in a stage channel at, if they did
+     * @type {?number}
+     */
+    this.requestToSpeakTimestamp = data.request_to_speak_timestamp ?
+      new Date(data.request_to_speak_timestamp).getTime() : null;
+
     /**
      * The voice session ID of this member, if any
      * @type {?Snowflake}
@@ -129,6 +142,23 @@ class GuildMember {
     this._roles = data.roles;
   }
 
+  /**
+   * Whether this member is a partial, of which only the user and roles are known
+   * @type {boolean}
+   * @readonly
+   */
+  get partial() {
+    return !this.joinedTimestamp;
+  }
+
+  /**
+   * Fetches this member, filling it in if it is partial.
+   * @returns {Promise<GuildMember>}
+   */
+  fetch() {
+    return this.client.rest.methods.getGuildMember(this.guild, this.id, true);
+  }
+
   /**
    * The time this member joined the guild
    * @type {?Date}
@@ -432,6 +462,51 @@ class GuildMember {
     return this.edit({ deaf }, reason);
   }
 
+  /**
+   * Suppresses or unsuppresses this member in the stage channel they are in. Unsuppressing another member invites
+   * them to speak, and suppressing them moves them to the audience.
+   * @param {boolean} [suppressed=true] Whether the member should be suppressed
+   * @returns {Promise<GuildMember>}
+   */
+  setSuppressed(suppressed) { if(suppressed===undefined)suppressed = true;
+    return this.client.rest.methods.updateVoiceState(this, { suppress: suppressed });
+  }
+
+  /**
+   * Invites this member to speak in the stage channel they are in. The client user starts speaking right away.
+   * @returns {Promise<GuildMember>}
+   * @example
+   * // Invite the oldest request to speak
+   * const member = stageChannel.requestsToSpeak.first();
+   * if (member) member.inviteToSpeak().catch(console.error);
+   */
+  inviteToSpeak() {
+    return this.setSuppressed(false);
+  }
+
+  /**
+   * Moves this member to the audience of the stage channel they are in.
+   * @returns {Promise<GuildMember>}
+   */
+  moveToAudience() {
+    return this.setSuppressed(true);
+  }
+
+  /**
+   * Requests to speak in the stage channel the client user is in, or cancels the request.
+   * <info>This is only available for the member of the client user.</info>
+   * @param {boolean} [request=true] Whether to request to speak
+   * @returns {Promise<GuildMember>}
+   */
+  requestToSpeak(request) { if(request===undefined)request = true;
+    if (this.id !== this.client.user.id) {
+      return Promise.reject(new Error('Only the client user can request to speak.'));
+    }
+    return this.client.rest.methods.updateVoiceState(this, {
+      request_to_speak_timestamp: request ? new Date().toISOString() : null,
+    });
+  }
+
   /**
    * Moves this member to the given channel.
    * @param {ChannelResolvable|null} channel Channel to move the member to, or `null` if you want to kick them from
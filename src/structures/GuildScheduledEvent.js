@@ -0,0 +1,317 @@
+'use strict';
+
+const Constants = require('../util/Constants');
+const Snowflake = require('../util/Snowflake');
+
+/**
+ * Represents a scheduled event of a guild on Discord.
+ */
+class GuildScheduledEvent {
+  constructor(manager, data) {
+    /**
+     * The client that instantiated the scheduled event
+     * @name GuildScheduledEvent#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: manager.client });
+
+    /**
+     * The manager this scheduled event belongs to
+     * @name GuildScheduledEvent#manager
+     * @type {GuildScheduledEventManager}
+     * @readonly
+     */
+    Object.defineProperty(this, 'manager', { value: manager });
+
+    /**
+     * The ID of the scheduled event
+     * @type {Snowflake}
+     */
+    this.id = data.id;
+
+    /**
+     * Whether the scheduled event has been deleted
+     * @type {boolean}
+     */
+    this.deleted = false;
+
+    this.setup(data);
+  }
+
+  setup(data) {
+    /**
+     * The ID of the stage or voice channel the scheduled event takes place in, if any
+     * @type {?Snowflake}
+     */
+    this.channelID = data.channel_id || null;
+
+    /**
+     * The ID of the user that created the scheduled event, if known
+     * @type {?Snowflake}
+     */
+    this.creatorID = data.creator_id || null;
+
+    /**
+     * The user that created the scheduled event, if known
+     * @type {?User}
+     */
+    this.creator = data.creator ? this.client.dataManager.newUser(data.creator) : this.creator || null;
+
+    /**
+     * The name of the scheduled event
+     * @type {string}
+     */
+    this.name = data.name;
+
+    /**
+     * The description of the scheduled event
+     * @type {?string}
+     */
+    this.description = data.description || null;
+
+    /**
+     * The timestamp the scheduled event starts at
+     * @type {number}
+     */
+    this.scheduledStartTimestamp = new Date(data.scheduled_start_time).getTime();
+
+    /**
+     * The timestamp the scheduled event ends at, if it has an end
+     * @type {?number}
+     */
+    this.scheduledEndTimestamp = data.scheduled_end_time ? new Date(data.scheduled_end_time).getTime() : null;
+
+    /**
+     * The privacy level of the scheduled event
+     * @type {GuildScheduledEventPrivacyLevel}
+     */
+    this.privacyLevel = Constants.GuildScheduledEventPrivacyLevels[data.privacy_level];
+
+    /**
+     * The status of the scheduled event
+     * @type {GuildScheduledEventStatus}
+     */
+    this.status = Constants.GuildScheduledEventStatuses[data.status];
+
+    /**
+     * The type of place the scheduled event takes place in
+     * @type {GuildScheduledEventEntityType}
+     */
+    this.entityType = Constants.GuildScheduledEventEntityTypes[data.entity_type];
+
+    /**
+     * The ID of the entity of the scheduled event, such as a stage instance
+     * @type {?Snowflake}
+     */
+    this.entityID = data.entity_id || null;
+
+    /**
+     * The location of the scheduled event, for external events
+     * @type {?string}
+     */
+    this.location = data.entity_metadata && data.entity_metadata.location ? data.entity_metadata.location : null;
+
+    if (typeof data.user_count === 'number') {
+      /**
+       * The number of users subscribed to the scheduled event, only available once fetched
+       * @type {?number}
+       */
+      this.userCount = data.user_count;
+    } else if (typeof this.userCount === 'undefined') {
+      this.userCount = null;
+    }
+
+    /**
+     * The hash of the cover image of the scheduled event
+     * @type {?string}
+     */
+    this.image = data.image || null;
+  }
+
+  /**
+   * The guild of the scheduled event
+   * @type {Guild}
+   * @readonly
+   */
+  get guild() {
+    return this.manager.guild;
+  }
+
+  /**
+   * The stage or voice channel the scheduled event takes place in, if any
+   * @type {?(StageChannel|VoiceChannel)}
+   * @readonly
+   */
+  get channel() {
+    return this.guild.channels.get(this.channelID) || null;
+  }
+
+  /**
+   * The time the scheduled event starts at
+   * @type {Date}
+   * @readonly
+   */
+  get scheduledStartAt() {
+    return new Date(this.scheduledStartTimestamp);
+  }
+
+  /**
+   * The time the scheduled event ends at, if it has an end
+   * @type {?Date}
+   * @readonly
+   */
+  get scheduledEndAt() {
+    return this.scheduledEndTimestamp ? new Date(this.scheduledEndTimestamp) : null;
+  }
+
+  /**
+   * The timestamp the scheduled event was created at
+   * @type {number}
+   * @readonly
+   */
+  get createdTimestamp() {
+    return Snowflake.deconstruct(this.id).timestamp;
+  }
+
+  /**
+   * The time the scheduled event was created at
+   * @type {Date}
+   * @readonly
+   */
+  get createdAt() {
+    return new Date(this.createdTimestamp);
+  }
+
+  /**
+   * The URL of the scheduled event
+   * @type {string}
+   * @readonly
+   */
+  get url() {
+    return `https://discord.com/events/${this.guild.id}/${this.id}`;
+  }
+
+  /**
+   * Edits the scheduled event.
+   * @param {GuildScheduledEventEditData} data The new data for the scheduled event
+   * @param {string} [reason] Reason for editing the scheduled event
+   * @returns {Promise<GuildScheduledEvent>}
+   */
+  edit(data, reason) {
+    return this.manager.edit(this, data, reason);
+  }
+
+  /**
+   * Sets the status of the scheduled event, e.g. to start or end it.
+   * @param {GuildScheduledEventStatus} status The new status
+   * @param {string} [reason] Reason for changing the status
+   * @returns {Promise<GuildScheduledEvent>}
+   * @example
+   * // Start an event
+   * event.setStatus('ACTIVE')
+   *   .then(started => console.log(`${started.name} started`))
+   *   .catch(console.error);
+   */
+  setStatus(status, reason) {
+    return this.edit({ status }, reason);
+  }
+
+  /**
+   * Deletes the scheduled event.
+   * @returns {Promise<GuildScheduledEvent>}
+   */
+  delete() {
+    return this.manager.delete(this);
+  }
+
+  /**
+   * A user subscribed to a scheduled event.
+   * @typedef {Object} GuildScheduledEventSubscriber
+   * @property {User} user The subscribed user
+   * @property {?GuildMember} member The member of the user, if it was fetched or is cached
+   */
+
+  /**
+   * Options for fetching the subscribers of a scheduled event.
+   * @typedef {Object} FetchGuildScheduledEventSubscribersOptions
+   * @property {number} [limit=100] Maximum number of subscribers to fetch, up to 100
+   * @property {boolean} [withMember=false] Whether to fetch the members of the subscribers as well
+   * @property {Snowflake} [before] Only fetch subscribers with IDs lower than this one
+   * @property {Snowflake} [after] Only fetch subscribers with IDs greater than this one
+   */
+
+  /**
+   * Fetches the users subscribed to the scheduled event.
+   * @param {FetchGuildScheduledEventSubscribersOptions} [options] Options for fetching the subscribers
+   * @returns {Promise<Collection<Snowflake, GuildScheduledEventSubscriber>>}
+   * @example
+   * // Give every subscriber a role
+   * event.fetchSubscribers({ withMember: true })
+   *   .then(subscribers => subscribers.forEach(s => s.member && s.member.addRole(role)))
+   *   .catch(console.error);
+   */
+  fetchSubscribers(options) {
+    return this.client.rest.methods.getGuildScheduledEventSubscribers(this, options || {});
+  }
+
+  /**
+   * When concatenated with a string, this automatically returns the URL of the scheduled event.
+   * @returns {string}
+   */
+  toString() {
+    return this.url;
+  }
+
+  /**
+   * Transforms data for creating or editing a scheduled event into its API format.
+   * @param {GuildScheduledEventEditData} data The data to transform
+   * @returns {Object}
+   * @private
+   */
+  static transformEvent(data) {
+    const transformed = {};
+    if (typeof data.name !== 'undefined') transformed.name = data.name;
+    if (typeof data.description !== 'undefined') transformed.description = data.description;
+    if (typeof data.channel !== 'undefined') {
+      transformed.channel_id = data.channel && data.channel.id ? data.channel.id : data.channel;
+    }
+    if (typeof data.scheduledStartTime !== 'undefined') {
+      transformed.scheduled_start_time = new Date(data.scheduledStartTime).toISOString();
+    }
+    if (typeof data.scheduledEndTime !== 'undefined') {
+      transformed.scheduled_end_time = data.scheduledEndTime === null ?
+        null : new Date(data.scheduledEndTime).toISOString();
+    }
+    if (typeof data.privacyLevel !== 'undefined') {
+      transformed.privacy_level = resolveEnum(Constants.GuildScheduledEventPrivacyLevels, data.privacyLevel,
+        'privacy level');
+    }
+    if (typeof data.entityType !== 'undefined') {
+      transformed.entity_type = resolveEnum(Constants.GuildScheduledEventEntityTypes, data.entityType, 'entity type');
+    }
+    if (typeof data.status !== 'undefined') {
+      transformed.status = resolveEnum(Constants.GuildScheduledEventStatuses, data.status, 'status');
+    }
+    if (typeof data.location !== 'undefined') {
+      transformed.entity_metadata = data.location === null ? null : { location: data.location };
+    }
+    return transformed;
+  }
+}
+
+/**
+ * Resolves the name or number of an enum of scheduled events to its number.
+ * @param {Array<?string>} values The names of the enum, indexed by their numbers
+ * @param {string|number} value The value to resolve
+ * @param {string} description What the enum is, for the error
+ * @returns {number}
+ * @private
+ */
+function resolveEnum(values, value, description) {
+  const index = typeof value === 'number' ? value : values.indexOf(value);
+  if (!values[index]) throw new TypeError(`Unknown scheduled event ${description} ${value}.`);
+  return index;
+}
+
+module.exports = GuildScheduledEvent;
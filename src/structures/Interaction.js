@@ -0,0 +1,425 @@
+'use strict';
+
+const Collection = require('../util/Collection');
+const Constants = require('../util/Constants');
+const Snowflake = require('../util/Snowflake');
+const RichEmbed = require('./RichEmbed');
+const Message = require('./Message');
+
+/**
+ * Represents an interaction, such as a slash command being used.
+ */
+class Interaction {
+  constructor(client, data) {
+    /**
+     * The client that received the interaction
+     * @name Interaction#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    this.setup(data);
+  }
+
+  setup(data) {
+    /**
+     * The ID of the interaction
+     * @type {Snowflake}
+     */
+    this.id = data.id;
+
+    /**
+     * The type of the interaction
+     * @type {InteractionType}
+     */
+    this.type = Constants.InteractionTypes[data.type];
+
+    /**
+     * The ID of the application the interaction is for
+     * @type {Snowflake}
+     */
+    this.applicationID = data.application_id;
+
+    /**
+     * The token used to respond to the interaction
+     * @name Interaction#token
+     * @type {string}
+     * @readonly
+     */
+    Object.defineProperty(this, 'token', { value: data.token });
+
+    /**
+     * The ID of the channel the interaction was sent in
+     * @type {?Snowflake}
+     */
+    this.channelID = data.channel_id || null;
+
+    /**
+     * The ID of the guild the interaction was sent in
+     * @type {?Snowflake}
+     */
+    this.guildID = data.guild_id || null;
+
+    /**
+     * The user that triggered the interaction
+     * @type {User}
+     */
+    this.user = this.client.dataManager.newUser(data.member ? data.member.user : data.user);
+
+    /**
+     * The member that triggered the interaction, if it was sent in a cached guild
+     * @type {?GuildMember}
+     */
+    this.member = null;
+    if (data.member && this.guild) {
+      this.member = this.guild.members.get(this.user.id) ||
+        this.guild._addMember(Object.assign({}, data.member, { user: this.user }), false);
+    }
+
+    const command = data.data || {};
+
+    /**
+     * The ID of the invoked application command
+     * @type {?Snowflake}
+     */
+    this.commandID = command.id || null;
+
+    /**
+     * The name of the invoked application command
+     * @type {?string}
+     */
+    this.commandName = command.name || null;
+
+    /**
+     * The name of the invoked subcommand group, if any
+     * @type {?string}
+     */
+    this.subcommandGroup = null;
+
+    /**
+     * The name of the invoked subcommand, if any
+     * @type {?string}
+     */
+    this.subcommand = null;
+
+    let options = command.options || [];
+    if (options.length && options[0].type === Constants.ApplicationCommandOptionTypes.SUB_COMMAND_GROUP) {
+      this.subcommandGroup = options[0].name;
+      options = options[0].options || [];
+    }
+    if (options.length && options[0].type === Constants.ApplicationCommandOptionTypes.SUB_COMMAND) {
+      this.subcommand = options[0].name;
+      options = options[0].options || [];
+    }
+
+    /**
+     * The values of the options the command was invoked with, mapped by their names.
+     * Users, channels and roles are resolved to their structures where possible.
+     * @type {Collection<string, *>}
+     */
+    this.options = new Collection();
+    for (const option of options) {
+      this.options.set(option.name, this._resolveOption(option, command.resolved || {}));
+    }
+
+    /**
+     * The custom ID of the component that was interacted with
+     * @type {?string}
+     */
+    this.customID = command.custom_id || null;
+
+    /**
+     * The type of the component that was interacted with
+     * @type {?MessageComponentType}
+     */
+    this.componentType = command.component_type ? Constants.MessageComponentTypes[command.component_type] : null;
+
+    /**
+     * The values that were selected, if a select menu was interacted with
+     * @type {?string[]}
+     */
+    this.values = command.values || null;
+
+    /**
+     * The ID of the message the interacted component belongs to
+     * @type {?Snowflake}
+     */
+    this.messageID = data.message ? data.message.id : null;
+
+    /**
+     * The message the interacted component belongs to, or the raw data of it if the channel is not cached
+     * @type {?Message|Object}
+     */
+    this.message = null;
+    if (data.message) {
+      const channel = this.channel;
+      this.message = channel && channel.messages ?
+        channel.messages.get(data.message.id) || new Message(channel, data.message, this.client) :
+        data.message;
+    }
+
+    /**
+     * Whether a response to the interaction has been deferred
+     * @type {boolean}
+     */
+    this.deferred = false;
+
+    /**
+     * Whether the interaction has been replied to
+     * @type {boolean}
+     */
+    this.replied = false;
+
+    /**
+     * Whether the reply to the interaction is only visible to the user who triggered it
+     * @type {?boolean}
+     */
+    this.ephemeral = null;
+  }
+
+  /**
+   * The timestamp the interaction was created at
+   * @type {number}
+   * @readonly
+   */
+  get createdTimestamp() {
+    return Snowflake.deconstruct(this.id).timestamp;
+  }
+
+  /**
+   * The time the interaction was created at
+   * @type {Date}
+   * @readonly
+   */
+  get createdAt() {
+    return new Date(this.createdTimestamp);
+  }
+
+  /**
+   * The channel the interaction was sent in, if it is cached
+   * @type {?Channel}
+   * @readonly
+   */
+  get channel() {
+    return this.client.channels.get(this.channelID) || null;
+  }
+
+  /**
+   * The guild the interaction was sent in, if it is cached
+   * @type {?Guild}
+   * @readonly
+   */
+  get guild() {
+    return this.client.guilds.get(this.guildID) || null;
+  }
+
+  /**
+   * Whether this interaction is an application command
+   * @returns {boolean}
+   */
+  isCommand() {
+    return this.type === 'APPLICATION_COMMAND';
+  }
+
+  /**
+   * Whether this interaction is an interaction with a message component
+   * @returns {boolean}
+   */
+  isMessageComponent() {
+    return this.type === 'MESSAGE_COMPONENT';
+  }
+
+  /**
+   * Whether this interaction is a button being clicked
+   * @returns {boolean}
+   */
+  isButton() {
+    return this.componentType === 'BUTTON';
+  }
+
+  /**
+   * Whether this interaction is a value being selected in a select menu
+   * @returns {boolean}
+   */
+  isSelectMenu() {
+    return this.componentType === 'SELECT_MENU';
+  }
+
+  /**
+   * Options that can be passed into the methods used to respond to an interaction.
+   * @typedef {Object} InteractionReplyOptions
+   * @property {boolean} [tts=false] Whether or not the message should be spoken aloud
+   * @property {boolean} [ephemeral=false] Whether the reply should only be visible to the user who triggered
+   * the interaction
+   * @property {Array<RichEmbed|Object>} [embeds] An array of embeds for the message
+   * @property {boolean} [disableEveryone=this.client.options.disableEveryone] Whether or not @everyone and @here
+   * should be replaced with plain-text
+   * @property {Object} [allowed_mentions] The allowed mentions of the message
+   * @property {Array<MessageActionRow|Object>} [components] Action rows of components to send with the message
+   */
+
+  /**
+   * Replies to the interaction.
+   * @param {StringResolvable} [content] The content of the reply
+   * @param {InteractionReplyOptions|RichEmbed} [options] The options to provide
+   * @returns {Promise<Interaction>}
+   * @example
+   * // Reply to a slash command
+   * client.on('interactionCreate', interaction => {
+   *   if (interaction.commandName === 'ping') interaction.reply('Pong!');
+   * });
+   */
+  reply(content, options) {
+    if (this.deferred || this.replied) return Promise.reject(new Error('This interaction has already been replied to.'));
+    options = this._resolveReplyOptions(content, options);
+    return this.client.rest.methods.createInteractionResponse(this,
+      Constants.InteractionResponseTypes.CHANNEL_MESSAGE_WITH_SOURCE, options.content, options
+    ).then(() => {
+      this.replied = true;
+      this.ephemeral = Boolean(options.ephemeral);
+      return this;
+    });
+  }
+
+  /**
+   * Defers the reply to the interaction, showing a loading state to the user.
+   * The reply can then be sent using {@link Interaction#editReply}.
+   * @param {Object} [options] Options for deferring the reply
+   * @param {boolean} [options.ephemeral=false] Whether the reply should be ephemeral
+   * @returns {Promise<Interaction>}
+   */
+  deferReply(options) { options = options || {};
+    if (this.deferred || this.replied) return Promise.reject(new Error('This interaction has already been replied to.'));
+    return this.client.rest.methods.createInteractionResponse(this,
+      Constants.InteractionResponseTypes.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE, undefined, options
+    ).then(() => {
+      this.deferred = true;
+      this.ephemeral = Boolean(options.ephemeral);
+      return this;
+    });
+  }
+
+  /**
+   * Edits the initial reply to the interaction.
+   * @param {StringResolvable} [content] The new content of the reply
+   * @param {InteractionReplyOptions|RichEmbed} [options] The options to provide
+   * @returns {Promise<Message|Object>}
+   */
+  editReply(content, options) {
+    if (!this.deferred && !this.replied) return Promise.reject(new Error('This interaction has not been replied to.'));
+    options = this._resolveReplyOptions(content, options);
+    return this.client.rest.methods.editInteractionReply(this, options.content, options).then(message => {
+      this.replied = true;
+      return message;
+    });
+  }
+
+  /**
+   * Deletes the initial reply to the interaction.
+   * @returns {Promise<Interaction>}
+   */
+  deleteReply() {
+    if (!this.deferred && !this.replied) return Promise.reject(new Error('This interaction has not been replied to.'));
+    return this.client.rest.methods.deleteInteractionReply(this).then(() => this);
+  }
+
+  /**
+   * Sends a follow-up message to the interaction.
+   * @param {StringResolvable} [content] The content of the message
+   * @param {InteractionReplyOptions|RichEmbed} [options] The options to provide
+   * @returns {Promise<Message|Object>}
+   */
+  followUp(content, options) {
+    if (!this.deferred && !this.replied) return Promise.reject(new Error('This interaction has not been replied to.'));
+    options = this._resolveReplyOptions(content, options);
+    return this.client.rest.methods.sendInteractionFollowUp(this, options.content, options);
+  }
+
+  /**
+   * Updates the message the interacted component belongs to, as the response to the interaction.
+   * @param {StringResolvable} [content] The new content of the message
+   * @param {InteractionReplyOptions|RichEmbed} [options] The options to provide
+   * @returns {Promise<Interaction>}
+   * @example
+   * // Disable the buttons of the message once one was clicked
+   * interaction.update('Thanks for voting!', { components: [] });
+   */
+  update(content, options) {
+    if (!this.isMessageComponent()) return Promise.reject(new Error('Only component interactions can update a message.'));
+    if (this.deferred || this.replied) {
+      return Promise.reject(new Error('This interaction has already been replied to.'));
+    }
+    options = this._resolveReplyOptions(content, options);
+    return this.client.rest.methods.createInteractionResponse(this,
+      Constants.InteractionResponseTypes.UPDATE_MESSAGE, options.content, options
+    ).then(() => {
+      this.replied = true;
+      return this;
+    });
+  }
+
+  /**
+   * Acknowledges a component interaction without updating the message yet.
+   * The message can then be updated using {@link Interaction#editReply}.
+   * @returns {Promise<Interaction>}
+   */
+  deferUpdate() {
+    if (!this.isMessageComponent()) return Promise.reject(new Error('Only component interactions can update a message.'));
+    if (this.deferred || this.replied) {
+      return Promise.reject(new Error('This interaction has already been replied to.'));
+    }
+    return this.client.rest.methods.createInteractionResponse(this,
+      Constants.InteractionResponseTypes.DEFERRED_MESSAGE_UPDATE, undefined, {}
+    ).then(() => {
+      this.deferred = true;
+      return this;
+    });
+  }
+
+  _resolveReplyOptions(content, options) {
+    // A null content clears the content of the reply, so it is not taken as the options
+    if (!options && content !== null && typeof content === 'object' && !(content instanceof Array)) {
+      options = content;
+      content = undefined;
+    } else if (!options) {
+      options = {};
+    }
+
+    // Normalise a copy, so options reused across replies are not converted twice
+    options = options instanceof RichEmbed ? { embeds: [options] } : Object.assign({}, options);
+    if (options.embed) options.embeds = (options.embeds || []).concat(options.embed);
+    delete options.embed;
+    if (options.embeds) options.embeds = options.embeds.map(embed => RichEmbed.from(embed).toJSON());
+
+    if (typeof content !== 'undefined') options.content = content;
+    return options;
+  }
+
+  _resolveOption(option, resolved) {
+    const types = Constants.ApplicationCommandOptionTypes;
+    const guild = this.guild;
+    switch (option.type) {
+      case types.USER:
+        if (resolved.users && resolved.users[option.value]) {
+          return this.client.dataManager.newUser(resolved.users[option.value]);
+        }
+        return this.client.users.get(option.value) || option.value;
+      case types.CHANNEL:
+        return this.client.channels.get(option.value) ||
+          (resolved.channels && resolved.channels[option.value]) || option.value;
+      case types.ROLE:
+        return (guild && guild.roles.get(option.value)) ||
+          (resolved.roles && resolved.roles[option.value]) || option.value;
+      case types.MENTIONABLE:
+        if (resolved.users && resolved.users[option.value]) {
+          return this._resolveOption({ type: types.USER, value: option.value }, resolved);
+        }
+        return this._resolveOption({ type: types.ROLE, value: option.value }, resolved);
+      default:
+        return option.value;
+    }
+  }
+}
+
+module.exports = Interaction;
@@ -6,6 +6,8 @@ const Embed = require('./MessageEmbed');
 const RichEmbed = require('./RichEmbed');
 const MessageReaction = require('./MessageReaction');
 const ReactionCollector = require('./ReactionCollector');
+const ComponentInteractionCollector = require('./ComponentInteractionCollector');
+const MessageActionRow = require('./MessageActionRow');
 const Util = require('../util/Util');
 const Collection = require('../util/Collection');
 const Constants = require('../util/Constants');
@@ -160,11 +162,22 @@ class Message {
          */
         this.flags = new MessageFlags(data.flags).freeze();
 		
+        /**
+         * A collection of stickers in the message, mapped by their ID
+         * @type {Collection<Snowflake, Sticker>}
+         */
 		this.stickers = new Collection;
-		for(let sticker of (data.stickers || [])) {
-			this.stickers.set(sticker.id, new Sticker(sticker));
+		for(let sticker of (data.sticker_items || data.stickers || [])) {
+			this.stickers.set(sticker.id, new Sticker(this.client, sticker));
 		}
 
+        /**
+         * The action rows of components in the message, components of types this library does not know are kept as
+         * their raw data
+         * @type {Array<MessageActionRow|Object>}
+         */
+        this.components = (data.components || []).map(c => MessageActionRow.createComponent(c));
+
         /**
          * Reference data sent in a crossposted message.
          * @typedef {Object} MessageReference
@@ -234,6 +247,8 @@ class Message {
         if ('tts' in data) this.tts = data.tts;
         if ('embeds' in data) this.embeds = data.embeds.map(e => new Embed(this, e));
         else this.embeds = this.embeds.slice();
+        if ('components' in data) this.components = data.components.map(c => MessageActionRow.createComponent(c));
+        else this.components = this.components.slice();
 
         if ('attachments' in data) {
             this.attachments = new Collection();
@@ -372,6 +387,50 @@ class Message {
         });
     }
 
+    /**
+     * Creates a collector for interactions with the components of this message.
+     * @param {CollectorFilter} filter The filter to apply
+     * @param {ComponentInteractionCollectorOptions} [options={}] Options to send to the collector
+     * @returns {ComponentInteractionCollector}
+     * @example
+     * // Create a collector for button clicks
+     * const filter = interaction => interaction.customID === 'next' && interaction.user.id === 'someID';
+     * const collector = message.createComponentInteractionCollector(filter, { time: 15000 });
+     * collector.on('collect', i => console.log(`Collected ${i.customID}`));
+     * collector.on('end', collected => console.log(`Collected ${collected.size} items`));
+     */
+    createComponentInteractionCollector(filter, options) { options = options || {};
+        return new ComponentInteractionCollector(this, filter, options);
+    }
+
+    /**
+     * An object containing the same properties as CollectorOptions, but a few more:
+     * @typedef {ComponentInteractionCollectorOptions} AwaitComponentInteractionsOptions
+     * @property {string[]} [errors] Stop/end reasons that cause the promise to reject
+     */
+
+    /**
+     * Similar to createComponentInteractionCollector but in promise form.
+     * Resolves with a collection of interactions that pass the specified filter.
+     * @param {CollectorFilter} filter The filter function to use
+     * @param {AwaitComponentInteractionsOptions} [options={}] Optional options to pass to the internal collector
+     * @returns {Promise<Collection<Snowflake, Interaction>>}
+     * @example
+     * // Wait for a single selection from a select menu
+     * message.awaitComponentInteractions(i => i.user.id === 'someID', { max: 1, time: 15000, errors: ['time'] })
+     *     .then(collected => console.log(collected.first().values))
+     *     .catch(console.error);
+     */
+    awaitComponentInteractions(filter, options) { options = options || {};
+        return new Promise((resolve, reject) => {
+            const collector = this.createComponentInteractionCollector(filter, options);
+            collector.once('end', (interactions, reason) => {
+                if (options.errors && options.errors.includes(reason)) reject(interactions);
+                else resolve(interactions);
+            });
+        });
+    }
+
     /**
      * An array of cached versions of the message, including the current version
      * Sorted from latest (first) to oldest (last)
@@ -444,8 +503,13 @@ class Message {
      * Options that can be passed into editMessage.
      * @typedef {Object} MessageEditOptions
      * @property {Object} [embed] An embed to be added/edited
+     * @property {Array<RichEmbed|MessageEmbed|Object>} [embeds] Up to 10 embeds to replace the current ones
      * @property {string|boolean} [code] Language for optional codeblock formatting to apply
      * @property {MessageFlagsResolvable} [flags] Message flags to apply
+     * @property {Array<MessageActionRow|Object>} [components] Action rows of components to replace the current ones
+     * @property {FileOptions[]|BufferResolvable[]|Attachment[]} [files] Files to add to the message
+     * @property {Array<MessageAttachment|Snowflake>|Collection<Snowflake, MessageAttachment>} [attachments] The
+     * current attachments to keep, all others are removed (an empty array removes all of them)
      */
 
     /**
@@ -458,6 +522,11 @@ class Message {
      * message.edit('This is my new content!')
      *     .then(msg => console.log(`New message content: ${msg}`))
      *     .catch(console.error);
+     * @example
+     * // Remove all attachments of a message but the first one
+     * message.edit({ attachments: [message.attachments.first()] })
+     *     .then(msg => console.log(`The message now has ${msg.attachments.size} attachment`))
+     *     .catch(console.error);
      */
     edit(content, options) {
         if (!options && typeof content === 'object' && !(content instanceof Array)) {
@@ -467,6 +536,13 @@ class Message {
             options = {};
         }
         if (options instanceof RichEmbed) options = { embed: options };
+        if (options.embed) options.embed = RichEmbed.from(options.embed).toJSON();
+        if (options.embeds) options.embeds = options.embeds.map(embed => RichEmbed.from(embed).toJSON());
+        if (options.file) options.files = (options.files || []).concat(options.file);
+        if (options.files) {
+            return this.client.resolver.resolveFiles(options.files)
+                .then(files => this.client.rest.methods.updateMessage(this, content, options, files));
+        }
         return this.client.rest.methods.updateMessage(this, content, options);
     }
 
@@ -604,12 +680,27 @@ class Message {
     }
 	
 	// https://github.com/discordjs/discord.js/blob/master/src/structures/Message.js
+	/**
+	 * Whether this message is a partial, only containing its ID
+	 * @type {boolean}
+	 * @readonly
+	 */
 	get partial() {
-		return typeof this.content !== 'string' || !this.author;
+		return !this.author;
 	}
-	
-	fetch(force) {
-		return this.channel.fetchMessage(this.id);
+
+	/**
+	 * Fetches this message, filling it in if it is partial.
+	 * @returns {Promise<Message>}
+	 */
+	fetch() {
+		return this.client.rest.methods.getChannelMessages(this.channel, { limit: 1, around: this.id }).then(data => {
+			const message = data.find(m => m.id === this.id);
+			if (!message) throw new Error('Message not found.');
+			this.setup(message);
+			this.channel._cacheMessage(this);
+			return this;
+		});
 	}
 
     /**
@@ -696,12 +787,14 @@ class Message {
             reaction = this.reactions.get(emojiID);
             if (!reaction.me) reaction.me = user.id === this.client.user.id;
         } else {
-            reaction = new MessageReaction(this, emoji, 0, user.id === this.client.user.id);
+            // The count of reactions of partial messages is unknown
+            const count = this.partial ? null : 0;
+            reaction = new MessageReaction(this, emoji, count, user.id === this.client.user.id);
             this.reactions.set(emojiID, reaction);
         }
         if (!reaction.users.has(user.id)) {
             reaction.users.set(user.id, user);
-            reaction.count++;
+            if (reaction.count !== null) reaction.count++;
         }
         return reaction;
     }
@@ -714,13 +807,12 @@ class Message {
                 this.reactions.delete(emojiID);
                 return reaction;
             }
-            if (reaction.users.has(user.id)) {
-                reaction.users.delete(user.id);
-                reaction.count--;
-                if (user.id === this.client.user.id) reaction.me = false;
-                if (reaction.count <= 0) this.reactions.delete(emojiID);
-                return reaction;
-            }
+            // The users of reactions are only known once fetched, so the count is updated regardless
+            reaction.users.delete(user.id);
+            if (reaction.count !== null) reaction.count--;
+            if (user.id === this.client.user.id) reaction.me = false;
+            if (reaction.count !== null && reaction.count <= 0) this.reactions.delete(emojiID);
+            return reaction;
         }
         return null;
     }
@@ -0,0 +1,123 @@
+'use strict';
+
+const Constants = require('../util/Constants');
+const MessageButton = require('./MessageButton');
+const MessageSelectMenu = require('./MessageSelectMenu');
+
+/**
+ * A row of components that can be sent with a message, with a fluent interface for creation.
+ * @param {Object} [data] Data to set in the action row
+ */
+class MessageActionRow {
+  constructor(data) { data = data || {};
+    /**
+     * The type of this component
+     * @type {MessageComponentType}
+     */
+    this.type = 'ACTION_ROW';
+
+    /**
+     * The components in this action row. Received components of types this library does not know are kept as their
+     * raw data
+     * @type {Array<MessageButton|MessageSelectMenu|Object>}
+     */
+    this.components = (data.components || []).map(component => MessageActionRow.createComponent(component));
+  }
+
+  /**
+   * Data that can be resolved to a component of an action row. This can be:
+   * * A MessageButton
+   * * A MessageSelectMenu
+   * * An object with the data of either of those
+   * @typedef {MessageButton|MessageSelectMenu|Object} MessageActionRowComponentResolvable
+   */
+
+  /**
+   * Adds a component to this action row.
+   * @param {MessageActionRowComponentResolvable} component The component to add
+   * @returns {MessageActionRow} This action row
+   */
+  addComponent(component) {
+    if (this.components.length >= 5) throw new RangeError('MessageActionRows may not exceed 5 components.');
+    this.components.push(MessageActionRow.resolveComponent(component));
+    return this;
+  }
+
+  /**
+   * Adds components to this action row.
+   * @param {...MessageActionRowComponentResolvable|MessageActionRowComponentResolvable[]} components
+   * The components to add
+   * @returns {MessageActionRow} This action row
+   */
+  addComponents(components) {
+    if (!(components instanceof Array)) {
+      components = [];
+      for (let i = 0; i < arguments.length; i++) components.push(arguments[i]);
+    }
+    for (const component of components) this.addComponent(component);
+    return this;
+  }
+
+  /**
+   * Transforms the action row to a plain object.
+   * @returns {Object} The raw data of this action row
+   */
+  toJSON() {
+    return {
+      type: Constants.MessageComponentTypes.indexOf(this.type),
+      components: this.components.map(component => MessageActionRow.resolveComponent(component).toJSON()),
+    };
+  }
+
+  /**
+   * Resolves a component to its structure, based on its type. Components of types this library does not know are
+   * kept as their raw data, so a received message with newer components does not fail.
+   * @param {MessageActionRowComponentResolvable|MessageActionRow|Object} component The component to resolve
+   * @returns {MessageActionRow|MessageButton|MessageSelectMenu|Object}
+   * @private
+   */
+  static createComponent(component) {
+    if (component instanceof MessageActionRow || component instanceof MessageButton ||
+      component instanceof MessageSelectMenu) return component;
+    const type = typeof component.type === 'number' ? Constants.MessageComponentTypes[component.type] : component.type;
+    switch (type) {
+      case 'ACTION_ROW':
+        return new MessageActionRow(component);
+      case 'BUTTON':
+        return new MessageButton(component);
+      case 'SELECT_MENU':
+        return new MessageSelectMenu(component);
+      default:
+        return component;
+    }
+  }
+
+  /**
+   * Resolves a component to its structure for sending it, failing for types this library does not know.
+   * @param {MessageActionRowComponentResolvable|MessageActionRow|Object} component The component to resolve
+   * @returns {MessageActionRow|MessageButton|MessageSelectMenu}
+   * @private
+   */
+  static resolveComponent(component) {
+    const resolved = MessageActionRow.createComponent(component);
+    if (!(resolved instanceof MessageActionRow || resolved instanceof MessageButton ||
+      resolved instanceof MessageSelectMenu)) throw new TypeError(`Invalid component type ${component.type}.`);
+    return resolved;
+  }
+
+  /**
+   * Transforms the `components` option of a message into the format expected by the API.
+   * @param {Array<MessageActionRow|Object>} components The action rows to transform
+   * @returns {Object[]}
+   * @private
+   */
+  static transformComponents(components) {
+    if (components.length > 5) throw new RangeError('Messages may not have more than 5 action rows.');
+    return components.map(row => {
+      if (!row.type) row = new MessageActionRow(row);
+      return MessageActionRow.resolveComponent(row).toJSON();
+    });
+  }
+}
+
+module.exports = MessageActionRow;
@@ -0,0 +1,153 @@
+'use strict';
+
+const Constants = require('../util/Constants');
+const Util = require('../util/Util');
+
+/**
+ * A button that can be sent with a message in a {@link MessageActionRow}, with a fluent interface for creation.
+ * @param {Object} [data] Data to set in the button
+ */
+class MessageButton {
+  constructor(data) { data = data || {};
+    /**
+     * The type of this component
+     * @type {MessageComponentType}
+     */
+    this.type = 'BUTTON';
+
+    /**
+     * The style of this button
+     * @type {?MessageButtonStyle}
+     */
+    this.style = typeof data.style === 'number' ? Constants.MessageButtonStyles[data.style] : data.style || null;
+
+    /**
+     * The text displayed on this button
+     * @type {?string}
+     */
+    this.label = data.label || null;
+
+    /**
+     * The emoji displayed on this button
+     * @type {?Object}
+     */
+    this.emoji = data.emoji ? MessageButton.resolveEmoji(data.emoji) : null;
+
+    /**
+     * The custom ID of this button, sent with the interaction when it is clicked
+     * @type {?string}
+     */
+    this.customID = data.custom_id || data.customID || null;
+
+    /**
+     * The URL this button links to, if it is a `LINK` button
+     * @type {?string}
+     */
+    this.url = data.url || null;
+
+    /**
+     * Whether this button is disabled
+     * @type {boolean}
+     */
+    this.disabled = Boolean(data.disabled);
+  }
+
+  /**
+   * Sets the style of this button.
+   * @param {MessageButtonStyle} style The style
+   * @returns {MessageButton} This button
+   */
+  setStyle(style) {
+    if (!Constants.MessageButtonStyles.includes(style) || !style) throw new TypeError(`Invalid button style ${style}.`);
+    this.style = style;
+    return this;
+  }
+
+  /**
+   * Sets the label of this button.
+   * @param {StringResolvable} label The label
+   * @returns {MessageButton} This button
+   */
+  setLabel(label) {
+    label = Util.resolveString(label);
+    if (label.length > 80) throw new RangeError('MessageButton labels may not exceed 80 characters.');
+    this.label = label;
+    return this;
+  }
+
+  /**
+   * Sets the emoji of this button.
+   * @param {Emoji|ReactionEmoji|string} emoji The emoji, either a unicode emoji or a custom emoji
+   * @returns {MessageButton} This button
+   */
+  setEmoji(emoji) {
+    this.emoji = MessageButton.resolveEmoji(emoji);
+    return this;
+  }
+
+  /**
+   * Sets the custom ID of this button.
+   * @param {string} customID The custom ID
+   * @returns {MessageButton} This button
+   */
+  setCustomID(customID) {
+    customID = Util.resolveString(customID);
+    if (customID.length > 100) throw new RangeError('MessageButton custom IDs may not exceed 100 characters.');
+    this.customID = customID;
+    return this;
+  }
+
+  /**
+   * Sets the URL of this button, making it a `LINK` button.
+   * @param {string} url The URL
+   * @returns {MessageButton} This button
+   */
+  setURL(url) {
+    this.url = url;
+    this.style = 'LINK';
+    return this;
+  }
+
+  /**
+   * Sets whether this button is disabled.
+   * @param {boolean} [disabled=true] Whether the button is disabled
+   * @returns {MessageButton} This button
+   */
+  setDisabled(disabled) { if(disabled === undefined) disabled = true;
+    this.disabled = disabled;
+    return this;
+  }
+
+  /**
+   * Transforms the button to a plain object.
+   * @returns {Object} The raw data of this button
+   */
+  toJSON() {
+    if (!this.style) throw new TypeError('MessageButtons must have a style.');
+    if (this.style === 'LINK' && !this.url) throw new TypeError('LINK MessageButtons must have a URL.');
+    if (this.style !== 'LINK' && !this.customID) throw new TypeError('MessageButtons must have a custom ID.');
+    if (!this.label && !this.emoji) throw new TypeError('MessageButtons must have a label or an emoji.');
+    return {
+      type: Constants.MessageComponentTypes.indexOf(this.type),
+      style: Constants.MessageButtonStyles.indexOf(this.style),
+      label: this.label || undefined,
+      emoji: this.emoji || undefined,
+      custom_id: this.style === 'LINK' ? undefined : this.customID,
+      url: this.style === 'LINK' ? this.url : undefined,
+      disabled: this.disabled,
+    };
+  }
+
+  /**
+   * Resolves an emoji to the format used by message components.
+   * @param {Emoji|ReactionEmoji|Object|string} emoji The emoji to resolve
+   * @returns {Object}
+   * @private
+   */
+  static resolveEmoji(emoji) {
+    if (typeof emoji === 'string') return Util.parseEmoji(emoji);
+    return { id: emoji.id || null, name: emoji.name, animated: Boolean(emoji.animated) };
+  }
+}
+
+module.exports = MessageButton;
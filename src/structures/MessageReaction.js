@@ -22,10 +22,10 @@ class MessageReaction {
     this.me = me;
 
     /**
-     * The number of people that have given the same reaction
-     * @type {number}
+     * The number of people that have given the same reaction, `null` if the reaction is partial
+     * @type {?number}
      */
-    this.count = count || 0;
+    this.count = count === null ? null : count || 0;
 
     /**
      * The users that have given this reaction, mapped by their ID
@@ -57,6 +57,31 @@ class MessageReaction {
     return this._emoji;
   }
 
+  /**
+   * Whether this reaction is a partial, of which the count is unknown
+   * @type {boolean}
+   * @readonly
+   */
+  get partial() {
+    return this.count === null;
+  }
+
+  /**
+   * Fetches the message of this reaction to fill in its count.
+   * @returns {Promise<MessageReaction>}
+   */
+  fetch() {
+    const emoji = this._emoji;
+    const id = emoji.id ? `${emoji.name}:${emoji.id}` : emoji.name;
+    return this.message.fetch().then(message => {
+      const fetched = message.reactions.get(id);
+      this.count = fetched ? fetched.count : 0;
+      this.me = fetched ? fetched.me : false;
+      if (fetched) message.reactions.set(id, this);
+      return this;
+    });
+  }
+
   /**
    * Removes a user from this reaction.
    * @param {UserResolvable} [user=this.message.client.user] The user to remove the reaction of
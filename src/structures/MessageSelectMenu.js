@@ -0,0 +1,198 @@
+'use strict';
+
+const Constants = require('../util/Constants');
+const Util = require('../util/Util');
+const MessageButton = require('./MessageButton');
+
+/**
+ * A select menu that can be sent with a message in a {@link MessageActionRow}, with a fluent interface for creation.
+ * @param {Object} [data] Data to set in the select menu
+ */
+class MessageSelectMenu {
+  constructor(data) { data = data || {};
+    /**
+     * The type of this component
+     * @type {MessageComponentType}
+     */
+    this.type = 'SELECT_MENU';
+
+    /**
+     * The custom ID of this select menu, sent with the interaction when a value is selected
+     * @type {?string}
+     */
+    this.customID = data.custom_id || data.customID || null;
+
+    /**
+     * The placeholder shown when nothing is selected
+     * @type {?string}
+     */
+    this.placeholder = data.placeholder || null;
+
+    /**
+     * The minimum number of values that must be selected
+     * @type {?number}
+     */
+    this.minValues = data.min_values || data.minValues || null;
+
+    /**
+     * The maximum number of values that can be selected
+     * @type {?number}
+     */
+    this.maxValues = data.max_values || data.maxValues || null;
+
+    /**
+     * The options of this select menu
+     * @type {MessageSelectOption[]}
+     */
+    this.options = (data.options || []).map(option => MessageSelectMenu.normalizeOption(option));
+
+    /**
+     * Whether this select menu is disabled
+     * @type {boolean}
+     */
+    this.disabled = Boolean(data.disabled);
+  }
+
+  /**
+   * Sets the custom ID of this select menu.
+   * @param {string} customID The custom ID
+   * @returns {MessageSelectMenu} This select menu
+   */
+  setCustomID(customID) {
+    customID = Util.resolveString(customID);
+    if (customID.length > 100) throw new RangeError('MessageSelectMenu custom IDs may not exceed 100 characters.');
+    this.customID = customID;
+    return this;
+  }
+
+  /**
+   * Sets the placeholder of this select menu.
+   * @param {StringResolvable} placeholder The placeholder
+   * @returns {MessageSelectMenu} This select menu
+   */
+  setPlaceholder(placeholder) {
+    placeholder = Util.resolveString(placeholder);
+    if (placeholder.length > 100) throw new RangeError('MessageSelectMenu placeholders may not exceed 100 characters.');
+    this.placeholder = placeholder;
+    return this;
+  }
+
+  /**
+   * Sets the minimum number of values that must be selected.
+   * @param {number} minValues The minimum number of values
+   * @returns {MessageSelectMenu} This select menu
+   */
+  setMinValues(minValues) {
+    this.minValues = minValues;
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of values that can be selected.
+   * @param {number} maxValues The maximum number of values
+   * @returns {MessageSelectMenu} This select menu
+   */
+  setMaxValues(maxValues) {
+    this.maxValues = maxValues;
+    return this;
+  }
+
+  /**
+   * Sets whether this select menu is disabled.
+   * @param {boolean} [disabled=true] Whether the select menu is disabled
+   * @returns {MessageSelectMenu} This select menu
+   */
+  setDisabled(disabled) { if(disabled === undefined) disabled = true;
+    this.disabled = disabled;
+    return this;
+  }
+
+  /**
+   * An option of a select menu.
+   * @typedef {Object} MessageSelectOption
+   * @property {string} label The text displayed for the option
+   * @property {string} value The value sent with the interaction when the option is selected
+   * @property {?string} description The description of the option
+   * @property {?Object} emoji The emoji displayed for the option
+   * @property {boolean} default Whether the option is selected by default
+   */
+
+  /**
+   * Adds an option to this select menu.
+   * @param {StringResolvable} label The text displayed for the option
+   * @param {string} value The value sent with the interaction when the option is selected
+   * @param {StringResolvable} [description] The description of the option
+   * @param {Emoji|ReactionEmoji|string} [emoji] The emoji displayed for the option
+   * @param {boolean} [isDefault=false] Whether the option is selected by default
+   * @returns {MessageSelectMenu} This select menu
+   */
+  addOption(label, value, description, emoji, isDefault) {
+    if (this.options.length >= 25) throw new RangeError('MessageSelectMenus may not exceed 25 options.');
+    this.options.push(MessageSelectMenu.normalizeOption({ label, value, description, emoji, default: isDefault }));
+    return this;
+  }
+
+  /**
+   * Adds options to this select menu.
+   * @param {...MessageSelectOption|MessageSelectOption[]} options The options to add
+   * @returns {MessageSelectMenu} This select menu
+   */
+  addOptions(options) {
+    if (!(options instanceof Array)) {
+      options = [];
+      for (let i = 0; i < arguments.length; i++) options.push(arguments[i]);
+    }
+    for (const option of options) {
+      this.addOption(option.label, option.value, option.description, option.emoji, option.default);
+    }
+    return this;
+  }
+
+  /**
+   * Transforms the select menu to a plain object.
+   * @returns {Object} The raw data of this select menu
+   */
+  toJSON() {
+    if (!this.customID) throw new TypeError('MessageSelectMenus must have a custom ID.');
+    if (!this.options.length) throw new TypeError('MessageSelectMenus must have at least one option.');
+    return {
+      type: Constants.MessageComponentTypes.indexOf(this.type),
+      custom_id: this.customID,
+      placeholder: this.placeholder || undefined,
+      min_values: this.minValues === null ? undefined : this.minValues,
+      max_values: this.maxValues === null ? undefined : this.maxValues,
+      options: this.options.map(option => ({
+        label: option.label,
+        value: option.value,
+        description: option.description || undefined,
+        emoji: option.emoji || undefined,
+        default: option.default,
+      })),
+      disabled: this.disabled,
+    };
+  }
+
+  /**
+   * Normalizes option input and resolves strings.
+   * @param {Object} option The option to normalize
+   * @returns {MessageSelectOption}
+   * @private
+   */
+  static normalizeOption(option) {
+    const label = Util.resolveString(option.label);
+    if (label.length > 100) throw new RangeError('MessageSelectMenu option labels may not exceed 100 characters.');
+    const description = option.description ? Util.resolveString(option.description) : null;
+    if (description && description.length > 100) {
+      throw new RangeError('MessageSelectMenu option descriptions may not exceed 100 characters.');
+    }
+    return {
+      label,
+      value: option.value,
+      description,
+      emoji: option.emoji ? MessageButton.resolveEmoji(option.emoji) : null,
+      default: Boolean(option.default),
+    };
+  }
+}
+
+module.exports = MessageSelectMenu;
@@ -51,6 +51,8 @@ class Presence {
      * @deprecated
      */
     this.game = data.game ? new Game(data.game, this) : null;
+    // Newer gateway versions only send activities
+    if (!this.game && data.activities && data.activities.length) this.game = new Game(data.activities[0], this);
 
     if (data.activities) {
       /**
@@ -338,6 +338,75 @@ class RichEmbed {
     };
   }
 
+  /**
+   * Creates a rich embed from a received embed, another rich embed or raw embed data.
+   * @param {MessageEmbed|RichEmbed|Object} embed The embed to build from
+   * @returns {RichEmbed}
+   * @example
+   * // Edit the title of the first embed of a message, keeping the rest of it
+   * message.edit(RichEmbed.from(message.embeds[0]).setTitle('New title'))
+   *   .then(console.log)
+   *   .catch(console.error);
+   */
+  static from(embed) {
+    const richEmbed = new RichEmbed({
+      title: embed.title,
+      description: embed.description,
+      url: embed.url,
+      color: embed.color,
+      timestamp: embed.timestamp,
+      author: embed.author ? {
+        name: embed.author.name,
+        url: embed.author.url,
+        icon_url: embed.author instanceof MessageEmbed.Author ? embed.author.iconURL : embed.author.icon_url,
+      } : undefined,
+      fields: embed.fields ?
+        embed.fields.map(field => ({ name: field.name, value: field.value, inline: field.inline })) :
+        [],
+      thumbnail: embed.thumbnail ? { url: embed.thumbnail.url } : undefined,
+      image: embed.image ? { url: embed.image.url } : undefined,
+      footer: embed.footer ? {
+        text: embed.footer.text,
+        icon_url: embed.footer instanceof MessageEmbed.Footer ? embed.footer.iconURL : embed.footer.icon_url,
+      } : undefined,
+      file: embed.file,
+    });
+    if (embed.files) richEmbed.files = embed.files.slice();
+    return richEmbed;
+  }
+
+  /**
+   * Checks embeds against Discord's limits, throwing a descriptive error for the first limit exceeded.
+   * @param {Array<RichEmbed|MessageEmbed|Object>} embeds The embeds of a single message
+   * @returns {void}
+   */
+  static validateEmbeds(embeds) {
+    if (embeds.length > 10) throw new RangeError(`Messages may not have more than 10 embeds, got ${embeds.length}.`);
+    let total = 0;
+    embeds.forEach((embed, index) => {
+      const where = embeds.length > 1 ? ` (in embed ${index + 1})` : '';
+      const check = (text, max, what) => {
+        if (text && text.length > max) {
+          throw new RangeError(`RichEmbed ${what} may not exceed ${max} characters, got ${text.length}${where}.`);
+        }
+        total += text ? text.length : 0;
+      };
+      check(embed.title, 256, 'titles');
+      check(embed.description, 2048, 'descriptions');
+      check(embed.author && embed.author.name, 256, 'author names');
+      check(embed.footer && embed.footer.text, 2048, 'footer text');
+      const fields = embed.fields || [];
+      if (fields.length > 25) throw new RangeError(`RichEmbeds may not exceed 25 fields, got ${fields.length}${where}.`);
+      for (const field of fields) {
+        check(field.name, 256, 'field names');
+        check(field.value, 1024, 'field values');
+      }
+    });
+    if (total > 6000) {
+      throw new RangeError(`The embeds of a message may not exceed 6000 characters in total, got ${total}.`);
+    }
+  }
+
   /**
    * Normalizes field input and resolves strings.
    * @param {StringResolvable} name The name of the field
@@ -67,7 +67,7 @@ class Role {
      * The permissions bitfield of the role
      * @type {number}
      */
-    this.permissions = data.permissions;
+    this.permissions = Permissions.resolve(data.permissions);
 
     /**
      * Whether or not the role is managed by an external service
@@ -0,0 +1,97 @@
+'use strict';
+
+const VoiceChannel = require('./VoiceChannel');
+
+/**
+ * Represents a guild stage channel on Discord.
+ * @extends {VoiceChannel}
+ */
+class StageChannel extends VoiceChannel {
+  constructor(guild, data) {
+    super(guild, data);
+    this.type = 'stage';
+  }
+
+  setup(data) {
+    super.setup(data);
+
+    /**
+     * The topic of the stage channel
+     * @type {?string}
+     */
+    this.topic = data.topic || null;
+  }
+
+  /**
+   * The members speaking in the stage channel
+   * @type {Collection<Snowflake, GuildMember>}
+   * @readonly
+   */
+  get speakers() {
+    return this.members.filter(member => !member.suppress);
+  }
+
+  /**
+   * The members in the audience of the stage channel
+   * @type {Collection<Snowflake, GuildMember>}
+   * @readonly
+   */
+  get audience() {
+    return this.members.filter(member => member.suppress);
+  }
+
+  /**
+   * The members in the audience who requested to speak, sorted by the time of their requests
+   * @type {Collection<Snowflake, GuildMember>}
+   * @readonly
+   */
+  get requestsToSpeak() {
+    return this.members
+      .filter(member => member.suppress && member.requestToSpeakTimestamp !== null)
+      .sort((a, b) => a.requestToSpeakTimestamp - b.requestToSpeakTimestamp);
+  }
+
+  /**
+   * The live stage instance of the stage channel, if there is one
+   * @type {?StageInstance}
+   * @readonly
+   */
+  get stageInstance() {
+    return this.guild.stageInstances.find(instance => instance.channelID === this.id) || null;
+  }
+
+  /**
+   * Options for creating a stage instance.
+   * @typedef {Object} StageInstanceCreateOptions
+   * @property {string} topic The topic of the stage instance
+   * @property {StagePrivacyLevel} [privacyLevel='GUILD_ONLY'] The privacy level of the stage instance
+   * @property {string} [reason] Reason for creating the stage instance
+   */
+
+  /**
+   * Starts a stage instance in the stage channel.
+   * @param {StageInstanceCreateOptions} options Options for the stage instance
+   * @returns {Promise<StageInstance>}
+   * @example
+   * // Go live with a topic
+   * stageChannel.createStageInstance({ topic: 'Weekly Q&A' })
+   *   .then(instance => console.log(`Live on ${instance.channel.name}`))
+   *   .catch(console.error);
+   */
+  createStageInstance(options) {
+    if (!options || typeof options.topic !== 'string') {
+      return Promise.reject(new TypeError('Stage instances must have a topic.'));
+    }
+    return this.client.rest.methods.createStageInstance(this, options);
+  }
+
+  /**
+   * Fetches the live stage instance of the stage channel.
+   * @returns {Promise<StageInstance>}
+   */
+  fetchStageInstance() {
+    return this.client.rest.methods.getStageInstance(this);
+  }
+}
+
+module.exports = StageChannel;
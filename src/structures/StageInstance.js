@@ -0,0 +1,130 @@
+'use strict';
+
+const Constants = require('../util/Constants');
+const Snowflake = require('../util/Snowflake');
+
+/**
+ * Represents a live stage instance of a stage channel on Discord.
+ */
+class StageInstance {
+  constructor(guild, data) {
+    /**
+     * The client that instantiated the stage instance
+     * @name StageInstance#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: guild.client });
+
+    /**
+     * The guild of the stage instance
+     * @type {Guild}
+     */
+    this.guild = guild;
+
+    /**
+     * The ID of the stage instance
+     * @type {Snowflake}
+     */
+    this.id = data.id;
+
+    /**
+     * Whether the stage instance has ended
+     * @type {boolean}
+     */
+    this.deleted = false;
+
+    this.setup(data);
+  }
+
+  setup(data) {
+    /**
+     * The ID of the stage channel of the stage instance
+     * @type {Snowflake}
+     */
+    this.channelID = data.channel_id;
+
+    /**
+     * The topic of the stage instance
+     * @type {string}
+     */
+    this.topic = data.topic;
+
+    /**
+     * The privacy level of the stage instance
+     * @type {StagePrivacyLevel}
+     */
+    this.privacyLevel = Constants.StagePrivacyLevels[data.privacy_level];
+
+    /**
+     * Whether stage discovery is disabled for the stage instance
+     * @type {boolean}
+     */
+    this.discoverableDisabled = Boolean(data.discoverable_disabled);
+  }
+
+  /**
+   * The stage channel of the stage instance
+   * @type {?StageChannel}
+   * @readonly
+   */
+  get channel() {
+    return this.guild.channels.get(this.channelID) || null;
+  }
+
+  /**
+   * The timestamp the stage instance was created at
+   * @type {number}
+   * @readonly
+   */
+  get createdTimestamp() {
+    return Snowflake.deconstruct(this.id).timestamp;
+  }
+
+  /**
+   * The time the stage instance was created at
+   * @type {Date}
+   * @readonly
+   */
+  get createdAt() {
+    return new Date(this.createdTimestamp);
+  }
+
+  /**
+   * The data for editing a stage instance.
+   * @typedef {Object} StageInstanceEditData
+   * @property {string} [topic] The topic of the stage instance
+   * @property {StagePrivacyLevel} [privacyLevel] The privacy level of the stage instance
+   */
+
+  /**
+   * Edits the stage instance.
+   * @param {StageInstanceEditData} data The new data for the stage instance
+   * @param {string} [reason] Reason for editing the stage instance
+   * @returns {Promise<StageInstance>}
+   */
+  edit(data, reason) {
+    return this.client.rest.methods.updateStageInstance(this, data, reason);
+  }
+
+  /**
+   * Sets the topic of the stage instance.
+   * @param {string} topic The new topic
+   * @param {string} [reason] Reason for changing the topic
+   * @returns {Promise<StageInstance>}
+   */
+  setTopic(topic, reason) {
+    return this.edit({ topic }, reason);
+  }
+
+  /**
+   * Ends the stage instance.
+   * @param {string} [reason] Reason for ending the stage instance
+   * @returns {Promise<StageInstance>}
+   */
+  delete(reason) {
+    return this.client.rest.methods.deleteStageInstance(this, reason);
+  }
+}
+
+module.exports = StageInstance;
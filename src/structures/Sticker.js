@@ -1,20 +1,109 @@
 'use strict';
 
+const Constants = require('../util/Constants');
+const Snowflake = require('../util/Snowflake');
+
+/**
+ * Represents a sticker.
+ */
 class Sticker {
-	constructor(data) {
+	constructor(client, data) {
+		/**
+		 * The client that instantiated the sticker
+		 * @name Sticker#client
+		 * @type {Client}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: client });
+
 		this.setup(data);
 	}
 	
 	setup(data) {
+		/**
+		 * The ID of the sticker
+		 * @type {Snowflake}
+		 */
 		this.id = data.id;
-		this.packID = data.pack_id;
+
+		/**
+		 * The ID of the pack the sticker is from, for standard stickers
+		 * @type {?Snowflake}
+		 */
+		this.packID = data.pack_id || null;
+
+		/**
+		 * The name of the sticker
+		 * @type {string}
+		 */
 		this.name = data.name;
-		this.description = data.description;
-		this.tags = data.tags.split(', ');
-		this.asset = data.asset, 
-		this.previewAsset = data.preview_asset,
+
+		/**
+		 * The description of the sticker
+		 * @type {?string}
+		 */
+		this.description = data.description || null;
+
+		/**
+		 * The autocomplete/suggestion tags of the sticker (not included in stickers of messages)
+		 * @type {string[]}
+		 */
+		this.tags = data.tags ? data.tags.split(',').map(tag => tag.trim()) : [];
+
+		/**
+		 * The hash of the sticker's asset (deprecated by Discord, usually empty)
+		 * @type {?string}
+		 */
+		this.asset = data.asset || null;
+
+		/**
+		 * The hash of the sticker's preview asset
+		 * @type {?string}
+		 */
+		this.previewAsset = data.preview_asset || null;
+
+		/**
+		 * The format of the sticker, one of `PNG`, `APNG` or `LOTTIE`
+		 * @type {string}
+		 */
 		this.type = data.format_type == 1 ? 'PNG' : (data.format_type == 2 ? 'APNG' : 'LOTTIE');
 	}
+
+	/**
+	 * The timestamp the sticker was created at
+	 * @type {number}
+	 * @readonly
+	 */
+	get createdTimestamp() {
+		return Snowflake.deconstruct(this.id).timestamp;
+	}
+
+	/**
+	 * The time the sticker was created at
+	 * @type {Date}
+	 * @readonly
+	 */
+	get createdAt() {
+		return new Date(this.createdTimestamp);
+	}
+
+	/**
+	 * The URL of the sticker's image, or of its Lottie JSON file for `LOTTIE` stickers
+	 * @type {string}
+	 * @readonly
+	 */
+	get url() {
+		const format = this.type === 'LOTTIE' ? 'json' : 'png';
+		return Constants.Endpoints.CDN(this.client.options.http.cdn).Sticker(this.id, format);
+	}
+
+	/**
+	 * Fetches the full data of this sticker, including its tags.
+	 * @returns {Promise<Sticker>}
+	 */
+	fetch() {
+		return this.client.rest.methods.fetchSticker(this);
+	}
 }
 
 module.exports = Sticker;
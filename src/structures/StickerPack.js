@@ -0,0 +1,107 @@
+'use strict';
+
+const Collection = require('../util/Collection');
+const Constants = require('../util/Constants');
+const Snowflake = require('../util/Snowflake');
+const Sticker = require('./Sticker');
+
+/**
+ * Represents a pack of standard stickers, such as the ones available with Nitro.
+ */
+class StickerPack {
+  constructor(client, data) {
+    /**
+     * The client that instantiated the sticker pack
+     * @name StickerPack#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    this.setup(data);
+  }
+
+  setup(data) {
+    /**
+     * The ID of the sticker pack
+     * @type {Snowflake}
+     */
+    this.id = data.id;
+
+    /**
+     * The name of the sticker pack
+     * @type {string}
+     */
+    this.name = data.name;
+
+    /**
+     * The description of the sticker pack
+     * @type {string}
+     */
+    this.description = data.description;
+
+    /**
+     * The ID of the pack's SKU
+     * @type {Snowflake}
+     */
+    this.skuID = data.sku_id;
+
+    /**
+     * The ID of the sticker shown as the pack's icon
+     * @type {?Snowflake}
+     */
+    this.coverStickerID = data.cover_sticker_id || null;
+
+    /**
+     * The ID of the pack's banner image
+     * @type {?Snowflake}
+     */
+    this.bannerID = data.banner_asset_id || null;
+
+    /**
+     * The stickers in the pack
+     * @type {Collection<Snowflake, Sticker>}
+     */
+    this.stickers = new Collection();
+    for (const sticker of data.stickers || []) this.stickers.set(sticker.id, new Sticker(this.client, sticker));
+  }
+
+  /**
+   * The timestamp the sticker pack was created at
+   * @type {number}
+   * @readonly
+   */
+  get createdTimestamp() {
+    return Snowflake.deconstruct(this.id).timestamp;
+  }
+
+  /**
+   * The time the sticker pack was created at
+   * @type {Date}
+   * @readonly
+   */
+  get createdAt() {
+    return new Date(this.createdTimestamp);
+  }
+
+  /**
+   * The sticker shown as the pack's icon
+   * @type {?Sticker}
+   * @readonly
+   */
+  get coverSticker() {
+    return this.coverStickerID ? this.stickers.get(this.coverStickerID) || null : null;
+  }
+
+  /**
+   * The URL of the pack's banner image
+   * @type {?string}
+   * @readonly
+   */
+  get bannerURL() {
+    if (!this.bannerID) return null;
+    return Constants.Endpoints.CDN(this.client.options.http.cdn).StickerPackBanner(this.bannerID);
+  }
+}
+
+module.exports = StickerPack;
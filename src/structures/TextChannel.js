@@ -2,6 +2,7 @@
 
 const GuildChannel = require('./GuildChannel');
 const TextBasedChannel = require('./interfaces/TextBasedChannel');
+const ThreadManager = require('../client/ThreadManager');
 const Collection = require('../util/Collection');
 
 /**
@@ -17,8 +18,14 @@ class TextChannel extends GuildChannel {
      * A collection containing the messages sent to this channel
      * @type {Collection<Snowflake, Message>}
      */
-    this.messages = new Collection();
+    this.messages = this.client._makeCache('messages', this);
     this._typing = new Map();
+
+    /**
+     * The threads of the channel
+     * @type {ThreadManager}
+     */
+    this.threads = new ThreadManager(this);
   }
 
   setup(data) {
@@ -0,0 +1,352 @@
+'use strict';
+
+const Channel = require('./Channel');
+const ThreadMember = require('./ThreadMember');
+const TextBasedChannel = require('./interfaces/TextBasedChannel');
+const Collection = require('../util/Collection');
+const Constants = require('../util/Constants');
+
+/**
+ * The types of threads, mapped by their channel types
+ * @type {Object<number, string>}
+ * @private
+ */
+const ThreadTypes = {
+  [Constants.ChannelTypes.NEWS_THREAD]: 'news_thread',
+  [Constants.ChannelTypes.PUBLIC_THREAD]: 'public_thread',
+  [Constants.ChannelTypes.PRIVATE_THREAD]: 'private_thread',
+};
+
+/**
+ * Represents a thread of a guild text or news channel on Discord.
+ * @extends {Channel}
+ * @implements {TextBasedChannel}
+ */
+class ThreadChannel extends Channel {
+  constructor(guild, data) {
+    super(guild.client, data);
+
+    /**
+     * The guild the thread is in
+     * @type {Guild}
+     */
+    this.guild = guild;
+
+    /**
+     * A collection containing the messages sent to this thread
+     * @type {Collection<Snowflake, Message>}
+     */
+    this.messages = this.client._makeCache('messages', this);
+    this._typing = new Map();
+  }
+
+  setup(data) {
+    super.setup(data);
+
+    this.type = ThreadTypes[data.type] || this.type;
+
+    /**
+     * The name of the thread
+     * @type {string}
+     */
+    this.name = data.name;
+
+    /**
+     * The ID of the channel the thread was created in
+     * @type {Snowflake}
+     */
+    this.parentID = data.parent_id || this.parentID;
+
+    /**
+     * The ID of the user that created the thread
+     * @type {?Snowflake}
+     */
+    this.ownerID = data.owner_id || this.ownerID || null;
+
+    /**
+     * The ID of the last message sent in this thread, if one was sent
+     * @type {?Snowflake}
+     */
+    this.lastMessageID = data.last_message_id;
+
+    /**
+     * The timestamp when the last pinned message was pinned, if there was one
+     * @type {?number}
+     */
+    this.lastPinTimestamp = data.last_pin_timestamp ? new Date(data.last_pin_timestamp).getTime() : null;
+
+    /**
+     * The ratelimit per user for this thread in seconds
+     * @type {number}
+     */
+    this.rateLimitPerUser = data.rate_limit_per_user || 0;
+
+    /**
+     * The approximate number of messages in the thread, stops counting at 50
+     * @type {?number}
+     */
+    this.messageCount = typeof data.message_count === 'number' ? data.message_count : null;
+
+    /**
+     * The approximate number of members in the thread, stops counting at 50
+     * @type {?number}
+     */
+    this.memberCount = typeof data.member_count === 'number' ? data.member_count : null;
+
+    if (!this.members) {
+      /**
+       * The cached members of the thread, mapped by their user ID
+       * @type {Collection<Snowflake, ThreadMember>}
+       */
+      this.members = new Collection();
+
+      /**
+       * Whether the client user is a member of the thread
+       * @type {boolean}
+       */
+      this.joined = false;
+    }
+    if (data.member) {
+      this._addMember(data.member);
+      this.joined = true;
+    }
+
+    const metadata = data.thread_metadata;
+    if (metadata) {
+      /**
+       * Whether the thread is archived
+       * @type {boolean}
+       */
+      this.archived = Boolean(metadata.archived);
+
+      /**
+       * How long the thread stays active without new messages before it is archived (in minutes)
+       * @type {number}
+       */
+      this.autoArchiveDuration = metadata.auto_archive_duration;
+
+      /**
+       * The timestamp the thread was last archived or unarchived at
+       * @type {?number}
+       */
+      this.archiveTimestamp = metadata.archive_timestamp ? new Date(metadata.archive_timestamp).getTime() : null;
+
+      /**
+       * Whether only members with the `MANAGE_THREADS` permission can unarchive the thread
+       * @type {boolean}
+       */
+      this.locked = Boolean(metadata.locked);
+
+      /**
+       * Whether members without the `MANAGE_THREADS` permission can invite others to the thread (private threads)
+       * @type {?boolean}
+       */
+      this.invitable = this.type === 'private_thread' ? Boolean(metadata.invitable) : null;
+    }
+  }
+
+  /**
+   * Adds a member to the cached members of the thread.
+   * @param {Object} data The raw data of the member
+   * @returns {ThreadMember}
+   * @private
+   */
+  _addMember(data) {
+    const existing = this.members.get(data.user_id || this.client.user.id);
+    if (existing) {
+      existing.setup(data);
+      return existing;
+    }
+    const member = new ThreadMember(this, data);
+    this.members.set(member.id, member);
+    return member;
+  }
+
+  /**
+   * The channel the thread was created in
+   * @type {?(TextChannel|NewsChannel)}
+   * @readonly
+   */
+  get parent() {
+    return this.guild.channels.get(this.parentID) || null;
+  }
+
+  /**
+   * The time the thread was last archived or unarchived at
+   * @type {?Date}
+   * @readonly
+   */
+  get archivedAt() {
+    return this.archiveTimestamp ? new Date(this.archiveTimestamp) : null;
+  }
+
+  /**
+   * Gets the overall set of permissions for a member or role in this thread, which are those of its parent channel.
+   * @param {GuildMemberResolvable|RoleResolvable} memberOrRole The member or role to obtain the overall permissions for
+   * @returns {?Permissions}
+   */
+  permissionsFor(memberOrRole) {
+    return this.parent ? this.parent.permissionsFor(memberOrRole) : null;
+  }
+
+  /**
+   * The data for editing a thread.
+   * @typedef {Object} ThreadEditData
+   * @property {string} [name] The name of the thread
+   * @property {boolean} [archived] Whether the thread is archived
+   * @property {number} [autoArchiveDuration] How long the thread stays active without new messages before it is
+   * archived (in minutes, either 60, 1440, 4320 or 10080)
+   * @property {boolean} [locked] Whether only members with the `MANAGE_THREADS` permission can unarchive the thread
+   * @property {boolean} [invitable] Whether members can invite others to the thread (private threads)
+   * @property {number} [rateLimitPerUser] The ratelimit per user for the thread in seconds
+   */
+
+  /**
+   * Edits the thread.
+   * @param {ThreadEditData} data The new data for the thread
+   * @param {string} [reason] Reason for editing this thread
+   * @returns {Promise<ThreadChannel>}
+   * @example
+   * // Rename and lock a thread
+   * thread.edit({ name: 'resolved', locked: true })
+   *   .then(updated => console.log(`Thread is now called ${updated.name}`))
+   *   .catch(console.error);
+   */
+  edit(data, reason) {
+    return this.client.rest.methods.updateThread(this, data, reason);
+  }
+
+  /**
+   * Sets a new name for the thread.
+   * @param {string} name The new name of the thread
+   * @param {string} [reason] Reason for changing the name of the thread
+   * @returns {Promise<ThreadChannel>}
+   */
+  setName(name, reason) {
+    return this.edit({ name }, reason);
+  }
+
+  /**
+   * Archives or unarchives the thread.
+   * @param {boolean} [archived=true] Whether the thread should be archived
+   * @param {string} [reason] Reason for archiving or unarchiving the thread
+   * @returns {Promise<ThreadChannel>}
+   */
+  setArchived(archived, reason) { if(archived===undefined)archived = true;
+    return this.edit({ archived }, reason);
+  }
+
+  /**
+   * Locks or unlocks the thread, only members with the `MANAGE_THREADS` permission can unarchive locked threads.
+   * @param {boolean} [locked=true] Whether the thread should be locked
+   * @param {string} [reason] Reason for locking or unlocking the thread
+   * @returns {Promise<ThreadChannel>}
+   */
+  setLocked(locked, reason) { if(locked===undefined)locked = true;
+    return this.edit({ locked }, reason);
+  }
+
+  /**
+   * Sets how long the thread stays active without new messages before it is archived.
+   * @param {number} autoArchiveDuration The duration in minutes, either 60, 1440, 4320 or 10080
+   * @param {string} [reason] Reason for changing the duration
+   * @returns {Promise<ThreadChannel>}
+   */
+  setAutoArchiveDuration(autoArchiveDuration, reason) {
+    return this.edit({ autoArchiveDuration }, reason);
+  }
+
+  /**
+   * Makes the client user join the thread.
+   * @returns {Promise<ThreadChannel>}
+   */
+  join() {
+    return this.client.rest.methods.addThreadMember(this, '@me');
+  }
+
+  /**
+   * Makes the client user leave the thread.
+   * @returns {Promise<ThreadChannel>}
+   */
+  leave() {
+    return this.client.rest.methods.removeThreadMember(this, '@me');
+  }
+
+  /**
+   * Adds a member to the thread.
+   * @param {UserResolvable} user The user to add
+   * @returns {Promise<ThreadChannel>}
+   */
+  addMember(user) {
+    user = this.client.resolver.resolveUserID(user);
+    if (!user) return Promise.reject(new TypeError('The user to add could not be resolved.'));
+    return this.client.rest.methods.addThreadMember(this, user);
+  }
+
+  /**
+   * Removes a member from the thread.
+   * @param {UserResolvable} user The user to remove
+   * @returns {Promise<ThreadChannel>}
+   */
+  removeMember(user) {
+    user = this.client.resolver.resolveUserID(user);
+    if (!user) return Promise.reject(new TypeError('The user to remove could not be resolved.'));
+    return this.client.rest.methods.removeThreadMember(this, user);
+  }
+
+  /**
+   * Fetches the members of the thread.
+   * <info>This requires the `GUILD_MEMBERS` intent.</info>
+   * @returns {Promise<Collection<Snowflake, ThreadMember>>}
+   */
+  fetchMembers() {
+    return this.client.rest.methods.getThreadMembers(this);
+  }
+
+  /**
+   * Deletes the thread.
+   * @param {string} [reason] Reason for deleting the thread
+   * @returns {Promise<ThreadChannel>}
+   */
+  delete(reason) {
+    return this.client.rest.methods.deleteChannel(this, reason);
+  }
+
+  /**
+   * When concatenated with a string, this automatically returns the thread's mention instead of the ThreadChannel
+   * object.
+   * @returns {string}
+   */
+  toString() {
+    return `<#${this.id}>`;
+  }
+
+  // These are here only for documentation purposes - they are implemented by TextBasedChannel
+  /* eslint-disable no-empty-function */
+  get lastMessage() {}
+  get lastPinAt() {}
+  send() { }
+  sendMessage() { }
+  sendEmbed() { }
+  sendFile() { }
+  sendFiles() { }
+  sendCode() { }
+  fetchMessage() { }
+  fetchMessages() { }
+  fetchPinnedMessages() { }
+  search() { }
+  startTyping() { }
+  stopTyping() { }
+  get typing() { }
+  get typingCount() { }
+  createCollector() { }
+  createMessageCollector() { }
+  awaitMessages() { }
+  bulkDelete() { }
+  acknowledge() { }
+  _cacheMessage() { }
+}
+
+TextBasedChannel.applyToClass(ThreadChannel, true);
+
+module.exports = ThreadChannel;
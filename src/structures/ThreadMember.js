@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Represents a member of a thread on Discord.
+ */
+class ThreadMember {
+  constructor(thread, data) {
+    /**
+     * The client that instantiated the thread member
+     * @name ThreadMember#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: thread.client });
+
+    /**
+     * The thread the member is in
+     * @type {ThreadChannel}
+     */
+    this.thread = thread;
+
+    /**
+     * The ID of the user of the member
+     * @type {Snowflake}
+     */
+    this.id = data.user_id || this.client.user.id;
+
+    if (data.member && !thread.guild.members.has(this.id)) {
+      thread.guild._addMember(Object.assign({}, data.member, { user: data.member.user || { id: this.id } }), false);
+    }
+
+    this.setup(data);
+  }
+
+  setup(data) {
+    /**
+     * The timestamp the member joined the thread at
+     * @type {?number}
+     */
+    this.joinedTimestamp = data.join_timestamp ? new Date(data.join_timestamp).getTime() : null;
+
+    /**
+     * The flags of the member, used for notifications
+     * @type {number}
+     */
+    this.flags = data.flags || 0;
+  }
+
+  /**
+   * The time the member joined the thread at
+   * @type {?Date}
+   * @readonly
+   */
+  get joinedAt() {
+    return this.joinedTimestamp ? new Date(this.joinedTimestamp) : null;
+  }
+
+  /**
+   * The user of the member, if cached
+   * @type {?User}
+   * @readonly
+   */
+  get user() {
+    return this.client.users.get(this.id) || null;
+  }
+
+  /**
+   * The guild member of the member, if cached
+   * @type {?GuildMember}
+   * @readonly
+   */
+  get guildMember() {
+    return this.thread.guild.members.get(this.id) || null;
+  }
+
+  /**
+   * Removes the member from the thread.
+   * @returns {Promise<ThreadMember>}
+   */
+  remove() {
+    return this.client.rest.methods.removeThreadMember(this.thread, this.id).then(() => this);
+  }
+
+  /**
+   * When concatenated with a string, this automatically returns the user's mention instead of the ThreadMember
+   * object.
+   * @returns {string}
+   */
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+module.exports = ThreadMember;
@@ -83,6 +83,23 @@ class User {
     if (data.token) this.client.token = data.token;
   }
 
+  /**
+   * Whether this user is a partial, only containing its ID
+   * @type {boolean}
+   * @readonly
+   */
+  get partial() {
+    return typeof this.username !== 'string';
+  }
+
+  /**
+   * Fetches this user, filling it in if it is partial.
+   * @returns {Promise<User>}
+   */
+  fetch() {
+    return this.client.rest.methods.getUser(this.id, true);
+  }
+
   /**
    * The timestamp the user was created at
    * @type {number}
@@ -1,7 +1,6 @@
 'use strict';
 
 const EventEmitter = require('events');
-const path = require('path');
 const Util = require('../util/Util');
 const Attachment = require('./Attachment');
 const RichEmbed = require('./RichEmbed');
@@ -130,15 +129,17 @@ class Webhook extends EventEmitter {
    * @property {string} [avatarURL] Avatar URL override for the message
    * @property {boolean} [tts=false] Whether or not the message should be spoken aloud
    * @property {string} [nonce=''] The nonce for the message
-   * @property {Array<RichEmbed|Object>} [embeds] An array of embeds for the message
+   * @property {Array<RichEmbed|MessageEmbed|Object>} [embeds] An array of up to 10 embeds for the message
    * (see [here](https://discord.com/developers/docs/resources/channel#embed-object) for more details)
    * @property {boolean} [disableEveryone=this.client.options.disableEveryone] Whether or not @everyone and @here
    * should be replaced with plain-text
    * @property {FileOptions|BufferResolvable|Attachment} [file] A file to send with the message **(deprecated)**
-   * @property {FileOptions[]|BufferResolvable[]|Attachment[]} [files] Files to send with the message
+   * @property {FileOptions[]|BufferResolvable[]|Attachment[]} [files] Up to 10 files to send with the message
    * @property {string|boolean} [code] Language for optional codeblock formatting to apply
    * @property {boolean|SplitOptions} [split=false] Whether or not the message should be split into multiple messages if
    * it exceeds the character limit. If an object is provided, these are the options for splitting the message.
+   * @property {Array<MessageActionRow|Object>} [components] Action rows of components to send with the message
+   * (only for webhooks owned by the application)
    */
 
   /**
@@ -250,34 +251,11 @@ class Webhook extends EventEmitter {
       else options.files = files;
     }
 
-    if (options.embeds) options.embeds = options.embeds.map(e => new RichEmbed(e).toJSON());
+    if (options.embeds) options.embeds = options.embeds.map(e => RichEmbed.from(e).toJSON());
 
     if (options.files) {
-      for (let i = 0; i < options.files.length; i++) {
-        let file = options.files[i];
-        if (typeof file === 'string' || Buffer.isBuffer(file)) file = { attachment: file };
-        if (!file.name) {
-          if (typeof file.attachment === 'string') {
-            file.name = path.basename(file.attachment);
-          } else if (file.attachment && file.attachment.path) {
-            file.name = path.basename(file.attachment.path);
-          } else if (file instanceof Attachment) {
-            file = { attachment: file.file, name: path.basename(file.file) || 'file.jpg' };
-          } else {
-            file.name = 'file.jpg';
-          }
-        } else if (file instanceof Attachment) {
-          file = file.file;
-        }
-        options.files[i] = file;
-      }
-
-      return Promise.all(options.files.map(file =>
-        this.client.resolver.resolveFile(file.attachment).then(resource => {
-          file.file = resource;
-          return file;
-        })
-      )).then(files => this.client.rest.methods.sendWebhookMessage(this, content, options, files));
+      return this.client.resolver.resolveFiles(options.files)
+        .then(files => this.client.rest.methods.sendWebhookMessage(this, content, options, files));
     }
 
     return this.client.rest.methods.sendWebhookMessage(this, content, options);
@@ -1,9 +1,9 @@
 'use strict';
 
-const path = require('path');
 const Message = require('../Message');
 const MessageCollector = require('../MessageCollector');
 const Collection = require('../../util/Collection');
+const LimitedCollection = require('../../util/LimitedCollection');
 const Attachment = require('../../structures/Attachment');
 const RichEmbed = require('../../structures/RichEmbed');
 const Snowflake = require('../../util/Snowflake');
@@ -47,20 +47,24 @@ class TextBasedChannel {
    * @property {string} [nonce=''] The nonce for the message
    * @property {RichEmbed|Object} [embed] An embed for the message
    * (see [here](https://discord.com/developers/docs/resources/channel#embed-object) for more details)
+   * @property {Array<RichEmbed|MessageEmbed|Object>} [embeds] Up to 10 embeds for the message
    * @property {boolean} [disableEveryone=this.client.options.disableEveryone] Whether or not @everyone and @here
    * should be replaced with plain-text
    * @property {FileOptions|BufferResolvable|Attachment} [file] A file to send with the message **(deprecated)**
-   * @property {FileOptions[]|BufferResolvable[]|Attachment[]} [files] Files to send with the message
+   * @property {FileOptions[]|BufferResolvable[]|Attachment[]} [files] Up to 10 files to send with the message
    * @property {string|boolean} [code] Language for optional codeblock formatting to apply
    * @property {boolean|SplitOptions} [split=false] Whether or not the message should be split into multiple messages if
    * it exceeds the character limit. If an object is provided, these are the options for splitting the message
    * @property {UserResolvable} [reply] User to reply to (prefixes the message with a mention, except in DMs)
+   * @property {Array<MessageActionRow|Object>} [components] Action rows of components to send with the message
    */
 
   /**
    * @typedef {Object} FileOptions
-   * @property {BufferResolvable} attachment File to attach
+   * @property {BufferResolvable|Stream} attachment File to attach
    * @property {string} [name='file.jpg'] Filename of the attachment
+   * @property {string} [description] Description of the attachment, shown as its alt text
+   * @property {boolean} [spoiler=false] Whether the attachment is a spoiler (prefixes its name with `SPOILER_`)
    */
 
   /**
@@ -133,14 +137,14 @@ class TextBasedChannel {
     }
     options.reply = reply;
 
-    if (options.embed) {
-      if (options.embed.file) {
-        if (options.files) options.files.push(options.embed.file);
-        else options.files = [options.embed.file];
+    for (const embed of (options.embeds || []).concat(options.embed || [])) {
+      if (embed.file) {
+        if (options.files) options.files.push(embed.file);
+        else options.files = [embed.file];
       }
-      if (options.embed.files) {
-        if (options.files) options.files = options.files.concat(options.embed.files);
-        else options.files = options.embed.files;
+      if (embed.files) {
+        if (options.files) options.files = options.files.concat(embed.files);
+        else options.files = embed.files;
       }
     }
 
@@ -149,34 +153,12 @@ class TextBasedChannel {
       else options.files = [options.file];
     }
 
-    if (options.embed) options.embed = new RichEmbed(options.embed).toJSON();
+    if (options.embed) options.embed = RichEmbed.from(options.embed).toJSON();
+    if (options.embeds) options.embeds = options.embeds.map(embed => RichEmbed.from(embed).toJSON());
 
     if (options.files) {
-      for (let i = 0; i < options.files.length; i++) {
-        let file = options.files[i];
-        if (!file || typeof file === 'string' || Buffer.isBuffer(file)) file = { attachment: file };
-        if (!file.name) {
-          if (typeof file.attachment === 'string') {
-            file.name = path.basename(file.attachment);
-          } else if (file.attachment && file.attachment.path) {
-            file.name = path.basename(file.attachment.path);
-          } else if (file instanceof Attachment) {
-            file = { attachment: file.file, name: path.basename(file.file) || 'file.jpg' };
-          } else {
-            file.name = 'file.jpg';
-          }
-        } else if (file instanceof Attachment) {
-          file = file.file;
-        }
-        options.files[i] = file;
-      }
-
-      return Promise.all(options.files.map(file =>
-        this.client.resolver.resolveFile(file.attachment).then(resource => {
-          file.file = resource;
-          return file;
-        })
-      )).then(files => this.client.rest.methods.sendMessage(this, content, options, files));
+      return this.client.resolver.resolveFiles(options.files)
+        .then(files => this.client.rest.methods.sendMessage(this, content, options, files));
     }
 
     return this.client.rest.methods.sendMessage(this, content, options);
@@ -529,9 +511,12 @@ class TextBasedChannel {
   }
 
   _cacheMessage(message) {
-    const maxSize = this.client.options.messageCacheMaxSize;
+    const maxSize = this.client._cacheLimit('messages');
     if (maxSize === 0) return null;
-    if (this.messages.size >= maxSize && maxSize > 0) this.messages.delete(this.messages.firstKey());
+    // A LimitedCollection enforces its own limit, but caches from the makeCache option may not
+    if (!(this.messages instanceof LimitedCollection) && maxSize > 0 && this.messages.size >= maxSize) {
+      this.messages.delete(this.messages.firstKey());
+    }
     this.messages.set(message.id, message);
     return message;
   }
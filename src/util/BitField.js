@@ -1,5 +1,7 @@
 'use strict';
 
+const Long = require('long');
+
 /**
  * Data structure that makes it easy to interact with a bitfield.
  */
@@ -236,7 +238,7 @@ class BitField {
   /**
    * Data that can be resolved to give a bitfield. This can be:
    * * A string (see {@link BitField.FLAGS})
-   * * A bit number
+   * * A bit number, or a string of one as sent by the API
    * * An instance of BitField
    * * An Array of BitFieldResolvable
    * @typedef {string|number|BitField|BitFieldResolvable[]} BitFieldResolvable
@@ -252,6 +254,8 @@ class BitField {
     if (bit instanceof BitField) return bit.bitfield;
     if (Array.isArray(bit)) return bit.map(p => this.resolve(p)).reduce((prev, p) => prev | p, 0);
     if (typeof bit === 'string' && typeof this.FLAGS[bit] !== 'undefined') return this.FLAGS[bit];
+    // The API sends bitfields as strings, which can have bits set above those that fit in a bitwise number
+    if (typeof bit === 'string' && /^\d+$/.test(bit)) return Long.fromString(bit).low & 0x7FFFFFFF;
     throw new RangeError('Invalid bitfield flag or number.');
   }
 }
@@ -1,6 +1,7 @@
 'use strict';
 
 exports.Package = require('../../package.json');
+const Intents = require('./Intents');
 
 /**
  * Options for a client.
@@ -11,6 +12,8 @@ exports.Package = require('../../package.json');
  * and is therefore slightly riskier to use.
  * @property {number} [shardId=0] ID of the shard to run
  * @property {number} [shardCount=0] Total number of shards
+ * @property {number|number[]|string} [shards] ID or IDs of the shards this client should run, each over its own
+ * connection, or `'auto'` to run the number of shards recommended by Discord (defaults to `shardId`)
  * @property {number} [messageCacheMaxSize=200] Maximum number of messages to cache per channel
  * (-1 or Infinity for unlimited - don't do this without message sweeping, otherwise memory usage will climb
  * indefinitely)
@@ -18,6 +21,18 @@ exports.Package = require('../../package.json');
  * sweepable (in seconds, 0 for forever)
  * @property {number} [messageSweepInterval=0] How frequently to remove messages from the cache that are older than
  * the message cache lifetime (in seconds, 0 for never)
+ * @property {Function} [makeCache] Function creating the caches of users, presences, members and messages, given
+ * the name of the cache (`users`, `presences`, `members` or `messages`) and the structure holding it. It must return
+ * a {@link Collection}. Message caches that are not a {@link LimitedCollection} are still trimmed to their limit
+ * whenever a message is cached
+ * @property {Object<string, number>} [cacheLimits={}] Maximum number of entries to keep in each cache, mapped by the
+ * name of the cache (the `messages` limit defaults to `messageCacheMaxSize`). Caches over their limit lose their
+ * oldest entries when swept
+ * @property {number} [cacheSweepInterval=0] How frequently to sweep inactive users and offline presences out of the
+ * caches, and to trim caches to their limits (in seconds, 0 for never)
+ * @property {?CacheAdapter} [cacheAdapter=null] Adapter storing the raw data of guilds, channels and roles, which is
+ * restored into the caches when logging in, before the client is ready, and looked up for guilds and channels that
+ * are not cached
  * @property {boolean} [fetchAllMembers=false] Whether to cache all guild members and users upon startup, as well as
  * upon joining a guild (should be avoided whenever possible)
  * @property {boolean} [disableEveryone=false] Default value for {@link MessageOptions#disableEveryone}
@@ -28,20 +43,36 @@ exports.Package = require('../../package.json');
  * requests (higher values will reduce rate-limiting errors on bad connections)
  * @property {number} [retryLimit=Infinity] How many times to retry on 5XX errors
  * (Infinity for indefinite amount of retries)
+ * @property {number} [restSweepInterval=60] How frequently to remove REST request handlers that have nothing left
+ * to do (in seconds, 0 for never)
+ * @property {number} [invalidRequestWarningInterval=0] The number of invalid REST requests (401, 403 and 429
+ * responses) between each {@link Client#invalidRequestWarning} event (0 for never)
  * @property {WSEventType[]} [disabledEvents] An array of disabled websocket events. Events in this array will not be
  * processed, potentially resulting in performance improvements for larger bots. Only disable events you are
  * 100% certain you don't need, as many are important, but not obviously so. The safest one to disable with the
  * most impact is typically `TYPING_START`.
  * @property {WebsocketOptions} [ws] Options for the WebSocket
  * @property {HTTPOptions} [http] HTTP options
+ * @property {string} [prefix=''] The default prefix of commands, see {@link CommandRegistry}. Messages are only
+ * handled as commands when a prefix is set, either with this option or for a guild
+ * @property {IntentsResolvable} [intents=Intents.DEFAULT] Intents to enable for this connection, either as names of
+ * {@link Intents.FLAGS} or as a bitfield
+ * @property {PartialType[]} [partials] Structures that may be emitted as partials when they are not cached, such
+ * as reactions to messages sent before the client was ready. Partials only contain their ID and the data of the
+ * event, and can be filled in using their `fetch()` method
  */
 exports.DefaultOptions = {
   apiRequestMethod: 'sequential',
   shardId: 0,
   shardCount: 0,
+  shards: null,
   messageCacheMaxSize: 200,
   messageCacheLifetime: 0,
   messageSweepInterval: 0,
+  makeCache: null,
+  cacheLimits: {},
+  cacheSweepInterval: 0,
+  cacheAdapter: null,
   fetchAllMembers: false,
   disableEveryone: false,
   sync: false,
@@ -49,6 +80,9 @@ exports.DefaultOptions = {
   retryLimit: Infinity,
   disabledEvents: [],
   restTimeOffset: 500,
+  restSweepInterval: 60,
+  invalidRequestWarningInterval: 0,
+  intents: Intents.DEFAULT,
   partials: [],
 
   /**
@@ -57,11 +91,14 @@ exports.DefaultOptions = {
    * @property {number} [large_threshold=250] Number of members in a guild to be considered large
    * @property {boolean} [compress=true] Whether to compress data sent on the connection
    * (defaults to `false` for browsers)
+   * @property {boolean} [transportCompression=false] Whether to compress the whole connection with a zlib stream,
+   * which saves a lot more bandwidth than `compress` (requires the `zlib-sync` package)
+   * @property {number} [version=9] Gateway version to connect with (thread events require version 9 or higher)
    */
   ws: {
     large_threshold: 250,
     compress: require('os').platform() !== 'browser',
-	intents: 16383,
+    transportCompression: false,
     properties: {
       $os: process ? process.platform : 'discord.js',
       $browser: 'discord.js',
@@ -69,19 +106,19 @@ exports.DefaultOptions = {
       $referrer: '',
       $referring_domain: '',
     },
-    version: 6,
+    version: 9,
   },
 
   /**
    * HTTP options
    * @typedef {Object} HTTPOptions
-   * @property {number} [version=7] API version to use
+   * @property {number} [version=9] API version to use
    * @property {string} [api='https://discord.com/api'] Base url of the API
    * @property {string} [cdn='https://cdn.discord.com'] Base url of the CDN
    * @property {string} [invite='https://discord.gg'] Base url of invites
    */
   http: {
-    version: 8,
+    version: 9,
     host: 'https://discord.com',
     cdn: 'https://cdn.discordapp.com',
   },
@@ -95,6 +132,15 @@ function keyMirror(arr) {
 	return ret;
 }
 
+/**
+ * The types of structures that can be partial:
+ * * USER
+ * * CHANNEL (only DM channels)
+ * * GUILD_MEMBER
+ * * MESSAGE
+ * * REACTION
+ * @typedef {string} PartialType
+ */
 exports.PartialTypes = keyMirror(['USER', 'CHANNEL', 'GUILD_MEMBER', 'MESSAGE', 'REACTION']);
 
 exports.WSCodes = {
@@ -102,6 +148,8 @@ exports.WSCodes = {
   4004: 'Tried to identify with an invalid token',
   4010: 'Sharding data provided was invalid',
   4011: 'Shard would be on too many guilds if connected',
+  4013: 'Invalid intent(s) provided',
+  4014: 'Disallowed intent(s) provided',
 };
 
 exports.Errors = {
@@ -115,7 +163,11 @@ exports.Errors = {
   BAD_LOGIN: 'Incorrect login details were provided.',
   INVALID_SHARD: 'Invalid shard settings were provided.',
   SHARDING_REQUIRED: 'This session would have handled too many guilds - Sharding is required.',
+  INVALID_INTENTS: 'Invalid intent(s) were provided.',
+  DISALLOWED_INTENTS: 'Privileged intent(s) were provided that are not enabled or whitelisted for the application. ' +
+    'Enable them in the developer portal, or remove them from the intents option.',
   INVALID_TOKEN: 'An invalid token was provided.',
+  SESSION_START_LIMIT: 'Not enough session starts are left to identify all shards.',
 };
 
 const Endpoints = exports.Endpoints = {
@@ -154,6 +206,15 @@ const Endpoints = exports.Endpoints = {
       integrations: `${base}/integrations`,
       members: `${base}/members`,
       channels: `${base}/channels`,
+      activeThreads: `${base}/threads/active`,
+      scheduledEvents: `${base}/scheduled-events`,
+      ScheduledEvent: eventID => {
+        const ebase = `${base}/scheduled-events/${eventID}`;
+        return {
+          toString: () => ebase,
+          users: `${ebase}/users`,
+        };
+      },
       invites: `${base}/invites`,
       roles: `${base}/roles`,
       emojis: `${base}/emojis`,
@@ -179,8 +240,11 @@ const Endpoints = exports.Endpoints = {
         };
       },
       Integration: id => `${base}/integrations/${id}`,
+      VoiceState: userID => `${base}/voice-states/${userID}`,
     };
   },
+  stageInstances: '/stage-instances',
+  StageInstance: channelID => `/stage-instances/${channelID.id || channelID}`,
   channels: '/channels',
   Channel: channelID => {
     if (channelID.id) channelID = channelID.id;
@@ -197,6 +261,11 @@ const Endpoints = exports.Endpoints = {
       webhooks: `${base}/webhooks`,
       search: `${base}/messages/search`,
       pins: `${base}/pins`,
+      threads: `${base}/threads`,
+      archivedThreads: type => `${base}/threads/archived/${type}`,
+      joinedArchivedThreads: `${base}/users/@me/threads/archived/private`,
+      threadMembers: `${base}/thread-members`,
+      ThreadMember: userID => `${base}/thread-members/${userID}`,
 	  follow: `${base}/followers`,
       Icon: (root, hash) => Endpoints.CDN(root).GDMIcon(channelID, hash),
       Pin: messageID => `${base}/pins/${messageID}`,
@@ -207,6 +276,7 @@ const Endpoints = exports.Endpoints = {
         return {
           toString: () => mbase,
           reactions: `${mbase}/reactions`,
+          threads: `${mbase}/threads`,
           ack: `${mbase}/ack`,
           Reaction: emoji => {
             const rbase = `${mbase}/reactions/${emoji}`;
@@ -233,6 +303,8 @@ const Endpoints = exports.Endpoints = {
       GDMIcon: (channelID, hash) => `${root}/channel-icons/${channelID}/${hash}.jpg?size=2048`,
       Splash: (guildID, hash) => `${root}/splashes/${guildID}/${hash}.jpg`,
       TeamIcon: (teamID, hash) => `${root}/team-icons/${teamID}/${hash}.jpg`,
+      Sticker: (stickerID, format) => `${root}/stickers/${stickerID}.${format || 'png'}`,
+      StickerPackBanner: bannerID => `${root}/app-assets/710982414301790216/store/${bannerID}.png`,
     };
   },
   OAUTH2: {
@@ -256,7 +328,18 @@ const Endpoints = exports.Endpoints = {
   Invite: inviteID => `/invites/${inviteID}?with_counts=true`,
   inviteLink: id => `https://discord.gg/${id}`,
   Webhook: (webhookID, token) => `/webhooks/${webhookID}${token ? `/${token}` : ''}`,
+  WebhookMessage: (webhookID, token, messageID) => `/webhooks/${webhookID}/${token}/messages/${messageID}`,
+  Interaction: (interactionID, token) => {
+    const base = `/interactions/${interactionID}/${token}`;
+    return {
+      toString: () => base,
+      callback: `${base}/callback`,
+    };
+  },
+  Sticker: stickerID => `/stickers/${stickerID}`,
+  stickerPacks: '/sticker-packs',
   Commands: (clientid, guildid) => `/applications/${clientid}${guildid ? ('/guilds/' + guildid) : ''}/commands`,
+  Command: (clientid, guildid, commandid) => `${Endpoints.Commands(clientid, guildid)}/${commandid}`,
 };
 
 
@@ -304,8 +387,69 @@ exports.ChannelTypes = {
   CATEGORY: 4,
   NEWS: 5,
   STORE: 6,
+  NEWS_THREAD: 10,
+  PUBLIC_THREAD: 11,
+  PRIVATE_THREAD: 12,
+  STAGE: 13,
 };
 
+/**
+ * The privacy level of a stage instance:
+ * * PUBLIC
+ * * GUILD_ONLY
+ * @typedef {string} StagePrivacyLevel
+ */
+exports.StagePrivacyLevels = [
+  // They start at 1
+  null,
+  'PUBLIC',
+  'GUILD_ONLY',
+];
+
+/**
+ * The privacy level of a guild scheduled event:
+ * * GUILD_ONLY
+ * @typedef {string} GuildScheduledEventPrivacyLevel
+ */
+exports.GuildScheduledEventPrivacyLevels = [
+  // They start at 2
+  null,
+  null,
+  'GUILD_ONLY',
+];
+
+/**
+ * The status of a guild scheduled event:
+ * * SCHEDULED
+ * * ACTIVE
+ * * COMPLETED
+ * * CANCELED
+ * @typedef {string} GuildScheduledEventStatus
+ */
+exports.GuildScheduledEventStatuses = [
+  // They start at 1
+  null,
+  'SCHEDULED',
+  'ACTIVE',
+  'COMPLETED',
+  'CANCELED',
+];
+
+/**
+ * The type of place a guild scheduled event takes place in:
+ * * STAGE_INSTANCE
+ * * VOICE
+ * * EXTERNAL
+ * @typedef {string} GuildScheduledEventEntityType
+ */
+exports.GuildScheduledEventEntityTypes = [
+  // They start at 1
+  null,
+  'STAGE_INSTANCE',
+  'VOICE',
+  'EXTERNAL',
+];
+
 exports.OPCodes = {
   DISPATCH: 0,
   HEARTBEAT: 1,
@@ -332,6 +476,7 @@ exports.VoiceOPCodes = {
 
 exports.Events = {
   RATE_LIMIT: 'rateLimit',
+  INVALID_REQUEST_WARNING: 'invalidRequestWarning',
   READY: 'ready',
   RESUME: 'resume',
   GUILD_CREATE: 'guildCreate',
@@ -360,7 +505,22 @@ exports.Events = {
   CHANNEL_DELETE: 'channelDelete',
   CHANNEL_UPDATE: 'channelUpdate',
   CHANNEL_PINS_UPDATE: 'channelPinsUpdate',
+  THREAD_CREATE: 'threadCreate',
+  THREAD_DELETE: 'threadDelete',
+  THREAD_UPDATE: 'threadUpdate',
+  THREAD_LIST_SYNC: 'threadListSync',
+  THREAD_MEMBERS_UPDATE: 'threadMembersUpdate',
+  STAGE_INSTANCE_CREATE: 'stageInstanceCreate',
+  STAGE_INSTANCE_UPDATE: 'stageInstanceUpdate',
+  STAGE_INSTANCE_DELETE: 'stageInstanceDelete',
+  GUILD_SCHEDULED_EVENT_CREATE: 'guildScheduledEventCreate',
+  GUILD_SCHEDULED_EVENT_UPDATE: 'guildScheduledEventUpdate',
+  GUILD_SCHEDULED_EVENT_DELETE: 'guildScheduledEventDelete',
+  GUILD_SCHEDULED_EVENT_USER_ADD: 'guildScheduledEventUserAdd',
+  GUILD_SCHEDULED_EVENT_USER_REMOVE: 'guildScheduledEventUserRemove',
   COMMAND: 'command',
+  COMMAND_ERROR: 'commandError',
+  INTERACTION_CREATE: 'interactionCreate',
   MESSAGE_CREATE: 'message',
   MESSAGE_DELETE: 'messageDelete',
   MESSAGE_UPDATE: 'messageUpdate',
@@ -380,6 +540,8 @@ exports.Events = {
   WEBHOOKS_UPDATE: 'webhookUpdate',
   DISCONNECT: 'disconnect',
   RECONNECTING: 'reconnecting',
+  SHARD_READY: 'shardReady',
+  SHARD_ZOMBIE: 'shardZombie',
   ERROR: 'error',
   WARN: 'warn',
   DEBUG: 'debug',
@@ -445,6 +607,19 @@ exports.ActivityFlags = {
  * * CHANNEL_DELETE
  * * CHANNEL_UPDATE
  * * CHANNEL_PINS_UPDATE
+ * * THREAD_CREATE
+ * * THREAD_UPDATE
+ * * THREAD_DELETE
+ * * THREAD_LIST_SYNC
+ * * THREAD_MEMBERS_UPDATE
+ * * STAGE_INSTANCE_CREATE
+ * * STAGE_INSTANCE_UPDATE
+ * * STAGE_INSTANCE_DELETE
+ * * GUILD_SCHEDULED_EVENT_CREATE
+ * * GUILD_SCHEDULED_EVENT_UPDATE
+ * * GUILD_SCHEDULED_EVENT_DELETE
+ * * GUILD_SCHEDULED_EVENT_USER_ADD
+ * * GUILD_SCHEDULED_EVENT_USER_REMOVE
  * * MESSAGE_CREATE
  * * MESSAGE_DELETE
  * * MESSAGE_UPDATE
@@ -463,6 +638,7 @@ exports.ActivityFlags = {
  * * RELATIONSHIP_ADD
  * * RELATIONSHIP_REMOVE
  * * WEBHOOKS_UPDATE
+ * * INTERACTION_CREATE
  * @typedef {string} WSEventType
  */
 exports.WSEvents = {
@@ -489,6 +665,19 @@ exports.WSEvents = {
   CHANNEL_DELETE: 'CHANNEL_DELETE',
   CHANNEL_UPDATE: 'CHANNEL_UPDATE',
   CHANNEL_PINS_UPDATE: 'CHANNEL_PINS_UPDATE',
+  THREAD_CREATE: 'THREAD_CREATE',
+  THREAD_UPDATE: 'THREAD_UPDATE',
+  THREAD_DELETE: 'THREAD_DELETE',
+  THREAD_LIST_SYNC: 'THREAD_LIST_SYNC',
+  THREAD_MEMBERS_UPDATE: 'THREAD_MEMBERS_UPDATE',
+  STAGE_INSTANCE_CREATE: 'STAGE_INSTANCE_CREATE',
+  STAGE_INSTANCE_UPDATE: 'STAGE_INSTANCE_UPDATE',
+  STAGE_INSTANCE_DELETE: 'STAGE_INSTANCE_DELETE',
+  GUILD_SCHEDULED_EVENT_CREATE: 'GUILD_SCHEDULED_EVENT_CREATE',
+  GUILD_SCHEDULED_EVENT_UPDATE: 'GUILD_SCHEDULED_EVENT_UPDATE',
+  GUILD_SCHEDULED_EVENT_DELETE: 'GUILD_SCHEDULED_EVENT_DELETE',
+  GUILD_SCHEDULED_EVENT_USER_ADD: 'GUILD_SCHEDULED_EVENT_USER_ADD',
+  GUILD_SCHEDULED_EVENT_USER_REMOVE: 'GUILD_SCHEDULED_EVENT_USER_REMOVE',
   MESSAGE_CREATE: 'MESSAGE_CREATE',
   MESSAGE_DELETE: 'MESSAGE_DELETE',
   MESSAGE_UPDATE: 'MESSAGE_UPDATE',
@@ -508,6 +697,100 @@ exports.WSEvents = {
   RELATIONSHIP_ADD: 'RELATIONSHIP_ADD',
   RELATIONSHIP_REMOVE: 'RELATIONSHIP_REMOVE',
   WEBHOOKS_UPDATE: 'WEBHOOKS_UPDATE',
+  INTERACTION_CREATE: 'INTERACTION_CREATE',
+};
+
+/**
+ * The type of an interaction:
+ * * PING
+ * * APPLICATION_COMMAND
+ * * MESSAGE_COMPONENT
+ * @typedef {string} InteractionType
+ */
+exports.InteractionTypes = [
+  // They start at 1
+  null,
+  'PING',
+  'APPLICATION_COMMAND',
+  'MESSAGE_COMPONENT',
+];
+
+/**
+ * The type of an interaction response:
+ * * PONG
+ * * CHANNEL_MESSAGE_WITH_SOURCE
+ * * DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE
+ * * DEFERRED_MESSAGE_UPDATE
+ * * UPDATE_MESSAGE
+ * @typedef {string} InteractionResponseType
+ */
+exports.InteractionResponseTypes = {
+  PONG: 1,
+  CHANNEL_MESSAGE_WITH_SOURCE: 4,
+  DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE: 5,
+  DEFERRED_MESSAGE_UPDATE: 6,
+  UPDATE_MESSAGE: 7,
+};
+
+/**
+ * The type of a message component:
+ * * ACTION_ROW
+ * * BUTTON
+ * * SELECT_MENU
+ * @typedef {string} MessageComponentType
+ */
+exports.MessageComponentTypes = [
+  // They start at 1
+  null,
+  'ACTION_ROW',
+  'BUTTON',
+  'SELECT_MENU',
+];
+
+/**
+ * The style of a message button:
+ * * PRIMARY
+ * * SECONDARY
+ * * SUCCESS
+ * * DANGER
+ * * LINK
+ * @typedef {string} MessageButtonStyle
+ */
+exports.MessageButtonStyles = [
+  // They start at 1
+  null,
+  'PRIMARY',
+  'SECONDARY',
+  'SUCCESS',
+  'DANGER',
+  'LINK',
+];
+
+/**
+ * The type of an application command option:
+ * * SUB_COMMAND
+ * * SUB_COMMAND_GROUP
+ * * STRING
+ * * INTEGER
+ * * BOOLEAN
+ * * USER
+ * * CHANNEL
+ * * ROLE
+ * * MENTIONABLE
+ * * NUMBER
+ * @typedef {string} ApplicationCommandOptionType
+ */
+exports.ApplicationCommandOptionTypes = {
+  SUB_COMMAND: 1,
+  SUB_COMMAND_GROUP: 2,
+  STRING: 3,
+  INTEGER: 4,
+  BOOLEAN: 5,
+  USER: 6,
+  CHANNEL: 7,
+  ROLE: 8,
+  MENTIONABLE: 9,
+  NUMBER: 10,
 };
 
 /**
@@ -0,0 +1,84 @@
+'use strict';
+
+const BitField = require('./BitField');
+
+/**
+ * Data structure that makes it easy to calculate intents.
+ * @extends {BitField}
+ */
+class Intents extends BitField {}
+
+/**
+ * Data that can be resolved to give an intents bitfield. This can be:
+ * * A string (see {@link Intents.FLAGS})
+ * * An intents flag
+ * * An instance of Intents
+ * * An array of IntentsResolvable
+ * @typedef {string|number|Intents|IntentsResolvable[]} IntentsResolvable
+ */
+
+/**
+ * Numeric websocket intents. All available properties:
+ * * `GUILDS`
+ * * `GUILD_MEMBERS` (privileged)
+ * * `GUILD_BANS`
+ * * `GUILD_EMOJIS`
+ * * `GUILD_INTEGRATIONS`
+ * * `GUILD_WEBHOOKS`
+ * * `GUILD_INVITES`
+ * * `GUILD_VOICE_STATES`
+ * * `GUILD_PRESENCES` (privileged)
+ * * `GUILD_MESSAGES`
+ * * `GUILD_MESSAGE_REACTIONS`
+ * * `GUILD_MESSAGE_TYPING`
+ * * `DIRECT_MESSAGES`
+ * * `DIRECT_MESSAGE_REACTIONS`
+ * * `DIRECT_MESSAGE_TYPING`
+ * * `GUILD_SCHEDULED_EVENTS`
+ * @type {Object}
+ * @see {@link https://discord.com/developers/docs/topics/gateway#list-of-intents}
+ */
+Intents.FLAGS = {
+  GUILDS: 1 << 0,
+  GUILD_MEMBERS: 1 << 1,
+  GUILD_BANS: 1 << 2,
+  GUILD_EMOJIS: 1 << 3,
+  GUILD_INTEGRATIONS: 1 << 4,
+  GUILD_WEBHOOKS: 1 << 5,
+  GUILD_INVITES: 1 << 6,
+  GUILD_VOICE_STATES: 1 << 7,
+  GUILD_PRESENCES: 1 << 8,
+  GUILD_MESSAGES: 1 << 9,
+  GUILD_MESSAGE_REACTIONS: 1 << 10,
+  GUILD_MESSAGE_TYPING: 1 << 11,
+  DIRECT_MESSAGES: 1 << 12,
+  DIRECT_MESSAGE_REACTIONS: 1 << 13,
+  DIRECT_MESSAGE_TYPING: 1 << 14,
+  GUILD_SCHEDULED_EVENTS: 1 << 16,
+};
+
+/**
+ * Bitfield representing all intents combined
+ * @type {number}
+ */
+Intents.ALL = Object.keys(Intents.FLAGS).reduce((all, p) => all | Intents.FLAGS[p], 0);
+
+/**
+ * Bitfield representing the privileged intents, which have to be enabled for the application in the developer portal
+ * @type {number}
+ */
+Intents.PRIVILEGED = Intents.FLAGS.GUILD_MEMBERS | Intents.FLAGS.GUILD_PRESENCES;
+
+/**
+ * Bitfield representing all non-privileged intents
+ * @type {number}
+ */
+Intents.NON_PRIVILEGED = Intents.ALL & ~Intents.PRIVILEGED;
+
+/**
+ * Bitfield representing the default intents, which are all intents except `DIRECT_MESSAGE_TYPING`
+ * @type {number}
+ */
+Intents.DEFAULT = Intents.ALL & ~Intents.FLAGS.DIRECT_MESSAGE_TYPING;
+
+module.exports = Intents;
@@ -0,0 +1,159 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const Collection = require('./Collection');
+
+/**
+ * Options for a limited collection.
+ * @typedef {Object} LimitedCollectionOptions
+ * @property {number} [maxSize=Infinity] The maximum number of entries of the collection (negative for unlimited)
+ * @property {Function} [keepOverLimit] Function that is given a value and its key, and returns whether the entry
+ * must be kept regardless of the limit
+ * @property {string} [strategy='fifo'] Which entries are evicted first once the collection is full, either `fifo`
+ * (the oldest entries) or `lru` (the least recently used entries)
+ */
+
+/**
+ * A Collection which holds a limited number of entries, evicting old ones to make room for new ones.
+ * <info>With the `lru` strategy, both getting and setting an entry count as using it. Finding the entry to evict
+ * then takes a pass over the collection.</info>
+ * @extends {Collection}
+ */
+class LimitedCollection extends Collection {
+  /**
+   * @param {LimitedCollectionOptions|number} [options={}] Options for the collection, or its maximum size
+   * @param {Iterable} [iterable] Entries to fill the collection with
+   */
+  constructor(options, iterable) {
+    super();
+    if (typeof options === 'number') options = { maxSize: options };
+    options = options || {};
+    EventEmitter.call(this);
+
+    /**
+     * The maximum number of entries of the collection
+     * @type {number}
+     */
+    this.maxSize = typeof options.maxSize === 'number' && options.maxSize >= 0 ? options.maxSize : Infinity;
+
+    /**
+     * Function returning whether an entry must be kept regardless of the limit
+     * @type {?Function}
+     */
+    this.keepOverLimit = options.keepOverLimit || null;
+
+    /**
+     * Which entries are evicted first once the collection is full, either `fifo` or `lru`
+     * @type {string}
+     */
+    this.strategy = options.strategy === 'lru' ? 'lru' : 'fifo';
+
+    /**
+     * The last time each entry was used, for the `lru` strategy
+     * @name LimitedCollection#_uses
+     * @type {Map<*, number>}
+     * @private
+     */
+    Object.defineProperty(this, '_uses', { value: new Map() });
+    Object.defineProperty(this, '_tick', { value: 0, writable: true });
+
+    if (iterable) for (const entry of iterable) this.set(entry[0], entry[1]);
+  }
+
+  get(key) {
+    if (this.strategy === 'lru' && this.has(key)) this._uses.set(key, this._tick++);
+    return super.get(key);
+  }
+
+  set(key, value) {
+    if (this.maxSize === 0 && !(this.keepOverLimit && this.keepOverLimit(value, key))) return this;
+    if (!this.has(key)) this.evict(this.size + 1 - this.maxSize);
+    if (this.strategy === 'lru') this._uses.set(key, this._tick++);
+    return super.set(key, value);
+  }
+
+  delete(key) {
+    this._uses.delete(key);
+    return super.delete(key);
+  }
+
+  clear() {
+    this._uses.clear();
+    return super.clear();
+  }
+
+  /**
+   * Evicts entries from the collection, skipping those that must be kept over the limit.
+   * @param {number} [amount=1] The number of entries to evict
+   * @returns {number} The number of evicted entries
+   */
+  evict(amount) { if(amount===undefined)amount = 1;
+    let evicted = 0;
+    while (evicted < amount) {
+      const key = this.strategy === 'lru' ? this._leastRecentlyUsedKey() : this._oldestKey();
+      if (typeof key === 'undefined') break;
+      const value = super.get(key);
+      this.delete(key);
+      evicted++;
+      /**
+       * Emitted whenever an entry is evicted from the collection to make room for another.
+       * @event LimitedCollection#evicted
+       * @param {*} value The value of the evicted entry
+       * @param {*} key The key of the evicted entry
+       */
+      this.emit('evicted', value, key);
+    }
+    return evicted;
+  }
+
+  /**
+   * Creates an identical shallow copy of this collection, with the same options.
+   * @returns {LimitedCollection}
+   */
+  clone() {
+    return new this.constructor({
+      maxSize: this.maxSize,
+      keepOverLimit: this.keepOverLimit,
+      strategy: this.strategy,
+    }, this);
+  }
+
+  /**
+   * Finds the key of the oldest entry that may be evicted.
+   * @returns {*}
+   * @private
+   */
+  _oldestKey() {
+    for (const _arr of this) {
+      const key = _arr[0], value = _arr[1];
+      if (!this.keepOverLimit || !this.keepOverLimit(value, key)) return key;
+    }
+    return undefined;
+  }
+
+  /**
+   * Finds the key of the least recently used entry that may be evicted.
+   * @returns {*}
+   * @private
+   */
+  _leastRecentlyUsedKey() {
+    let found, lastUse = Infinity;
+    for (const _arr of this._uses) {
+      const key = _arr[0], use = _arr[1];
+      if (use >= lastUse) continue;
+      if (this.keepOverLimit && this.keepOverLimit(super.get(key), key)) continue;
+      found = key;
+      lastUse = use;
+    }
+    return found;
+  }
+}
+
+// Evicted entries are emitted, so mix the EventEmitter methods into the collection
+for (const prop of Object.getOwnPropertyNames(EventEmitter.prototype)) {
+  if (prop === 'constructor') continue;
+  const descriptor = Object.getOwnPropertyDescriptor(EventEmitter.prototype, prop);
+  Object.defineProperty(LimitedCollection.prototype, prop, descriptor);
+}
+
+module.exports = LimitedCollection;
@@ -24,6 +24,8 @@ class MessageFlags extends BitField {}
  * * `SUPPRESS_EMBEDS`
  * * `SOURCE_MESSAGE_DELETED`
  * * `URGENT`
+ * * `EPHEMERAL`
+ * * `LOADING`
  * @type {Object}
  * @see {@link https://discord.com/developers/docs/resources/channel#message-object-message-flags}
  */
@@ -33,6 +35,8 @@ MessageFlags.FLAGS = {
   SUPPRESS_EMBEDS: 1 << 2,
   SOURCE_MESSAGE_DELETED: 1 << 3,
   URGENT: 1 << 4,
+  EPHEMERAL: 1 << 6,
+  LOADING: 1 << 7,
 };
 
 module.exports = MessageFlags;
@@ -3,6 +3,7 @@
 const superagent = require('superagent');
 const Constants = require('./Constants');
 const ConstantsHttp = Constants.DefaultOptions.http;
+const GatewayInfo = require('../structures/GatewayInfo');
 
 /**
  * Contains various general-purpose utility methods. These functions are also available on the base `Discord` object.
@@ -80,23 +81,33 @@ class Util {
   }
 
   /**
-   * Gets the recommended shard count from Discord.
+   * Gets the gateway information of a bot from Discord, including its recommended shard count and session start limit.
    * @param {string} token Discord auth token
-   * @param {number} [guildsPerShard=1000] Number of guilds per shard
-   * @returns {Promise<number>} The recommended number of shards
+   * @returns {Promise<GatewayInfo>}
    */
-  static fetchRecommendedShards(token, guildsPerShard) {
+  static fetchGatewayInfo(token) {
     return new Promise((resolve, reject) => {
       if (!token) throw new Error('A token must be provided.');
       superagent.get(`${ConstantsHttp.host}/api/v${ConstantsHttp.version}${Constants.Endpoints.gateway.bot}`)
         .set('Authorization', `Bot ${token.replace(/^Bot\s*/i, '')}`)
         .end((err, res) => {
           if (err) reject(err);
-          resolve(res.body.shards * (1000 / (guildsPerShard === undefined ? 1000 : guildsPerShard)));
+          else resolve(new GatewayInfo(res.body));
         });
     });
   }
 
+  /**
+   * Gets the recommended shard count from Discord.
+   * @param {string} token Discord auth token
+   * @param {number} [guildsPerShard=1000] Number of guilds per shard
+   * @returns {Promise<number>} The recommended number of shards
+   */
+  static fetchRecommendedShards(token, guildsPerShard) {
+    return Util.fetchGatewayInfo(token)
+      .then(info => info.shards * (1000 / (guildsPerShard === undefined ? 1000 : guildsPerShard)));
+  }
+
   /**
    * Parses emoji info out of a string. The string must be one of:
    * * A UTF-8 emoji (no ID)
@@ -215,6 +226,28 @@ class Util {
     return obj;
   }
 
+  /**
+   * Turns a script given to a sharding eval method into a string that can be sent to a shard.
+   * Functions are called with the shard's client and the given context, so they must be arrow functions or
+   * function expressions.
+   * @param {string|Function} script Script or function to serialise
+   * @param {*} [context] JSON-serialisable value to pass to the function
+   * @returns {string}
+   * @private
+   */
+  static makeEvalScript(script, context) {
+    if (typeof script === 'function') {
+      const source = script.toString();
+      // Methods serialise as `name(args) {}`, which cannot be called once wrapped in parentheses
+      if (!/^(?:async\s*)?(?:function\b|\(|[\w$]+\s*=>)/.test(source)) {
+        throw new TypeError('The function to evaluate must be an arrow function or a function expression.');
+      }
+      return `(${source})(this, ${JSON.stringify(context)})`;
+    }
+    if (typeof script !== 'string') throw new TypeError('The script to evaluate must be a string or function.');
+    return script;
+  }
+
   /**
    * Moves an element in an array *in place*.
    * @param {Array<*>} array Array to modify
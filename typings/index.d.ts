@@ -60,6 +60,13 @@ declare module 'discord.js' {
 		public static resolve(bit?: BitFieldResolvable<any>): number;
 	}
 
+	export class CacheAdapter {
+		public delete(type: CacheAdapterType, key: Snowflake): any;
+		public get(type: CacheAdapterType, key: Snowflake): object | null | Promise<object | null>;
+		public iterate(type: CacheAdapterType): Iterable<[Snowflake, object]> | Promise<Iterable<[Snowflake, object]>>;
+		public set(type: CacheAdapterType, key: Snowflake, value: object): any;
+	}
+
 	export class CategoryChannel extends GuildChannel {
 		public readonly children: Collection<Snowflake, GuildChannel>;
 	}
@@ -71,7 +78,7 @@ declare module 'discord.js' {
 		public readonly createdTimestamp: number;
 		public deleted: boolean;
 		public id: Snowflake;
-		public type: 'dm' | 'group' | GuildChannelType;
+		public type: 'dm' | 'group' | GuildChannelType | ThreadChannelType;
 		public delete(): Promise<Channel>;
 	}
 
@@ -123,6 +130,7 @@ declare module 'discord.js' {
 		public login(token?: string): Promise<string>;
 		public setInterval(fn: Function, delay: number, ...args: any[]): NodeJS.Timer;
 		public setTimeout(fn: Function, delay: number, ...args: any[]): NodeJS.Timer;
+		public sweepCaches(): SweptCaches;
 		public sweepMessages(lifetime?: number): number;
 		public syncGuilds(guilds?: Guild[] | Collection<Snowflake, Guild>): void;
 
@@ -145,13 +153,19 @@ declare module 'discord.js' {
 		public on(event: 'guildMemberAdd', listener: (member: GuildMember) => void): this;
 		public on(event: 'guildMemberAvailable', listener: (member: GuildMember) => void): this;
 		public on(event: 'guildMemberRemove', listener: (member: GuildMember) => void): this;
-		public on(event: 'guildMembersChunk', listener: (members: GuildMember[], guild: Guild) => void): this;
+		public on(event: 'guildMembersChunk', listener: (members: GuildMember[], guild: Guild, chunk: GuildMembersChunk) => void): this;
 		public on(event: 'guildMemberSpeaking', listener: (member: GuildMember, speaking: boolean) => void): this;
 		public on(event: 'guildMemberUpdate', listener: (oldMember: GuildMember, newMember: GuildMember) => void): this;
+		public on(event: 'guildScheduledEventCreate', listener: (event: GuildScheduledEvent) => void): this;
+		public on(event: 'guildScheduledEventDelete', listener: (event: GuildScheduledEvent) => void): this;
+		public on(event: 'guildScheduledEventUpdate', listener: (oldEvent: GuildScheduledEvent, newEvent: GuildScheduledEvent) => void): this;
+		public on(event: 'guildScheduledEventUserAdd', listener: (event: GuildScheduledEvent, user: User) => void): this;
+		public on(event: 'guildScheduledEventUserRemove', listener: (event: GuildScheduledEvent, user: User) => void): this;
 		public on(event: 'guildUnavailable', listener: (guild: Guild) => void): this;
 		public on(event: 'guildUpdate', listener: (oldGuild: Guild, newGuild: Guild) => void): this;
 		public on(event: 'guildIntegrationsUpdate', listener: (guild: Guild) => void): this;
 		public on(event: 'inviteCreate' | 'inviteDelete', listener: (invite: Invite) => void): this;
+		public on(event: 'interactionCreate', listener: (interaction: Interaction) => void): this;
 		public on(event: 'message', listener: (message: Message) => void): this;
 		public on(event: 'messageDelete', listener: (message: Message) => void): this;
 		public on(event: 'messageDeleteBulk', listener: (messages: Collection<Snowflake, Message>) => void): this;
@@ -168,6 +182,14 @@ declare module 'discord.js' {
 		public on(event: 'roleCreate', listener: (role: Role) => void): this;
 		public on(event: 'roleDelete', listener: (role: Role) => void): this;
 		public on(event: 'roleUpdate', listener: (oldRole: Role, newRole: Role) => void): this;
+		public on(event: 'stageInstanceCreate', listener: (stageInstance: StageInstance) => void): this;
+		public on(event: 'stageInstanceDelete', listener: (stageInstance: StageInstance) => void): this;
+		public on(event: 'stageInstanceUpdate', listener: (oldStageInstance: StageInstance, newStageInstance: StageInstance) => void): this;
+		public on(event: 'threadCreate', listener: (thread: ThreadChannel) => void): this;
+		public on(event: 'threadDelete', listener: (thread: ThreadChannel) => void): this;
+		public on(event: 'threadListSync', listener: (threads: Collection<Snowflake, ThreadChannel>, guild: Guild) => void): this;
+		public on(event: 'threadMembersUpdate', listener: (thread: ThreadChannel, oldMembers: Collection<Snowflake, ThreadMember>, newMembers: Collection<Snowflake, ThreadMember>) => void): this;
+		public on(event: 'threadUpdate', listener: (oldThread: ThreadChannel, newThread: ThreadChannel) => void): this;
 		public on(event: 'typingStart', listener: (channel: Channel, user: User) => void): this;
 		public on(event: 'typingStop', listener: (channel: Channel, user: User) => void): this;
 		public on(event: 'userNoteUpdate', listener: (user: UserResolvable, oldNote: string, newNote: string) => void): this;
@@ -196,12 +218,18 @@ declare module 'discord.js' {
 		public once(event: 'guildMemberAdd', listener: (member: GuildMember) => void): this;
 		public once(event: 'guildMemberAvailable', listener: (member: GuildMember) => void): this;
 		public once(event: 'guildMemberRemove', listener: (member: GuildMember) => void): this;
-		public once(event: 'guildMembersChunk', listener: (members: GuildMember[], guild: Guild) => void): this;
+		public once(event: 'guildMembersChunk', listener: (members: GuildMember[], guild: Guild, chunk: GuildMembersChunk) => void): this;
 		public once(event: 'guildMemberSpeaking', listener: (member: GuildMember, speaking: boolean) => void): this;
 		public once(event: 'guildMemberUpdate', listener: (oldMember: GuildMember, newMember: GuildMember) => void): this;
+		public once(event: 'guildScheduledEventCreate', listener: (event: GuildScheduledEvent) => void): this;
+		public once(event: 'guildScheduledEventDelete', listener: (event: GuildScheduledEvent) => void): this;
+		public once(event: 'guildScheduledEventUpdate', listener: (oldEvent: GuildScheduledEvent, newEvent: GuildScheduledEvent) => void): this;
+		public once(event: 'guildScheduledEventUserAdd', listener: (event: GuildScheduledEvent, user: User) => void): this;
+		public once(event: 'guildScheduledEventUserRemove', listener: (event: GuildScheduledEvent, user: User) => void): this;
 		public once(event: 'guildUnavailable', listener: (guild: Guild) => void): this;
 		public once(event: 'guildUpdate', listener: (oldGuild: Guild, newGuild: Guild) => void): this;
 		public once(event: 'guildIntegrationsUpdate', listener: (guild: Guild) => void): this;
+		public once(event: 'interactionCreate', listener: (interaction: Interaction) => void): this;
 		public once(event: 'message', listener: (message: Message) => void): this;
 		public once(event: 'messageDelete', listener: (message: Message) => void): this;
 		public once(event: 'messageDeleteBulk', listener: (messages: Collection<Snowflake, Message>) => void): this;
@@ -218,6 +246,14 @@ declare module 'discord.js' {
 		public once(event: 'roleCreate', listener: (role: Role) => void): this;
 		public once(event: 'roleDelete', listener: (role: Role) => void): this;
 		public once(event: 'roleUpdate', listener: (oldRole: Role, newRole: Role) => void): this;
+		public once(event: 'stageInstanceCreate', listener: (stageInstance: StageInstance) => void): this;
+		public once(event: 'stageInstanceDelete', listener: (stageInstance: StageInstance) => void): this;
+		public once(event: 'stageInstanceUpdate', listener: (oldStageInstance: StageInstance, newStageInstance: StageInstance) => void): this;
+		public once(event: 'threadCreate', listener: (thread: ThreadChannel) => void): this;
+		public once(event: 'threadDelete', listener: (thread: ThreadChannel) => void): this;
+		public once(event: 'threadListSync', listener: (threads: Collection<Snowflake, ThreadChannel>, guild: Guild) => void): this;
+		public once(event: 'threadMembersUpdate', listener: (thread: ThreadChannel, oldMembers: Collection<Snowflake, ThreadMember>, newMembers: Collection<Snowflake, ThreadMember>) => void): this;
+		public once(event: 'threadUpdate', listener: (oldThread: ThreadChannel, newThread: ThreadChannel) => void): this;
 		public once(event: 'typingStart', listener: (channel: Channel, user: User) => void): this;
 		public once(event: 'typingStop', listener: (channel: Channel, user: User) => void): this;
 		public once(event: 'userNoteUpdate', listener: (user: UserResolvable, oldNote: string, newNote: string) => void): this;
@@ -481,6 +517,16 @@ declare module 'discord.js' {
 		public toString(): string;
 	}
 
+	export class GatewayInfo {
+		constructor(data: object);
+		public readonly maxConcurrency: number;
+		public readonly resetAt: Date | null;
+		public sessionStartLimit: SessionStartLimit | null;
+		public shards: number | null;
+		public url: string;
+		public canIdentify(shards?: number): boolean;
+	}
+
 	export class GroupDMChannel extends TextBasedChannel(Channel) {
 		constructor(client: Client, data: object);
 		public applicationID: string;
@@ -554,15 +600,19 @@ declare module 'discord.js' {
 		public readonly publicUpdatesChannel: TextChannel | null;
 		public publicUpdatesChannelID: Snowflake | null;
 		public region: string;
+		public restored: boolean;
 		public roles: Collection<Snowflake, Role>;
 		public readonly rulesChannel: TextChannel | null;
 		public rulesChannelID: Snowflake | null;
 		public splash: string;
+		public scheduledEvents: GuildScheduledEventManager;
 		public readonly splashURL: string;
+		public stageInstances: Collection<Snowflake, StageInstance>;
 		public readonly suppressEveryone: boolean;
 		public readonly systemChannel: GuildChannel;
 		public systemChannelFlags: Readonly<SystemChannelFlags>;
 		public systemChannelID: Snowflake;
+		public threads: Collection<Snowflake, ThreadChannel>;
 		public vanityURLCode: string;
 		public readonly verified: boolean;
 		public verificationLevel: number;
@@ -593,6 +643,7 @@ declare module 'discord.js' {
 		public fetchIntegrations(): Promise<Collection<string, Integration>>;
 		public fetchInvites(): Promise<Collection<Snowflake, Invite>>;
 		public fetchMember(user: UserResolvable, cache?: boolean): Promise<GuildMember>;
+		public fetchMembers(options: FetchMembersOptions): Promise<Collection<Snowflake, GuildMember> & { notFound: Snowflake[] }>;
 		public fetchMembers(query?: string, limit?: number): Promise<Guild>;
 		public fetchVanityCode(): Promise<string>;
 		public fetchVoiceRegions(): Promise<Collection<string, VoiceRegion>>;
@@ -714,6 +765,7 @@ declare module 'discord.js' {
 		public readonly premiumSince: Date | null;
 		public premiumSinceTimestamp: number | null;
 		public readonly presence: Presence;
+		public requestToSpeakTimestamp: number | null;
 		public readonly roles: Collection<Snowflake, Role>;
 		public selfDeaf: boolean;
 		public selfMute: boolean;
@@ -721,6 +773,7 @@ declare module 'discord.js' {
 		public serverDeaf: boolean;
 		public serverMute: boolean;
 		public speaking: boolean;
+		public suppress: boolean;
 		public user: User;
 		public readonly voiceChannel: VoiceChannel;
 		public voiceChannelID: string;
@@ -733,19 +786,118 @@ declare module 'discord.js' {
 		public edit(data: GuildMemberEditData, reason?: string): Promise<GuildMember>;
 		public hasPermission(permission: PermissionResolvable, explicit?: boolean, checkAdmin?: boolean, checkOwner?: boolean): boolean;
 		public hasPermissions(permission: PermissionResolvable, explicit?: boolean): boolean;
+		public inviteToSpeak(): Promise<GuildMember>;
 		public kick(reason?: string): Promise<GuildMember>;
 		public missingPermissions(permissions: PermissionResolvable, explicit?: boolean): PermissionResolvable;
+		public moveToAudience(): Promise<GuildMember>;
 		public permissionsIn(channel: ChannelResolvable): Permissions;
 		public removeRole(role: Role | Snowflake, reason?: string): Promise<GuildMember>;
 		public removeRoles(roles: Collection<Snowflake, Role> | Role[] | Snowflake[], reason?: string): Promise<GuildMember>;
+		public requestToSpeak(request?: boolean): Promise<GuildMember>;
 		public setDeaf(deaf: boolean, reason?: string): Promise<GuildMember>;
 		public setMute(mute: boolean, reason?: string): Promise<GuildMember>;
 		public setNickname(nickname: string, reason?: string): Promise<GuildMember>;
+		public setSuppressed(suppressed?: boolean): Promise<GuildMember>;
 		public setRoles(roles: Collection<Snowflake, Role> | Role[] | Snowflake[], reason?: string): Promise<GuildMember>;
 		public setVoiceChannel(voiceChannel: ChannelResolvable | null): Promise<GuildMember>;
 		public toString(): string;
 	}
 
+	export class GuildScheduledEvent {
+		constructor(manager: GuildScheduledEventManager, data: object);
+		private static transformEvent(data: GuildScheduledEventEditData): object;
+
+		public readonly channel: StageChannel | VoiceChannel | null;
+		public channelID: Snowflake | null;
+		public readonly client: Client;
+		public readonly createdAt: Date;
+		public readonly createdTimestamp: number;
+		public creator: User | null;
+		public creatorID: Snowflake | null;
+		public deleted: boolean;
+		public description: string | null;
+		public entityID: Snowflake | null;
+		public entityType: GuildScheduledEventEntityType;
+		public readonly guild: Guild;
+		public id: Snowflake;
+		public image: string | null;
+		public location: string | null;
+		public readonly manager: GuildScheduledEventManager;
+		public name: string;
+		public privacyLevel: GuildScheduledEventPrivacyLevel;
+		public readonly scheduledEndAt: Date | null;
+		public scheduledEndTimestamp: number | null;
+		public readonly scheduledStartAt: Date;
+		public scheduledStartTimestamp: number;
+		public status: GuildScheduledEventStatus;
+		public readonly url: string;
+		public userCount: number | null;
+		public delete(): Promise<GuildScheduledEvent>;
+		public edit(data: GuildScheduledEventEditData, reason?: string): Promise<GuildScheduledEvent>;
+		public fetchSubscribers(options?: FetchGuildScheduledEventSubscribersOptions): Promise<Collection<Snowflake, GuildScheduledEventSubscriber>>;
+		public setStatus(status: GuildScheduledEventStatus, reason?: string): Promise<GuildScheduledEvent>;
+		public toString(): string;
+	}
+
+	export class GuildScheduledEventManager {
+		constructor(guild: Guild);
+		private _add(data: object): GuildScheduledEvent;
+
+		public cache: Collection<Snowflake, GuildScheduledEvent>;
+		public readonly client: Client;
+		public guild: Guild;
+		public create(options: GuildScheduledEventCreateOptions): Promise<GuildScheduledEvent>;
+		public delete(event: GuildScheduledEventResolvable): Promise<GuildScheduledEvent | null>;
+		public edit(event: GuildScheduledEventResolvable, data: GuildScheduledEventEditData, reason?: string): Promise<GuildScheduledEvent>;
+		public fetch(event: GuildScheduledEventResolvable, options?: FetchGuildScheduledEventsOptions): Promise<GuildScheduledEvent>;
+		public fetch(options?: FetchGuildScheduledEventsOptions): Promise<Collection<Snowflake, GuildScheduledEvent>>;
+		public resolveID(event: GuildScheduledEventResolvable): Snowflake | null;
+	}
+
+	export class Interaction {
+		constructor(client: Client, data: object);
+		private _resolveReplyOptions(content?: StringResolvable, options?: InteractionReplyOptions | RichEmbed): InteractionReplyOptions;
+		private _resolveOption(option: object, resolved?: object): any;
+
+		public applicationID: Snowflake;
+		public readonly channel: Channel | null;
+		public channelID: Snowflake | null;
+		public readonly client: Client;
+		public commandID: Snowflake | null;
+		public commandName: string | null;
+		public componentType: MessageComponentType | null;
+		public readonly createdAt: Date;
+		public readonly createdTimestamp: number;
+		public customID: string | null;
+		public deferred: boolean;
+		public ephemeral: boolean | null;
+		public readonly guild: Guild | null;
+		public guildID: Snowflake | null;
+		public id: Snowflake;
+		public member: GuildMember | null;
+		public message: Message | object | null;
+		public messageID: Snowflake | null;
+		public options: Collection<string, any>;
+		public replied: boolean;
+		public subcommand: string | null;
+		public subcommandGroup: string | null;
+		public readonly token: string;
+		public type: InteractionType;
+		public user: User;
+		public values: string[] | null;
+		public deferReply(options?: { ephemeral?: boolean }): Promise<Interaction>;
+		public deferUpdate(): Promise<Interaction>;
+		public deleteReply(): Promise<Interaction>;
+		public editReply(content?: StringResolvable, options?: InteractionReplyOptions | RichEmbed): Promise<Message | object>;
+		public followUp(content?: StringResolvable, options?: InteractionReplyOptions | RichEmbed): Promise<Message | object>;
+		public isButton(): boolean;
+		public isCommand(): boolean;
+		public isMessageComponent(): boolean;
+		public isSelectMenu(): boolean;
+		public reply(content?: StringResolvable, options?: InteractionReplyOptions | RichEmbed): Promise<Interaction>;
+		public update(content?: StringResolvable, options?: InteractionReplyOptions | RichEmbed): Promise<Interaction>;
+	}
+
 	export class Integration {
 		constructor(client: Client, data: object, guild: Guild);
 		public account: IntegrationAccount;
@@ -789,6 +941,54 @@ declare module 'discord.js' {
 		public toString(): string;
 	}
 
+	export class JSONCacheAdapter extends MemoryCacheAdapter {
+		constructor(file: string, options?: { saveDelay?: number });
+		private saveTimeout: NodeJS.Timer | null;
+		private scheduleSave(): void;
+
+		public file: string;
+		public saveDelay: number;
+		public delete(type: CacheAdapterType, key: Snowflake): boolean;
+		public load(): void;
+		public save(): Promise<void>;
+		public set(type: CacheAdapterType, key: Snowflake, value: object): void;
+	}
+
+	export class LimitedCollection<K, V> extends Collection<K, V> {
+		constructor(options?: LimitedCollectionOptions<K, V> | number, iterable?: Iterable<[K, V]>);
+		private _uses: Map<K, number>;
+		private _leastRecentlyUsedKey(): K | undefined;
+		private _oldestKey(): K | undefined;
+
+		public keepOverLimit: ((value: V, key: K) => boolean) | null;
+		public maxSize: number;
+		public strategy: LimitedCollectionStrategy;
+		public clone(): LimitedCollection<K, V>;
+		public evict(amount?: number): number;
+
+		public addListener(event: string, listener: Function): this;
+		public emit(event: string, ...args: any[]): boolean;
+		public listenerCount(event: string): number;
+		public off(event: string, listener: Function): this;
+		public on(event: 'evicted', listener: (value: V, key: K) => void): this;
+		public on(event: string, listener: Function): this;
+		public once(event: 'evicted', listener: (value: V, key: K) => void): this;
+		public once(event: string, listener: Function): this;
+		public removeAllListeners(event?: string): this;
+		public removeListener(event: string, listener: Function): this;
+	}
+
+	export class MemoryCacheAdapter extends CacheAdapter {
+		constructor();
+		private store(type: CacheAdapterType): Map<Snowflake, object>;
+
+		public stores: Map<CacheAdapterType, Map<Snowflake, object>>;
+		public delete(type: CacheAdapterType, key: Snowflake): boolean;
+		public get(type: CacheAdapterType, key: Snowflake): object | null;
+		public iterate(type: CacheAdapterType): IterableIterator<[Snowflake, object]>;
+		public set(type: CacheAdapterType, key: Snowflake, value: object): void;
+	}
+
 	export class Message {
 		constructor(channel: TextChannel | DMChannel | GroupDMChannel, data: object, client: Client);
 		private _edits: Message[];
@@ -1218,30 +1418,34 @@ declare module 'discord.js' {
 	export class Shard extends EventEmitter {
 		constructor(manager: ShardingManager, id: number, args?: string[]);
 		private _exitListener: Function;
+		private _handleError(error: Error): void;
 		private _handleExit(respawn?: boolean): void;
 		private _handleMessage(message: any): void;
 
 		public env: object;
 		public id: string;
 		public manager: ShardingManager;
-		public process: ChildProcess;
+		public process: ChildProcess | null;
 		public readonly: boolean;
-		public eval(script: string): Promise<any>;
+		public worker: ShardWorker | null;
+		public eval(script: string | ((client: Client, context: any) => any), options?: BroadcastEvalOptions): Promise<any>;
 		public fetchClientValue(prop: string): Promise<any>;
 		public kill(): void;
-		public respawn(delay?: number): Promise<ChildProcess>;
-		public spawn(args?: string[], execArgv?: string[]): Promise<ChildProcess>;
+		public respawn(delay?: number): Promise<ChildProcess | ShardWorker>;
+		public spawn(args?: string[], execArgv?: string[]): Promise<ChildProcess | ShardWorker>;
 		public send(message: any): Promise<Shard>;
 
-		public on(event: 'death', listener: () => void): this;
+		public on(event: 'death', listener: (process: ChildProcess | ShardWorker) => void): this;
 		public on(event: 'disconnect', listener: () => void): this;
+		public on(event: 'error', listener: (error: Error) => void): this;
 		public on(event: 'message', listener: (message: any) => void): this;
 		public on(event: 'ready', listener: () => void): this;
 		public on(event: 'reconnecting', listener: () => void): this;
 		public on(event: string, listener: Function): this;
 
-		public once(event: 'death', listener: () => void): this;
+		public once(event: 'death', listener: (process: ChildProcess | ShardWorker) => void): this;
 		public once(event: 'disconnect', listener: () => void): this;
+		public once(event: 'error', listener: (error: Error) => void): this;
 		public once(event: 'message', listener: (message: any) => void): this;
 		public once(event: 'ready', listener: () => void): this;
 		public once(event: 'reconnecting', listener: () => void): this;
@@ -1249,17 +1453,20 @@ declare module 'discord.js' {
 	}
 
 	export class ShardClientUtil {
-		constructor(client: Client);
+		constructor(client: Client, mode?: ShardingMode);
+		private _parent: NodeJS.Process | NodeJS.EventEmitter;
 		private _handleMessage(message: any): void;
 		private _respond(type: string, message: any): void;
+		private static detectMode(): ShardingMode | null;
 
 		public readonly count: number;
 		public readonly id: number;
-		public broadcastEval(script: string): Promise<any[]>;
+		public mode: ShardingMode;
+		public broadcastEval(script: string | ((client: Client, context: any) => any), options?: BroadcastEvalOptions): Promise<any>;
 		public fetchClientValues(prop: string): Promise<any[]>;
 		public send(message: any): Promise<void>;
 
-		public static singleton(client: Client): ShardClientUtil;
+		public static singleton(client: Client, mode?: ShardingMode): ShardClientUtil;
 	}
 
 	export class ShardingManager extends EventEmitter {
@@ -1268,29 +1475,33 @@ declare module 'discord.js' {
 			respawn?: boolean;
 			shardArgs?: string[];
 			token?: string;
+			mode?: ShardingMode;
 		});
-		private _spawn(amount: number, delay: number): Promise<Collection<number, Shard>>;
+		private _spawn(amount: number, delay: number, maxConcurrency?: number): Promise<Collection<number, Shard>>;
 
 		public execArgv: string[];
 		public file: string;
+		public mode: ShardingMode;
 		public respawn: boolean;
 		public shardArgs: string[];
 		public shards: Collection<number, Shard>;
 		public token: string;
 		public totalShards: number | string;
 		public broadcast(message: any): Promise<Shard[]>;
-		public broadcastEval(script: string): Promise<any[]>;
+		public broadcastEval(script: string | ((client: Client, context: any) => any), options?: BroadcastEvalOptions): Promise<any>;
 		public createShard(id: number): Promise<Shard>;
 		public fetchClientValues(prop: string): Promise<any[]>;
 		public respawnAll(shardDelay?: number, respawnDelay?: number, waitForReady?: true, currentShardIndex?: number): Promise<Collection<number, Shard>>;
-		public spawn(amount?: number, delay?: number): Promise<Collection<number, Shard>>;
+		public spawn(amount?: number | 'auto', delay?: number, waitForReset?: boolean): Promise<Collection<number, Shard>>;
 
 		public on(event: 'launch', listener: (shard: Shard) => void): this;
 		public on(event: 'message', listener: (shard: Shard, message: any) => void): this;
+		public on(event: 'sessionStartLimit', listener: (message: string) => void): this;
 		public on(event: string, listener: Function): this;
 
 		public once(event: 'launch', listener: (shard: Shard) => void): this;
 		public once(event: 'message', listener: (shard: Shard, message: any) => void): this;
+		public once(event: 'sessionStartLimit', listener: (message: string) => void): this;
 		public once(event: string, listener: Function): this;
 	}
 
@@ -1299,6 +1510,34 @@ declare module 'discord.js' {
 		public static generate(timestamp?: number | Date): Snowflake;
 	}
 
+	export class StageChannel extends VoiceChannel {
+		public readonly audience: Collection<Snowflake, GuildMember>;
+		public readonly requestsToSpeak: Collection<Snowflake, GuildMember>;
+		public readonly speakers: Collection<Snowflake, GuildMember>;
+		public readonly stageInstance: StageInstance | null;
+		public topic: string | null;
+		public createStageInstance(options: StageInstanceCreateOptions): Promise<StageInstance>;
+		public fetchStageInstance(): Promise<StageInstance>;
+	}
+
+	export class StageInstance {
+		constructor(guild: Guild, data: object);
+		public readonly channel: StageChannel | null;
+		public channelID: Snowflake;
+		public readonly client: Client;
+		public readonly createdAt: Date;
+		public readonly createdTimestamp: number;
+		public deleted: boolean;
+		public discoverableDisabled: boolean;
+		public guild: Guild;
+		public id: Snowflake;
+		public privacyLevel: StagePrivacyLevel;
+		public topic: string;
+		public delete(reason?: string): Promise<StageInstance>;
+		public edit(data: StageInstanceEditData, reason?: string): Promise<StageInstance>;
+		public setTopic(topic: string, reason?: string): Promise<StageInstance>;
+	}
+
 	export class StoreChannel extends GuildChannel {
 		constructor(guild: Guild, data: object);
 		public nsfw: boolean;
@@ -1360,12 +1599,75 @@ declare module 'discord.js' {
 		public nsfw: boolean;
 		public topic: string | null;
 		public rateLimitPerUser: number;
+		public threads: ThreadManager;
 		public setRateLimitPerUser(rateLimitPerUser: number, reason?: string): Promise<TextChannel>;
 		public createWebhook(name: string, avatar: BufferResolvable, reason?: string): Promise<Webhook>;
 		public fetchWebhooks(): Promise<Collection<Snowflake, Webhook>>;
 		public setNSFW(nsfw: boolean, reason?: string): Promise<this>;
 	}
 
+	export class ThreadChannel extends TextBasedChannel(Channel) {
+		constructor(guild: Guild, data: object);
+		private _addMember(data: object): ThreadMember;
+
+		public archived: boolean;
+		public readonly archivedAt: Date | null;
+		public archiveTimestamp: number | null;
+		public autoArchiveDuration: number;
+		public guild: Guild;
+		public invitable: boolean | null;
+		public joined: boolean;
+		public lastMessageID: Snowflake | null;
+		public locked: boolean;
+		public memberCount: number | null;
+		public members: Collection<Snowflake, ThreadMember>;
+		public messageCount: number | null;
+		public messages: Collection<Snowflake, Message>;
+		public name: string;
+		public ownerID: Snowflake | null;
+		public readonly parent: TextChannel | NewsChannel | null;
+		public parentID: Snowflake;
+		public rateLimitPerUser: number;
+		public type: ThreadChannelType;
+		public addMember(user: UserResolvable): Promise<ThreadChannel>;
+		public delete(reason?: string): Promise<ThreadChannel>;
+		public edit(data: ThreadEditData, reason?: string): Promise<ThreadChannel>;
+		public fetchMembers(): Promise<Collection<Snowflake, ThreadMember>>;
+		public join(): Promise<ThreadChannel>;
+		public leave(): Promise<ThreadChannel>;
+		public permissionsFor(memberOrRole: GuildMemberResolvable | RoleResolvable): Permissions | null;
+		public removeMember(user: UserResolvable): Promise<ThreadChannel>;
+		public setArchived(archived?: boolean, reason?: string): Promise<ThreadChannel>;
+		public setAutoArchiveDuration(autoArchiveDuration: number, reason?: string): Promise<ThreadChannel>;
+		public setLocked(locked?: boolean, reason?: string): Promise<ThreadChannel>;
+		public setName(name: string, reason?: string): Promise<ThreadChannel>;
+		public toString(): string;
+	}
+
+	export class ThreadManager {
+		constructor(channel: TextChannel | NewsChannel);
+		public readonly cache: Collection<Snowflake, ThreadChannel>;
+		public channel: TextChannel | NewsChannel;
+		public readonly client: Client;
+		public create(options: ThreadCreateOptions): Promise<ThreadChannel>;
+		public fetchActive(): Promise<FetchedThreads>;
+		public fetchArchived(options?: FetchArchivedThreadOptions): Promise<FetchedThreads>;
+	}
+
+	export class ThreadMember {
+		constructor(thread: ThreadChannel, data: object);
+		public readonly client: Client;
+		public flags: number;
+		public readonly guildMember: GuildMember | null;
+		public id: Snowflake;
+		public readonly joinedAt: Date | null;
+		public joinedTimestamp: number | null;
+		public thread: ThreadChannel;
+		public readonly user: User | null;
+		public remove(): Promise<ThreadMember>;
+		public toString(): string;
+	}
+
 	export class User extends PartialTextBasedChannel() {
 		constructor(client: Client, data: object);
 		public avatar: string;
@@ -1426,6 +1728,7 @@ declare module 'discord.js' {
 		public static convertToBuffer(ab: ArrayBuffer | string): Buffer;
 		public static delayFor(ms: number): Promise<void>;
 		public static escapeMarkdown(text: string, onlyCodeBlock?: boolean, onlyInlineCode?: boolean): string;
+		public static fetchGatewayInfo(token: string): Promise<GatewayInfo>;
 		public static fetchRecommendedShards(token: string, guildsPerShard?: number): Promise<number>;
 		public static makeError(obj: { name: string, message: string, stack: string }): Error;
 		public static makePlainError(err: Error): object;
@@ -1783,6 +2086,10 @@ declare module 'discord.js' {
 
 	type BufferResolvable = Buffer | string;
 
+	type CacheAdapterType = 'guilds' | 'channels' | 'roles';
+
+	type CacheName = 'users' | 'presences' | 'members' | 'messages';
+
 	type ChannelCreationOverwrites = {
 		allow?: PermissionResolvable;
 		deny?: PermissionResolvable;
@@ -1805,6 +2112,12 @@ declare module 'discord.js' {
 		reason?: string;
 	};
 
+	type BroadcastEvalOptions = {
+		context?: any;
+		shard?: number;
+		timeout?: number;
+	};
+
 	type ChannelLogsQueryOptions = {
 		limit?: number
 		before?: Snowflake
@@ -1826,6 +2139,10 @@ declare module 'discord.js' {
 		messageCacheMaxSize?: number;
 		messageCacheLifetime?: number;
 		messageSweepInterval?: number;
+		cacheAdapter?: CacheAdapter | null;
+		makeCache?: ((name: CacheName, holder: any) => Collection<Snowflake, any>) | null;
+		cacheLimits?: { [name in CacheName]?: number };
+		cacheSweepInterval?: number;
 		fetchAllMembers?: boolean;
 		disableEveryone?: boolean;
 		sync?: boolean;
@@ -1899,6 +2216,38 @@ declare module 'discord.js' {
 
 	type EmojiIdentifierResolvable = string | Emoji | ReactionEmoji;
 
+	type FetchArchivedThreadOptions = {
+		type?: 'public' | 'private';
+		fetchAll?: boolean;
+		before?: Date | number | string;
+		limit?: number;
+	};
+
+	type FetchedThreads = {
+		threads: Collection<Snowflake, ThreadChannel>;
+		hasMore: boolean;
+	};
+
+	type FetchGuildScheduledEventsOptions = {
+		withUserCount?: boolean;
+	};
+
+	type FetchGuildScheduledEventSubscribersOptions = {
+		limit?: number;
+		withMember?: boolean;
+		before?: Snowflake;
+		after?: Snowflake;
+	};
+
+	type FetchMembersOptions = {
+		user_ids?: Snowflake | Snowflake[];
+		query?: string;
+		limit?: number;
+		presences?: boolean;
+		nonce?: string;
+		time?: number;
+	};
+
 	type FileOptions = {
 		attachment: BufferResolvable;
 		name?: string;
@@ -1996,7 +2345,7 @@ declare module 'discord.js' {
 	type GuildChannelMessageNotifications = MessageNotifications
 		& 'INHERIT';
 
-	type GuildChannelType = 'category' | 'text' | 'voice' | 'news' | 'store';
+	type GuildChannelType = 'category' | 'text' | 'voice' | 'news' | 'store' | 'stage';
 
 	type GuildEditData = {
 		name?: string;
@@ -2028,8 +2377,47 @@ declare module 'discord.js' {
 
 	type GuildMemberResolvable = GuildMember | User;
 
+	type GuildMembersChunk = {
+		index: number;
+		count: number;
+		nonce: string | null;
+		notFound: Snowflake[];
+	};
+
 	type GuildResolvable = Guild | Snowflake;
 
+	type GuildScheduledEventCreateOptions = GuildScheduledEventEditData & {
+		name: string;
+		scheduledStartTime: Date | number | string;
+		entityType: GuildScheduledEventEntityType;
+		reason?: string;
+	};
+
+	type GuildScheduledEventEditData = {
+		name?: string;
+		description?: string | null;
+		channel?: ChannelResolvable | null;
+		scheduledStartTime?: Date | number | string;
+		scheduledEndTime?: Date | number | string | null;
+		privacyLevel?: GuildScheduledEventPrivacyLevel;
+		entityType?: GuildScheduledEventEntityType;
+		status?: GuildScheduledEventStatus;
+		location?: string | null;
+	};
+
+	type GuildScheduledEventEntityType = 'STAGE_INSTANCE' | 'VOICE' | 'EXTERNAL';
+
+	type GuildScheduledEventPrivacyLevel = 'GUILD_ONLY';
+
+	type GuildScheduledEventResolvable = GuildScheduledEvent | Snowflake;
+
+	type GuildScheduledEventStatus = 'SCHEDULED' | 'ACTIVE' | 'COMPLETED' | 'CANCELED';
+
+	type GuildScheduledEventSubscriber = {
+		user: User;
+		member: GuildMember | null;
+	};
+
 	type HTTPOptions = {
 		version?: number;
 		host?: string;
@@ -2051,6 +2439,19 @@ declare module 'discord.js' {
 		number: string;
 	}
 
+	type InteractionReplyOptions = {
+		tts?: boolean;
+		ephemeral?: boolean;
+		embeds?: (RichEmbed | RichEmbedOptions)[];
+		disableEveryone?: boolean;
+		allowed_mentions?: object;
+		components?: object[];
+	};
+
+	type InteractionType = 'PING'
+		| 'APPLICATION_COMMAND'
+		| 'MESSAGE_COMPONENT';
+
 	type InviteOptions = {
 		temporary?: boolean;
 		maxAge?: number;
@@ -2060,6 +2461,14 @@ declare module 'discord.js' {
 
 	type InviteResolvable = string;
 
+	type LimitedCollectionOptions<K, V> = {
+		maxSize?: number;
+		keepOverLimit?: (value: V, key: K) => boolean;
+		strategy?: LimitedCollectionStrategy;
+	};
+
+	type LimitedCollectionStrategy = 'fifo' | 'lru';
+
 	type MembershipStates = 'INVITED'
 	| 'ACCEPTED';
 
@@ -2068,6 +2477,10 @@ declare module 'discord.js' {
 		maxMatches?: number;
 	};
 
+	type MessageComponentType = 'ACTION_ROW'
+		| 'BUTTON'
+		| 'SELECT_MENU';
+
 	type MessageEditOptions = {
 		embed?: RichEmbedOptions;
 		code?: string | boolean;
@@ -2343,6 +2756,22 @@ declare module 'discord.js' {
 
 	type RoleResolvable = Role | string;
 
+	type SessionStartLimit = {
+		total: number;
+		remaining: number;
+		resetAfter: number;
+		resetTimestamp: number;
+		maxConcurrency: number;
+	};
+
+	type ShardingMode = 'process' | 'worker';
+
+	interface ShardWorker extends EventEmitter {
+		readonly threadId: number;
+		postMessage(value: any): void;
+		terminate(): any;
+	}
+
 	type Snowflake = string;
 
 	type SplitOptions = {
@@ -2352,6 +2781,19 @@ declare module 'discord.js' {
 		append?: string;
 	};
 
+	type StageInstanceCreateOptions = {
+		topic: string;
+		privacyLevel?: StagePrivacyLevel;
+		reason?: string;
+	};
+
+	type StageInstanceEditData = {
+		topic?: string;
+		privacyLevel?: StagePrivacyLevel;
+	};
+
+	type StagePrivacyLevel = 'PUBLIC' | 'GUILD_ONLY';
+
 	type Status = number;
 
 	type StreamOptions = {
@@ -2363,10 +2805,38 @@ declare module 'discord.js' {
 
 	type StringResolvable = string | string[] | any;
 
+	type SweptCaches = {
+		users: number;
+		presences: number;
+		members: number;
+		messages: number;
+	};
+
 	type SystemChannelFlagsString = 'WELCOME_MESSAGE_DISABLED' | 'BOOST_MESSAGE_DISABLED';
 
 	type SystemChannelFlagsResolvable = BitFieldResolvable<SystemChannelFlagsString>;
 
+	type ThreadChannelType = 'news_thread' | 'public_thread' | 'private_thread';
+
+	type ThreadCreateOptions = {
+		name: string;
+		autoArchiveDuration?: number;
+		startMessage?: Message | Snowflake;
+		type?: ThreadChannelType;
+		invitable?: boolean;
+		rateLimitPerUser?: number;
+		reason?: string;
+	};
+
+	type ThreadEditData = {
+		name?: string;
+		archived?: boolean;
+		autoArchiveDuration?: number;
+		locked?: boolean;
+		invitable?: boolean;
+		rateLimitPerUser?: number;
+	};
+
 	type UserResolvable = User | Snowflake | Message | Guild | GuildMember;
 
 	type VoiceStatus = number;
@@ -2395,6 +2865,7 @@ declare module 'discord.js' {
 	type WebSocketOptions = {
 		large_threshold?: number;
 		compress?: boolean;
+		version?: number;
 	};
 
 	type WSEventType = 'READY'